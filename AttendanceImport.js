@@ -0,0 +1,356 @@
+// --- Import Attendance From CSV or Pasted Sign-In Sheets ---
+
+// "Import Attendance" reads a sign-in list, either a CSV file from Drive or text pasted
+// into the dialog, and appends real event rows to the selected community's 'Event Attendance'.
+// A CSV with a header row may have any of the IMPORT_HEADER_NAMES columns; without a header,
+// each line is "<name>[<tab><date>[<tab><event>]]", as pasted from a sheet. Names are matched
+// with the same Directory matching as Load Data. The rows are tagged with an "IM-" Batch ID,
+// so "Undo Last Update" can remove an import.
+const IMPORT_BATCH_ID_PREFIX = 'IM-';
+const IMPORT_DIALOG_FILE = 'AttendanceImportDialog';
+const IMPORT_HEADER_NAMES = {
+  personId: ['Person ID', 'ID'],
+  name: ['Name', 'Full Name'],
+  firstName: ['First Name', 'Given Name'],
+  lastName: ['Last Name', 'Surname'],
+  date: ['Date', 'Event Date'],
+  event: ['Event', 'Event Name']
+};
+const IMPORT_STATUS = {
+  IMPORT: 'import',
+  DUPLICATE: 'duplicate',
+  UNMATCHED: 'unmatched',
+  INVALID: 'invalid'
+};
+
+/**
+ * Menu item: opens the import dialog for the community selected in UAT_CELL_COMMUNITY_ID.
+ */
+function importAttendance() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  if (!selectedCommunityId) {
+    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}.`, ui.ButtonSet.OK);
+    return;
+  }
+  if (!checkPermission(ui, PERMISSION_ACTIONS.IMPORT, selectedCommunityId)) return;
+
+  const template = HtmlService.createTemplateFromFile(IMPORT_DIALOG_FILE);
+  template.communityId = String(selectedCommunityId);
+  template.today = Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+  ui.showModalDialog(template.evaluate().setWidth(900).setHeight(600), `Import Attendance for "${selectedCommunityId}"`);
+}
+
+/**
+ * @param {string} text A name as written on a sign-in sheet: "First Last" or "Last, First".
+ * @return {object} { firstName, lastName }; lastName is '' for a single word.
+ */
+function splitSignInName(text) {
+  const name = String(text === null || text === undefined ? '' : text).trim().replace(/\s+/g, ' ');
+  const comma = name.indexOf(',');
+  if (comma !== -1) {
+    return { firstName: name.slice(comma + 1).trim(), lastName: name.slice(0, comma).trim() };
+  }
+  const lastSpace = name.lastIndexOf(' ');
+  if (lastSpace === -1) return { firstName: name, lastName: '' };
+  return { firstName: name.slice(0, lastSpace), lastName: name.slice(lastSpace + 1) };
+}
+
+/**
+ * @param {*} value A date cell or text: yyyy-mm-dd, M/d/yyyy, or anything Date can read.
+ * @return {Date|null} Midnight of that day, or null if it is not a date.
+ */
+function parseImportDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  if (text === '') return null;
+
+  let match;
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text))) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text))) {
+    const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(year, Number(match[1]) - 1, Number(match[2]));
+  }
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+}
+
+/**
+ * Splits a sign-in list into rows.
+ * @param {string} text CSV with a header row, or one person per line.
+ * @return {Array<object>} { lineNumber, personId, name, firstName, lastName, date, event }; date and event are raw text.
+ */
+function parseAttendanceText(text) {
+  const lines = String(text === null || text === undefined ? '' : text).replace(/\r\n?/g, '\n').split('\n');
+  const firstLine = lines.find(line => line.trim() !== '') || '';
+  const delimiter = firstLine.indexOf('\t') !== -1 ? '\t' : ',';
+  const headerCells = Utilities.parseCsv(firstLine, delimiter)[0] || [];
+  const columns = {};
+  headerCells.forEach((cell, index) => {
+    for (const field in IMPORT_HEADER_NAMES) {
+      if (!(field in columns) && IMPORT_HEADER_NAMES[field].some(header => normalizeHeaderKey(header) === normalizeHeaderKey(cell))) {
+        columns[field] = index;
+      }
+    }
+  });
+  const hasHeader = 'name' in columns || 'lastName' in columns || 'personId' in columns;
+
+  const rows = [];
+  let headerSkipped = false;
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return;
+    if (hasHeader && !headerSkipped) {
+      headerSkipped = true;
+      return;
+    }
+    const cell = (cells, column) => (column === undefined || cells[column] === undefined ? '' : String(cells[column]).trim());
+    if (!hasHeader) {
+      // Without a header a comma may belong to "Last, First", so only tabs split pasted lines.
+      const cells = line.indexOf('\t') !== -1 ? line.split('\t') : [line];
+      rows.push({ lineNumber: index + 1, personId: '', name: cell(cells, 0), firstName: '', lastName: '', date: cell(cells, 1), event: cell(cells, 2) });
+      return;
+    }
+    const cells = Utilities.parseCsv(line, delimiter)[0] || [];
+    rows.push({
+      lineNumber: index + 1,
+      personId: cell(cells, columns.personId),
+      name: cell(cells, columns.name),
+      firstName: cell(cells, columns.firstName),
+      lastName: cell(cells, columns.lastName),
+      date: cell(cells, columns.date),
+      event: cell(cells, columns.event)
+    });
+  });
+  return rows;
+}
+
+/**
+ * @param {object} input { source: 'paste'|'drive', text, fileUrl } from the dialog.
+ * @return {string} The sign-in list.
+ * @throws {CommunityToolsError} If nothing was given or the Drive file cannot be read.
+ */
+function readAttendanceImportText(input) {
+  if (input.source === 'drive') {
+    const match = /[-\w]{25,}/.exec(String(input.fileUrl || ''));
+    if (!match) {
+      throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, 'Please enter the link or ID of a CSV file in Drive.');
+    }
+    try {
+      return DriveApp.getFileById(match[0]).getBlob().getDataAsString();
+    } catch (e) {
+      throw new CommunityToolsError(TOOLS_ERROR_CODES.CANNOT_OPEN, `Could not read the Drive file "${input.fileUrl}". Error: ${e.message}`);
+    }
+  }
+  if (String(input.text || '').trim() === '') {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, 'Please paste the sign-in list first.');
+  }
+  return input.text;
+}
+
+/**
+ * Matches a sign-in list against a community and works out which rows would be imported.
+ * @param {string} communityId The community.
+ * @param {object} input { source, text, fileUrl, defaultDate, defaultEvent } from the dialog.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @return {object} { communityId, statsSpreadsheet, rows: [{ lineNumber, typedName, personId, fullName, firstName,
+ *     lastName, eventDate, event, status, note }] }, status being one of IMPORT_STATUS.
+ * @throws {CommunityToolsError} If the input or the community cannot be read.
+ */
+function planAttendanceImport(communityId, input, timeZone) {
+  const signIns = parseAttendanceText(readAttendanceImportText(input));
+  if (signIns.length === 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, 'The sign-in list has no rows.');
+  }
+  return planAttendanceSignIns(communityId, signIns, input, timeZone);
+}
+
+/**
+ * The matching part of planAttendanceImport, shared with the web API (see WebApi.js).
+ * @param {string} communityId The community.
+ * @param {Array<object>} signIns Rows as from parseAttendanceText, every field text.
+ * @param {object} defaults { defaultDate, defaultEvent } for rows without a date or an event.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @return {object} See planAttendanceImport.
+ * @throws {CommunityToolsError} If the community cannot be read.
+ */
+function planAttendanceSignIns(communityId, signIns, defaults, timeZone) {
+  const defaultEvent = String(defaults.defaultEvent || '').trim();
+  const defaultDate = parseImportDate(defaults.defaultDate);
+  const directory = loadCommunityDirectory(communityId);
+  const aliases = loadNameAliases();
+  const statsSpreadsheet = openCommunitySpreadsheet(directory.config, EVENT_ATTENDANCE_TAB_NAME);
+  const eventSheet = statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  const eventData = eventSheet ? eventSheet.getDataRange().getValues() : [];
+
+  const format = date => Utilities.formatDate(date, timeZone, 'M/d/yyyy');
+  const eventKey = (personId, date, event) => `${String(personId).trim()}|${format(date)}|${String(event).trim().toLowerCase()}`;
+  const seen = {};
+  for (let i = 1; i < eventData.length; i++) {
+    const date = parseImportDate(eventData[i][EVENT_COL_EVENT_DATE - 1]);
+    if (date) seen[eventKey(eventData[i][EVENT_COL_PERSON_ID - 1], date, eventData[i][EVENT_COL_EVENT - 1])] = true;
+  }
+
+  const rows = signIns.map(signIn => {
+    const split = signIn.name !== '' ? splitSignInName(signIn.name) : { firstName: signIn.firstName, lastName: signIn.lastName };
+    const typedName = signIn.name || `${signIn.firstName} ${signIn.lastName}`.trim() || signIn.personId;
+    const row = {
+      lineNumber: signIn.lineNumber, typedName: typedName, personId: '', fullName: '', firstName: '', lastName: '',
+      eventDate: '', event: signIn.event || defaultEvent, status: IMPORT_STATUS.INVALID, note: ''
+    };
+
+    const date = signIn.date !== '' ? parseImportDate(signIn.date) : defaultDate;
+    if (!date) {
+      row.note = signIn.date !== '' ? `"${signIn.date}" is not a date.` : 'No date on the row and no default date.';
+      return row;
+    }
+    row.eventDate = format(date);
+    if (row.event === '') {
+      row.note = 'No event name on the row and no default event name.';
+      return row;
+    }
+    if (row.event.toUpperCase().indexOf(BASELINE_EVENT_PREFIX) === 0) {
+      row.note = `Event names starting with "${BASELINE_EVENT_PREFIX}" are reserved for Update Activity Level.`;
+      return row;
+    }
+
+    let entry = null;
+    if (signIn.personId !== '') {
+      entry = directory.directoryLookup.byPersonId.get(signIn.personId) || null;
+      if (!entry) row.note = `Person ID ${signIn.personId} is not in the Directory.`;
+    } else if (split.firstName === '' || split.lastName === '') {
+      row.note = `"${typedName}" needs both a first and a last name.`;
+    } else {
+      const match = matchTrackerRow(split.firstName, split.lastName, '', directory, aliases);
+      entry = match.entry;
+      row.note = match.note;
+    }
+    if (!entry) {
+      row.status = IMPORT_STATUS.UNMATCHED;
+      return row;
+    }
+
+    row.personId = entry.personId;
+    row.firstName = entry.firstName;
+    row.lastName = entry.lastName;
+    row.fullName = `${entry.firstName} ${entry.lastName}`;
+    const key = eventKey(entry.personId, date, row.event);
+    if (seen[key]) {
+      row.status = IMPORT_STATUS.DUPLICATE;
+      row.note = `${row.fullName} is already logged for "${row.event}" on ${row.eventDate}.`;
+      return row;
+    }
+    seen[key] = true;
+    row.status = IMPORT_STATUS.IMPORT;
+    return row;
+  });
+
+  return { communityId: communityId, statsSpreadsheet: statsSpreadsheet, rows: rows };
+}
+
+/**
+ * Called from the dialog: plans the import without writing anything.
+ * @param {string} communityId The community the dialog was opened for.
+ * @param {object} input { source, text, fileUrl, defaultDate, defaultEvent }
+ * @return {Array<object>} The rows of planAttendanceImport.
+ */
+function previewAttendanceImport(communityId, input) {
+  try {
+    return planAttendanceImport(communityId, input, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone()).rows;
+  } catch (e) {
+    throw toSidebarError(e);
+  }
+}
+
+/**
+ * Called from the dialog once the user confirms. Plans the import again from the same input
+ * and appends the rows to import to 'Event Attendance', creating the tab if needed. The plan
+ * and the write happen under the writer lock, so the duplicate check sees every row written
+ * by other commands.
+ * @param {string} communityId The community the dialog was opened for.
+ * @param {object} input { source, text, fileUrl, defaultDate, defaultEvent }
+ * @return {string} The results message shown in the dialog.
+ */
+function applyAttendanceImport(communityId, input) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss.getSpreadsheetTimeZone();
+  let plan;
+  let written;
+  try {
+    requirePermission(PERMISSION_ACTIONS.IMPORT, communityId);
+    withWriterLock(() => {
+      plan = planAttendanceImport(communityId, input, timeZone);
+      written = writeAttendanceImport(plan, timeZone, 'Import Attendance');
+    });
+  } catch (e) {
+    throw toSidebarError(e);
+  }
+
+  const countStatus = status => plan.rows.filter(row => row.status === status).length;
+  const skippedNote = `Skipped: ${countStatus(IMPORT_STATUS.DUPLICATE)} already logged, ${countStatus(IMPORT_STATUS.UNMATCHED)} not matched, ` +
+    `${countStatus(IMPORT_STATUS.INVALID)} invalid.`;
+  if (written.imported === 0) {
+    return `Nothing was imported. ${skippedNote}`;
+  }
+
+  return `Imported ${written.imported} attendance rows into '${EVENT_ATTENDANCE_TAB_NAME}' for ${communityId} (Batch ID: ${written.batchId}; ` +
+    `use "Undo Last Update" to remove them).\n${skippedNote}`;
+}
+
+/**
+ * Appends the rows of an import plan whose status is IMPORT_STATUS.IMPORT to 'Event Attendance'
+ * in one write, creating the tab if needed, and tags them with an "IM-" Batch ID.
+ * @param {object} plan A plan from planAttendanceImport or planAttendanceSignIns.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @param {string} auditAction The action recorded in the 'Audit Log'.
+ * @return {object} { batchId, imported }; batchId is null if nothing was imported.
+ */
+function writeAttendanceImport(plan, timeZone, auditAction) {
+  const toImport = plan.rows.filter(row => row.status === IMPORT_STATUS.IMPORT);
+  if (toImport.length === 0) {
+    return { batchId: null, imported: 0 };
+  }
+
+  let eventSheet = plan.statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  if (!eventSheet) {
+    eventSheet = plan.statsSpreadsheet.insertSheet(EVENT_ATTENDANCE_TAB_NAME);
+    eventSheet.appendRow(buildEventAttendanceHeaderRow());
+  }
+
+  const runDate = new Date();
+  const batchId = generateBatchId(plan.communityId, runDate, timeZone, IMPORT_BATCH_ID_PREFIX);
+  const updateTimestamp = Utilities.formatDate(runDate, timeZone, 'M/d/yyyy');
+  const newRows = toImport.map(row => buildEventAttendanceRow({
+    personId: row.personId,
+    fullName: row.fullName,
+    event: row.event,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    eventDate: row.eventDate,
+    batchId: batchId,
+    updateTimestamp: updateTimestamp
+  }));
+  const firstNewRow = eventSheet.getLastRow() + 1;
+  eventSheet.getRange(firstNewRow, 1, newRows.length, EVENT_ATTENDANCE_COLUMN_COUNT).setValues(newRows);
+
+  recordAuditEntries(auditAction, plan.communityId, toImport.map((row, index) => ({
+    spreadsheet: plan.statsSpreadsheet.getName(),
+    tab: EVENT_ATTENDANCE_TAB_NAME,
+    range: describeRangeA1(firstNewRow + index, 1, 1, EVENT_ATTENDANCE_COLUMN_COUNT),
+    personId: row.personId,
+    field: 'Event row',
+    before: '',
+    after: `${row.event} on ${row.eventDate}`,
+    details: `Batch ${batchId}, sign-in line ${row.lineNumber}`
+  })));
+  return { batchId: batchId, imported: toImport.length };
+}
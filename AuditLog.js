@@ -0,0 +1,111 @@
+// --- Audit Log of Writes Made by the Tools ---
+
+// Append-only tab in this (Tools) spreadsheet. One row per changed cell or range.
+const AUDIT_LOG_SHEET_NAME = 'Audit Log';
+const AUDIT_LOG_HEADERS = [
+  'Timestamp', 'User', 'Action', 'Community ID', 'Spreadsheet', 'Tab', 'Range',
+  'Person ID', 'Field', 'Before', 'After', 'Details'
+];
+const AUDIT_COL_ACTION = 3; // Column C
+const AUDIT_COL_COMMUNITY_ID = 4; // Column D
+
+/**
+ * @return {string} The email of the user running the script, or 'unknown' if Google does not share it.
+ */
+function getCurrentUserEmail() {
+  return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || 'unknown';
+}
+
+/**
+ * Returns the 'Audit Log' tab, creating it (with a header, a filter and a warning-only
+ * protection so it is not edited by accident) if it does not exist yet.
+ * @return {Sheet}
+ */
+function getAuditLogSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let auditSheet = ss.getSheetByName(AUDIT_LOG_SHEET_NAME);
+  if (!auditSheet) {
+    auditSheet = ss.insertSheet(AUDIT_LOG_SHEET_NAME);
+    auditSheet.getRange(1, 1, 1, AUDIT_LOG_HEADERS.length).setValues([AUDIT_LOG_HEADERS]).setFontWeight('bold');
+    auditSheet.setFrozenRows(1);
+    auditSheet.getRange(1, 1, auditSheet.getMaxRows(), AUDIT_LOG_HEADERS.length).createFilter();
+    auditSheet.protect()
+      .setDescription('Written by Community Tools. Entries should not be edited.')
+      .setWarningOnly(true);
+  }
+  return auditSheet;
+}
+
+/**
+ * Appends entries to the 'Audit Log' in one write. Never throws: a failure to log is
+ * reported in the execution log rather than undoing a change that already happened.
+ * @param {string} action The menu command, e.g. 'Update Activity Level'.
+ * @param {string} communityId The community affected, or '' for Tools-only changes.
+ * @param {Array<object>} changes Each { spreadsheet, tab, range, personId, field, before, after, details }; all optional.
+ */
+function recordAuditEntries(action, communityId, changes) {
+  if (!changes || changes.length === 0) return;
+  try {
+    const timestamp = new Date();
+    const user = getCurrentUserEmail();
+    const valueOrBlank = value => (value === undefined || value === null ? '' : value);
+    const rows = changes.map(change => [
+      timestamp, user, action, valueOrBlank(communityId),
+      valueOrBlank(change.spreadsheet), valueOrBlank(change.tab), valueOrBlank(change.range),
+      valueOrBlank(change.personId), valueOrBlank(change.field),
+      valueOrBlank(change.before), valueOrBlank(change.after), valueOrBlank(change.details)
+    ]);
+    const auditSheet = getAuditLogSheet();
+    auditSheet.getRange(auditSheet.getLastRow() + 1, 1, rows.length, AUDIT_LOG_HEADERS.length).setValues(rows);
+  } catch (e) {
+    console.log(`Could not write to the "${AUDIT_LOG_SHEET_NAME}" tab: ${e.message}`);
+  }
+}
+
+/**
+ * @param {number} row 1-based first row.
+ * @param {number} column 1-based first column.
+ * @param {number} numRows
+ * @param {number} numColumns
+ * @return {string} The A1 notation of the range, e.g. "A7:F12".
+ */
+function describeRangeA1(row, column, numRows, numColumns) {
+  const start = columnNumberToLetter(column) + row;
+  if (numRows === 1 && numColumns === 1) return start;
+  return start + ':' + columnNumberToLetter(column + numColumns - 1) + (row + numRows - 1);
+}
+
+/**
+ * Menu item: filters the 'Audit Log' by Community ID and/or action, to answer questions
+ * such as "who zeroed this person's score?". Leaving both blank shows every entry.
+ */
+function filterAuditLog() {
+  const ui = SpreadsheetApp.getUi();
+  const auditSheet = getAuditLogSheet();
+
+  const communityResponse = ui.prompt('Filter Audit Log', 'Community ID to show (leave blank for all):', ui.ButtonSet.OK_CANCEL);
+  if (communityResponse.getSelectedButton() !== ui.Button.OK) return;
+  const actionResponse = ui.prompt('Filter Audit Log',
+    'Action to show (leave blank for all), e.g. "Load Data", "Update Activity Level", "Reset Activity Level", "Clear Names", "Get Names", "Undo Last Update":',
+    ui.ButtonSet.OK_CANCEL);
+  if (actionResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  let filter = auditSheet.getFilter();
+  if (!filter) {
+    filter = auditSheet.getRange(1, 1, auditSheet.getMaxRows(), AUDIT_LOG_HEADERS.length).createFilter();
+  }
+
+  const criteriaByColumn = {};
+  criteriaByColumn[AUDIT_COL_COMMUNITY_ID] = communityResponse.getResponseText().trim();
+  criteriaByColumn[AUDIT_COL_ACTION] = actionResponse.getResponseText().trim();
+  for (const column in criteriaByColumn) {
+    if (criteriaByColumn[column] === '') {
+      filter.removeColumnFilterCriteria(Number(column));
+    } else {
+      filter.setColumnFilterCriteria(Number(column),
+        SpreadsheetApp.newFilterCriteria().whenTextEqualTo(criteriaByColumn[column]).build());
+    }
+  }
+
+  SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(auditSheet);
+}
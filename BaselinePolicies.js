@@ -0,0 +1,261 @@
+// --- Baseline Adjustment Policies ---
+
+// Optional 'Settings' column, found by its header, choosing what Update Activity Level does for
+// a person who already has "BASELINE ADJUSTMENT" rows this quarter, e.g. when it is run twice.
+// Blank means DEFAULT_BASELINE_POLICY.
+const SETTINGS_HEADER_BASELINE_POLICY = 'Baseline Policy';
+
+// 'skip':    the person is left alone; no rows are logged and no score is written.
+// 'replace': their baseline rows of this quarter are deleted and the full set is logged again.
+//            The deleted rows are kept in REPLACED_BASELINE_SHEET_NAME, and Undo Last Update
+//            puts them back when it removes the new ones.
+// 'top-up':  their rows are kept and only the ones still missing to reach the new score are logged.
+const BASELINE_POLICIES = ['skip', 'replace', 'top-up'];
+const DEFAULT_BASELINE_POLICY = 'skip';
+
+// Hidden tab of this (Tools) spreadsheet. Each row is one deleted 'Event Attendance' row,
+// copied as it was from column A on, after the columns below.
+const REPLACED_BASELINE_SHEET_NAME = 'Replaced Baseline Rows';
+const REPLACED_BASELINE_HEADERS = ['Timestamp', 'Batch ID', 'Community ID', 'Spreadsheet', 'Person ID', 'Restored', 'Row (from column A)'];
+const REPLACED_BASELINE_COL_BATCH_ID = 2; // Column B
+const REPLACED_BASELINE_COL_COMMUNITY_ID = 3; // Column C
+const REPLACED_BASELINE_COL_PERSON_ID = 5; // Column E
+const REPLACED_BASELINE_COL_RESTORED = 6; // Column F
+const REPLACED_BASELINE_COL_ROW = 7; // Column G
+
+/**
+ * @param {object} config A config from loadCommunityConfig.
+ * @return {string} One of BASELINE_POLICIES.
+ * @throws {CommunityToolsError} If the community's "Baseline Policy" setting is not a known policy.
+ */
+function getCommunityBaselinePolicy(config) {
+  const policy = String(getCommunitySetting(config, SETTINGS_HEADER_BASELINE_POLICY)).trim().toLowerCase() || DEFAULT_BASELINE_POLICY;
+  if (BASELINE_POLICIES.indexOf(policy) === -1) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_SETTING,
+      `The "${SETTINGS_HEADER_BASELINE_POLICY}" of community "${config.communityId}" is "${policy}". Please use one of: ${BASELINE_POLICIES.join(', ')}.`);
+  }
+  return policy;
+}
+
+/**
+ * Finds the "BASELINE ADJUSTMENT" rows logged for the quarter of the run. A row counts when its
+ * event date or its "Update Timestamp" falls in the quarter, as 'carry-over' dates some rows
+ * in the previous one.
+ * @param {Array<Array<*>>} eventData The values of the 'Event Attendance' tab; empty if it does not exist.
+ * @param {Date} referenceDate The run date.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @return {object} Map of Person ID -> [{ rowNumber, eventDate (M/d/yyyy), batchId }], in sheet order.
+ */
+function findQuarterBaselineRows(eventData, referenceDate, timeZone) {
+  const quarterStart = getQuarterStartDate(referenceDate);
+  const quarterEnd = new Date(quarterStart.getFullYear(), quarterStart.getMonth() + 3, 1);
+  const inQuarter = date => date !== null && date >= quarterStart && date < quarterEnd;
+  const rowsByPerson = {};
+  for (let i = 1; i < eventData.length; i++) {
+    if (String(eventData[i][EVENT_COL_EVENT - 1]).trim().indexOf(BASELINE_EVENT_PREFIX) !== 0) continue;
+    const personId = String(eventData[i][EVENT_COL_PERSON_ID - 1]).trim();
+    const eventDate = parseImportDate(eventData[i][EVENT_COL_EVENT_DATE - 1]);
+    if (personId === '' || !(inQuarter(eventDate) || inQuarter(parseImportDate(eventData[i][EVENT_COL_UPDATE_TIMESTAMP - 1])))) continue;
+    (rowsByPerson[personId] = rowsByPerson[personId] || []).push({
+      rowNumber: i + 1,
+      eventDate: eventDate ? Utilities.formatDate(eventDate, timeZone, 'M/d/yyyy') : '',
+      batchId: String(eventData[i][EVENT_COL_BATCH_ID - 1]).trim()
+    });
+  }
+  return rowsByPerson;
+}
+
+/**
+ * Adjusts the planned entries of one community for the people who already have baseline rows
+ * this quarter. Every entry gets baselineAction ('new', 'replace' or 'top-up'), existingBaselineRows
+ * and keptBaselineCount (rows left in place, so that the new rows are numbered after them);
+ * people skipped under 'skip' are moved from entries to baselineSkipped. baselineFailed starts
+ * empty and is filled by deleteReplacedBaselineRows.
+ * @param {object} planned The result of planCommunityActivityLevels; changed in place.
+ * @param {object} existingRows The map from findQuarterBaselineRows.
+ * @param {string} policy One of BASELINE_POLICIES.
+ * @param {Date} referenceDate The run date.
+ */
+function applyBaselinePolicy(planned, existingRows, policy, referenceDate) {
+  const quarterStart = getQuarterStartDate(referenceDate);
+  planned.baselineSkipped = [];
+  planned.baselineFailed = [];
+  planned.entries = planned.entries.filter(entry => {
+    const existing = existingRows[String(entry.personId).trim()] || [];
+    entry.existingBaselineRows = existing;
+    entry.keptBaselineCount = 0;
+    entry.baselineAction = existing.length === 0 ? 'new' : policy;
+    if (entry.baselineAction === 'skip') {
+      planned.baselineSkipped.push(entry);
+      return false;
+    }
+    if (entry.baselineAction === 'top-up') {
+      const needed = Math.max(entry.newK - existing.length, 0);
+      const usedDates = existing.map(row => row.eventDate);
+      entry.keptBaselineCount = existing.length;
+      entry.eventDates = entry.eventDates.filter(date => usedDates.indexOf(date) === -1).slice(0, needed);
+      entry.shortfall = needed - entry.eventDates.length;
+      entry.carriedOver = entry.eventDates.filter(date => parseImportDate(date) < quarterStart).length;
+    }
+    return true;
+  });
+}
+
+/**
+ * Deletes the rows that the 'replace' policy logs again, after copying them to
+ * REPLACED_BASELINE_SHEET_NAME under the batch's ID. The rows are looked up again by Person ID,
+ * as earlier chunks of the run (or other edits) may have moved them since the plan was made.
+ * A person whose rows are no longer there gets baselineFailure and moves from entries to
+ * baselineFailed, so that nothing is logged or scored for them.
+ * @param {object} communityPlan One entry of plan.communities; entries may be changed.
+ * @param {Sheet} eventAttendanceSheet The community's 'Event Attendance' tab.
+ * @param {string} auditAction The action recorded in the 'Audit Log'.
+ * @return {number} The number of rows deleted.
+ */
+function deleteReplacedBaselineRows(communityPlan, eventAttendanceSheet, auditAction) {
+  const replacing = communityPlan.entries.filter(entry => entry.baselineAction === 'replace');
+  if (replacing.length === 0) return 0;
+
+  const eventData = eventAttendanceSheet.getDataRange().getValues();
+  const currentRows = findQuarterBaselineRows(eventData, communityPlan.runDate, communityPlan.timeZone);
+  const rowsToDelete = [];
+  const keptRows = [];
+  const auditChanges = [];
+  const failed = [];
+  const timestamp = new Date();
+  const spreadsheetName = communityPlan.statsSpreadsheet.getName();
+  for (const entry of replacing) {
+    const stillThere = currentRows[String(entry.personId).trim()] || [];
+    if (stillThere.length === 0) {
+      entry.baselineFailure = `the ${entry.existingBaselineRows.length} baseline rows to replace are no longer in ` +
+        `'${EVENT_ATTENDANCE_TAB_NAME}'; run "Update Activity Level" again`;
+      failed.push(entry);
+      continue;
+    }
+    entry.existingBaselineRows = stillThere;
+    Array.prototype.push.apply(rowsToDelete, stillThere.map(row => row.rowNumber));
+    stillThere.forEach(row => keptRows.push(
+      [timestamp, communityPlan.batchId, communityPlan.communityId, spreadsheetName, entry.personId, ''].concat(eventData[row.rowNumber - 1])));
+    auditChanges.push({
+      spreadsheet: spreadsheetName,
+      tab: EVENT_ATTENDANCE_TAB_NAME,
+      range: `rows ${describeRowNumbers(stillThere.map(row => row.rowNumber))}`,
+      personId: entry.personId,
+      field: 'BASELINE ADJUSTMENT rows',
+      before: `${stillThere.length} rows dated ${stillThere.map(row => row.eventDate).join(', ')}`,
+      after: 'deleted',
+      details: `Replaced by batch ${communityPlan.batchId} ("${SETTINGS_HEADER_BASELINE_POLICY}" replace, kept in '${REPLACED_BASELINE_SHEET_NAME}'); ` +
+        `earlier batches ${stillThere.map(row => row.batchId || '(untagged)').filter((id, i, ids) => ids.indexOf(id) === i).join(', ')}`
+    });
+  }
+  if (failed.length > 0) {
+    communityPlan.entries = communityPlan.entries.filter(entry => failed.indexOf(entry) === -1);
+    Array.prototype.push.apply(communityPlan.baselineFailed, failed);
+  }
+  if (rowsToDelete.length > 0) {
+    const keptSheet = getReplacedBaselineSheet();
+    keptSheet.getRange(keptSheet.getLastRow() + 1, 1, keptRows.length, keptRows[0].length).setValues(keptRows);
+    deleteRowNumbers(eventAttendanceSheet, rowsToDelete);
+  }
+  recordAuditEntries(auditAction, communityPlan.communityId, auditChanges);
+  return rowsToDelete.length;
+}
+
+/**
+ * @return {Sheet} The REPLACED_BASELINE_SHEET_NAME tab, created hidden if needed.
+ */
+function getReplacedBaselineSheet() {
+  const isNew = !SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REPLACED_BASELINE_SHEET_NAME);
+  const sheet = getOrCreateToolsTab(REPLACED_BASELINE_SHEET_NAME, REPLACED_BASELINE_HEADERS);
+  if (isNew) sheet.hideSheet();
+  return sheet;
+}
+
+/**
+ * Lists the batches of a community whose replaced rows have not been put back.
+ * @param {string} communityId The community.
+ * @return {object} Map of Batch ID -> { count, personIds }.
+ */
+function collectReplacedBaselineBatches(communityId) {
+  const keptSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REPLACED_BASELINE_SHEET_NAME);
+  const batches = {};
+  if (!keptSheet) return batches;
+
+  const keptData = keptSheet.getDataRange().getValues();
+  for (let i = 1; i < keptData.length; i++) {
+    const row = keptData[i];
+    if (String(row[REPLACED_BASELINE_COL_COMMUNITY_ID - 1]).trim() != String(communityId).trim()) continue;
+    if (String(row[REPLACED_BASELINE_COL_RESTORED - 1]).trim() !== '') continue;
+    const batchId = String(row[REPLACED_BASELINE_COL_BATCH_ID - 1]).trim();
+    if (!batches[batchId]) batches[batchId] = { count: 0, personIds: {} };
+    batches[batchId].count++;
+    batches[batchId].personIds[String(row[REPLACED_BASELINE_COL_PERSON_ID - 1]).trim()] = true;
+  }
+  return batches;
+}
+
+/**
+ * Appends the 'Event Attendance' rows a batch deleted under the 'replace' policy back to the
+ * tab, in one write, and marks them as restored.
+ * @param {string} communityId The community.
+ * @param {string} batchId The batch being undone.
+ * @param {Sheet} eventAttendanceSheet The community's 'Event Attendance' tab.
+ * @return {number} The number of rows put back.
+ */
+function restoreReplacedBaselineRows(communityId, batchId, eventAttendanceSheet) {
+  const keptSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(REPLACED_BASELINE_SHEET_NAME);
+  if (!keptSheet) return 0;
+
+  const keptData = keptSheet.getDataRange().getValues();
+  const width = Math.min(keptData[0].length - REPLACED_BASELINE_COL_ROW + 1, eventAttendanceSheet.getMaxColumns());
+  const restoredOn = Utilities.formatDate(new Date(), SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'M/d/yyyy HH:mm');
+  const rows = [];
+  const marks = [];
+  const auditChanges = [];
+  for (let i = 1; i < keptData.length; i++) {
+    const row = keptData[i];
+    if (String(row[REPLACED_BASELINE_COL_BATCH_ID - 1]).trim() !== batchId) continue;
+    if (String(row[REPLACED_BASELINE_COL_COMMUNITY_ID - 1]).trim() != String(communityId).trim()) continue;
+    if (String(row[REPLACED_BASELINE_COL_RESTORED - 1]).trim() !== '') continue;
+    rows.push(row.slice(REPLACED_BASELINE_COL_ROW - 1, REPLACED_BASELINE_COL_ROW - 1 + width));
+    marks.push({ rowNumber: i + 1, value: restoredOn });
+  }
+  if (rows.length === 0) return 0;
+
+  const firstRowNumber = eventAttendanceSheet.getLastRow() + 1;
+  eventAttendanceSheet.getRange(firstRowNumber, 1, rows.length, width).setValues(rows);
+  writeColumnCells(keptSheet, REPLACED_BASELINE_COL_RESTORED, marks);
+  rows.forEach((row, index) => auditChanges.push({
+    spreadsheet: eventAttendanceSheet.getParent().getName(),
+    tab: EVENT_ATTENDANCE_TAB_NAME,
+    range: describeRangeA1(firstRowNumber + index, 1, 1, width),
+    personId: row[EVENT_COL_PERSON_ID - 1],
+    field: 'BASELINE ADJUSTMENT rows',
+    before: 'deleted',
+    after: String(row[EVENT_COL_EVENT - 1]),
+    details: `Replaced by batch ${batchId}; put back by its undo`
+  }));
+  recordAuditEntries('Undo Last Update', communityId, auditChanges);
+  return rows.length;
+}
+
+/**
+ * @param {object} communityPlan One entry of plan.communities.
+ * @return {Array<string>} What the policy did for each person who already had baseline rows this quarter.
+ */
+function describeBaselinePolicyOutcomes(communityPlan) {
+  const person = entry => `${entry.fullName} (ID: ${entry.personId})`;
+  const outcomes = (communityPlan.baselineSkipped || []).map(entry =>
+    `${person(entry)} - skipped, ${entry.existingBaselineRows.length} rows kept`);
+  (communityPlan.baselineFailed || []).forEach(entry => outcomes.push(`${person(entry)} - failed, ${entry.baselineFailure}`));
+  communityPlan.entries.forEach(entry => {
+    if (entry.baselineFailure) return;
+    if (entry.baselineAction === 'replace') {
+      outcomes.push(`${person(entry)} - ${entry.existingBaselineRows.length} rows replaced by ${entry.eventDates.length}`);
+    } else if (entry.baselineAction === 'top-up') {
+      outcomes.push(`${person(entry)} - ${entry.keptBaselineCount} rows kept, ` +
+        (entry.keptBaselineCount >= entry.newK ? `none added (new score ${entry.newK})` : `${entry.eventDates.length} added to reach ${entry.newK}`));
+    }
+  });
+  return outcomes;
+}
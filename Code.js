@@ -15,23 +15,40 @@ const UAT_COL_FULL_NAME = 2; // Column B
 const UAT_COL_LAST_NAME = 3; // Column C
 const UAT_COL_FIRST_NAME = 4; // Column D
 const UAT_COL_ACTIVITY_LEVEL = 5; // Column E
+const UAT_COL_COMMUNITY_ID = 6; // Column F (optional; blank means the community in UAT_CELL_COMMUNITY_ID)
+const UAT_COL_STATUS = 7; // Column G (the outcome of the last command for the row; see TrackerStatus.js)
 const UAT_HEADER_ROW = 6; // Row 6 for headers
 const UAT_START_DATA_ROW = 7; // Data starts from Row 7
 const UAT_CELL_COMMUNITY_ID = 'B4';
+const LOAD_DATA_FLAG_BACKGROUND = '#fce8b2'; // Rows Load Data could not match with certainty
 
 // Community Sheets: 'Directory' Tab Columns (1-based index)
+// Default positions only; the actual columns are found by header (see CommunityConfig.js).
 const DIR_COL_PERSON_ID = 1; // Column A
 const DIR_COL_LAST_NAME = 3; // Column C
 const DIR_COL_FIRST_NAME = 4; // Column D
 const DIRECTORY_TAB_NAME = 'Directory';
 
 // Community Sheets: 'Attendance Stats' Tab Columns (1-based index)
+// Default positions only; the actual columns are found by header (see CommunityConfig.js).
 const STATS_COL_PERSON_ID = 1; // Column A
 const STATS_COL_FIRST_NAME = 3; // Column C
 const STATS_COL_LAST_NAME = 4; // Column D
 const STATS_COL_QUARTER_EVENTS = 5; // Column E for "Events This Quarter"
 const STATS_COL_ACTIVITY_SCORE = 12; // Column L (for the numeric activity score)
 const ATTENDANCE_STATS_TAB_NAME = 'Attendance Stats';
+
+// Community Sheets: 'Event Attendance' Tab Columns (1-based index)
+// The header texts and the row layout are built from these (see EventAttendanceSchema.js).
+const EVENT_COL_PERSON_ID = 1; // Column A
+const EVENT_COL_FULL_NAME = 2; // Column B
+const EVENT_COL_EVENT = 3; // Column C
+const EVENT_COL_FIRST_NAME = 5; // Column E
+const EVENT_COL_LAST_NAME = 6; // Column F
+const EVENT_COL_EVENT_DATE = 11; // Column K
+const EVENT_COL_BATCH_ID = 13; // Column M (tags rows written by one Update Activity Level run)
+const EVENT_COL_UPDATE_TIMESTAMP = 14; // Column N
+const EVENT_ATTENDANCE_COLUMN_COUNT = 14; // Columns A:N
 // --- End of Constants Section ---
 
 // --- UI and Menu ---
@@ -40,58 +57,67 @@ const ATTENDANCE_STATS_TAB_NAME = 'Attendance Stats';
  * Runs when the spreadsheet is opened. Adds a custom menu with icons (emojis).
  */
 function onOpen() {
-  SpreadsheetApp.getUi()
-    .createMenu('⚙️ Community Tools')
+  const ui = SpreadsheetApp.getUi();
+  // Commands restricted by the permissions table (see Permissions.js) are left out for users without them.
+  const canRun = getMenuPermissionFilter();
+  const menu = ui.createMenu('⚙️ Community Tools')
     .addItem('📥 Load Data', 'loadData')
     .addItem('📋 Get Names From Attendance Stats', 'getNamesFromAttendanceStats')
     .addItem('📂 Get Names From Directory', 'getNamesFromDirectory')
-    .addSeparator()
-    .addItem('✅ Update Activity Level', 'updateActivityLevels')
-    .addSeparator()
+    .addItem('🔍 Search People', 'openPeopleSearchSidebar');
+  if (canRun(PERMISSION_ACTIONS.IMPORT)) menu.addItem('📝 Import Attendance', 'importAttendance');
+  menu.addItem('🚩 Show Only Problems', 'showOnlyTrackerProblems')
+    .addItem('👁️ Show All Tracker Rows', 'showAllTrackerRows')
+    .addSeparator();
+  if (canRun(PERMISSION_ACTIONS.UPDATE)) menu.addItem('✅ Update Activity Level', 'updateActivityLevels');
+  menu.addItem('🎚️ Refresh Activity Level Choices', 'refreshActivityLevelChoices')
+    .addItem('🧭 Check Column Layout', 'checkCommunityColumnLayout')
+    .addItem('🩺 Validate Setup', 'validateSetup');
+  if (canRun(PERMISSION_ACTIONS.MIGRATE)) menu.addItem('🧱 Migrate Event Attendance', 'migrateEventAttendanceSchema');
+  menu.addItem('🧮 Reconcile Community', 'reconcileCommunity')
+    .addItem('📊 Build Dashboard', 'buildDashboard')
+    .addItem('📤 Export Update Results', 'exportUpdateResults')
+    .addItem('🧾 Export Attendance History', 'exportAttendanceHistory');
+  if (canRun(PERMISSION_ACTIONS.RECONCILE)) menu.addItem('🛠️ Apply Selected Reconcile Fixes', 'applyReconcileFixes');
+  // Reset Activity Level stays: without "reset" it still clears the tracker's levels.
+  menu.addSeparator()
     .addItem('🗑️ Clear Names', 'clearNamesAndCommunityID')
-    .addItem('↩️ Reset Activity Level', 'resetActivityLevelValues')
-    .addToUi();
+    .addItem('↩️ Reset Activity Level', 'resetActivityLevelValues');
+  if (canRun(PERMISSION_ACTIONS.UNDO)) menu.addItem('⏪ Undo Last Update', 'undoLastActivityUpdate');
+  menu.addItem('🔎 Filter Audit Log', 'filterAuditLog');
+  if (canRun(PERMISSION_ACTIONS.SCHEDULE)) {
+    menu.addSeparator()
+      .addSubMenu(ui.createMenu('⏰ Scheduled Updates')
+        .addItem('💾 Save Activity Levels for Schedule', 'saveActivityLevelsForSchedule')
+        .addItem('➕ Install Schedule', 'installActivityUpdateSchedule')
+        .addItem('📅 List Schedules', 'listActivityUpdateSchedules')
+        .addItem('➖ Remove Schedule', 'removeActivityUpdateSchedule'));
+  }
+  if (canRun(PERMISSION_ACTIONS.API)) {
+    menu.addSubMenu(ui.createMenu('🌐 Web API')
+      .addItem('🔑 Create Web API Key', 'createWebApiKey')
+      .addItem('🚫 Revoke Web API Key', 'revokeWebApiKey'));
+  }
+  menu.addToUi();
 }
 
-// --- Helper Function to Get Community URLs ---
-
 /**
- * Gets the Directory and Attendance Stats URLs for the selected community.
- * @param {string} communityId The ID of the community selected in UAT_CELL_COMMUNITY_ID.
- * @return {object|null} An object with { directoryUrl: '...', statsUrl: '...' } or null if not found.
+ * Simple trigger. Turns a candidate picked from the Person ID dropdown into a plain Person ID.
+ * @param {object} e The edit event.
  */
-function getCommunityUrls(communityId) {
-  if (!communityId) {
-    SpreadsheetApp.getUi().alert('Error', 'Please select a Community ID from cell ' + UAT_CELL_COMMUNITY_ID + '.', SpreadsheetApp.getUi().ButtonSet.OK);
-    return null;
-  }
-
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const settingsSheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
-  if (!settingsSheet) {
-    SpreadsheetApp.getUi().alert('Error', 'The "Settings" tab could not be found.', SpreadsheetApp.getUi().ButtonSet.OK);
-    return null;
-  }
-
-  const settingsData = settingsSheet.getDataRange().getValues();
-  for (let i = 0; i < settingsData.length; i++) {
-    if (settingsData[i][SETTINGS_COL_COMMUNITY_ID - 1] == communityId) {
-      return {
-        directoryUrl: settingsData[i][SETTINGS_COL_DIRECTORY_URL - 1],
-        statsUrl: settingsData[i][SETTINGS_COL_ATTENDANCE_STATS_URL - 1]
-      };
-    }
-  }
-  SpreadsheetApp.getUi().alert('Error', 'Community ID "' + communityId + '" not found in the "Settings" tab.', SpreadsheetApp.getUi().ButtonSet.OK);
-  return null;
+function onEdit(e) {
+  applyCandidateSelection(e);
 }
 
-
 // --- Main Functions for Menu Items ---
 
 /**
  * Loads Person IDs and Full Names from the community's 'Directory' sheet
  * based on Last Name and First Name entered in the 'Update Attendance Tracker' tab.
+ * Each row is looked up in the community in its "Community ID" column, or in UAT_CELL_COMMUNITY_ID if blank.
+ * Names are matched tolerantly (see NameMatching.js); rows that cannot be matched with
+ * certainty keep what was typed and are highlighted with suggestions in a note. When several
+ * Directory entries share the name, the Person ID cell offers them in a dropdown (see onEdit).
  */
 function loadData() {
   const ui = SpreadsheetApp.getUi();
@@ -103,32 +129,6 @@ function loadData() {
     return;
   }
 
-  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
-  if (!selectedCommunityId) {
-    ui.alert('Error', 'Please select a Community ID in cell ' + UAT_CELL_COMMUNITY_ID + '.', ui.ButtonSet.OK);
-    return;
-  }
-
-  const urls = getCommunityUrls(selectedCommunityId);
-  if (!urls || !urls.directoryUrl) {
-    return;
-  }
-
-  let directorySpreadsheet;
-  try {
-    directorySpreadsheet = SpreadsheetApp.openByUrl(urls.directoryUrl);
-  } catch (e) {
-    ui.alert('Error', 'Could not open the Directory spreadsheet. Please check the URL in Settings for Community ID "' + selectedCommunityId + '". Error: ' + e.message, ui.ButtonSet.OK);
-    return;
-  }
-
-  const directorySheet = directorySpreadsheet.getSheetByName(DIRECTORY_TAB_NAME);
-  if (!directorySheet) {
-    ui.alert('Error', 'Tab "' + DIRECTORY_TAB_NAME + '" not found in the Directory spreadsheet for ' + selectedCommunityId + '.', ui.ButtonSet.OK);
-    return;
-  }
-
-  const directoryData = directorySheet.getDataRange().getValues();
   let lastRowWithInput = UAT_START_DATA_ROW - 1;
   const lastNameColRange = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_LAST_NAME, uatSheet.getMaxRows() - UAT_START_DATA_ROW + 1, 1);
   const firstNameColRange = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_FIRST_NAME, uatSheet.getMaxRows() - UAT_START_DATA_ROW + 1, 1);
@@ -151,57 +151,143 @@ function loadData() {
   const numDataRowsToProcess = lastRowWithInput - UAT_START_DATA_ROW + 1;
   const uatRangeToProcess = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, numDataRowsToProcess, UAT_COL_FIRST_NAME);
   const uatValuesToUpdate = uatRangeToProcess.getValues();
+  const uatOriginalValues = uatValuesToUpdate.map(row => row.slice());
+  const uatRowCommunityIds = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_COMMUNITY_ID, numDataRowsToProcess, 1).getValues();
+  const uatNotes = [];
+  const uatBackgrounds = [];
+  const uatIdValidations = [];
+  const uatStatuses = [];
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  if (!selectedCommunityId && uatRowCommunityIds.every(row => String(row[0]).trim() === "")) {
+    ui.alert('Error', 'Please select a Community ID in cell ' + UAT_CELL_COMMUNITY_ID + ', or fill in the "Community ID" column.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const directoriesByCommunity = {};
+  const aliases = loadNameAliases();
 
   let namesProcessed = 0;
   let namesFound = 0;
+  let namesCorrectedList = [];
+  let namesFlaggedList = [];
   let namesNotFoundList = [];
+  let namesSkippedList = [];
 
   for (let i = 0; i < uatValuesToUpdate.length; i++) {
     const lastNameToSearch = uatValuesToUpdate[i][UAT_COL_LAST_NAME - UAT_COL_ID];
     const firstNameToSearch = uatValuesToUpdate[i][UAT_COL_FIRST_NAME - UAT_COL_ID];
+    let rowNote = "";
+    let rowBackground = null;
+    let rowValidation = null;
+    let rowStatus = "";
 
     if (lastNameToSearch && String(lastNameToSearch).trim() !== "" &&
       firstNameToSearch && String(firstNameToSearch).trim() !== "") {
       namesProcessed++;
-      let foundMatchInDirectory = false;
-      for (let j = 0; j < directoryData.length; j++) {
-        const dirLastName = directoryData[j][DIR_COL_LAST_NAME - 1];
-        const dirFirstName = directoryData[j][DIR_COL_FIRST_NAME - 1];
-
-        if (String(dirLastName).trim().toLowerCase() === String(lastNameToSearch).trim().toLowerCase() &&
-          String(dirFirstName).trim().toLowerCase() === String(firstNameToSearch).trim().toLowerCase()) {
-
-          const personId = directoryData[j][DIR_COL_PERSON_ID - 1];
-          const fullName = String(dirFirstName).trim() + " " + String(dirLastName).trim();
-
-          uatValuesToUpdate[i][UAT_COL_ID - UAT_COL_ID] = personId;
-          uatValuesToUpdate[i][UAT_COL_FULL_NAME - UAT_COL_ID] = fullName;
-          namesFound++;
-          foundMatchInDirectory = true;
-          break;
-        }
+      const typedName = String(firstNameToSearch).trim() + " " + String(lastNameToSearch).trim();
+      const rowCommunityId = String(uatRowCommunityIds[i][0]).trim() || String(selectedCommunityId).trim();
+      if (!(rowCommunityId in directoriesByCommunity)) {
+        directoriesByCommunity[rowCommunityId] = rowCommunityId === "" ? null : openCommunityDirectory(ui, rowCommunityId);
+      }
+      const directory = directoriesByCommunity[rowCommunityId];
+      if (!directory) {
+        rowNote = rowCommunityId === "" ? "This row has no Community ID." : `The Directory of community "${rowCommunityId}" could not be read.`;
+        uatNotes.push([rowNote, "", "", ""]);
+        uatBackgrounds.push([LOAD_DATA_FLAG_BACKGROUND, LOAD_DATA_FLAG_BACKGROUND, LOAD_DATA_FLAG_BACKGROUND, LOAD_DATA_FLAG_BACKGROUND]);
+        uatIdValidations.push([null]);
+        uatStatuses.push(formatTrackerStatus(rowCommunityId === "" ? TRACKER_STATUS.SKIPPED : TRACKER_STATUS.FAILED, rowNote));
+        namesSkippedList.push(typedName);
+        continue;
       }
-      if (!foundMatchInDirectory) {
-        namesNotFoundList.push(String(firstNameToSearch).trim() + " " + String(lastNameToSearch).trim());
+      const match = matchTrackerRow(firstNameToSearch, lastNameToSearch, uatValuesToUpdate[i][UAT_COL_ID - UAT_COL_ID], directory, aliases);
+      rowNote = match.note;
+
+      if (match.status === 'matched') {
+        const entry = match.entry;
+        rowStatus = match.matchType === 'exact' ? TRACKER_STATUS.MATCHED : `${TRACKER_STATUS.MATCHED} (${match.matchType} name, Directory spelling used)`;
+        uatValuesToUpdate[i][UAT_COL_ID - UAT_COL_ID] = entry.personId;
+        uatValuesToUpdate[i][UAT_COL_FULL_NAME - UAT_COL_ID] = entry.firstName + " " + entry.lastName;
+        namesFound++;
+        if (match.matchType !== 'exact') {
+          // Use the Directory spelling so the later Attendance Stats lookups match.
+          uatValuesToUpdate[i][UAT_COL_LAST_NAME - UAT_COL_ID] = entry.lastName;
+          uatValuesToUpdate[i][UAT_COL_FIRST_NAME - UAT_COL_ID] = entry.firstName;
+          namesCorrectedList.push(`${typedName} -> ${entry.firstName} ${entry.lastName}`);
+        }
+      } else {
+        // Keep what the user typed so it can be corrected, but never keep a stale ID.
         uatValuesToUpdate[i][UAT_COL_ID - UAT_COL_ID] = null;
         uatValuesToUpdate[i][UAT_COL_FULL_NAME - UAT_COL_ID] = null;
-        uatValuesToUpdate[i][UAT_COL_LAST_NAME - UAT_COL_ID] = null;
-        uatValuesToUpdate[i][UAT_COL_FIRST_NAME - UAT_COL_ID] = null;
+        rowBackground = LOAD_DATA_FLAG_BACKGROUND;
+        if (match.status === 'not-found') {
+          rowStatus = formatTrackerStatus(TRACKER_STATUS.NOT_FOUND, 'not in the Directory');
+          namesNotFoundList.push(typedName);
+        } else {
+          rowStatus = formatTrackerStatus(match.status === 'ambiguous' ? TRACKER_STATUS.AMBIGUOUS : TRACKER_STATUS.CLOSE_MATCH,
+            'pick the right person from the Person ID dropdown in column A');
+          namesFlaggedList.push(typedName);
+          rowValidation = SpreadsheetApp.newDataValidation()
+            .requireValueInList(buildCandidateLabels(selectOfferedCandidates(match.candidates), directory.directoryData, directory.dirColumns), true)
+            .setAllowInvalid(true)
+            .build();
+        }
       }
+    } else if ((lastNameToSearch && String(lastNameToSearch).trim() !== "") || (firstNameToSearch && String(firstNameToSearch).trim() !== "")) {
+      rowStatus = formatTrackerStatus(TRACKER_STATUS.SKIPPED, 'needs both a First Name and a Last Name');
     }
+    uatStatuses.push(rowStatus);
+    uatNotes.push([rowNote, "", "", ""]);
+    uatBackgrounds.push([rowBackground, rowBackground, rowBackground, rowBackground]);
+    uatIdValidations.push([rowValidation]);
   }
 
   if (numDataRowsToProcess > 0) {
     uatRangeToProcess.setValues(uatValuesToUpdate);
+    uatRangeToProcess.setNotes(uatNotes);
+    uatRangeToProcess.setBackgrounds(uatBackgrounds);
+    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, numDataRowsToProcess, 1).setDataValidations(uatIdValidations);
+    writeTrackerStatuses(uatSheet, uatStatuses);
+
+    // One entry per community whose rows changed, as rows can carry their own Community ID.
+    const auditChangesByCommunity = {};
+    const cellText = value => (value === null || value === undefined ? "" : String(value));
+    uatValuesToUpdate.forEach((row, index) => {
+      const before = uatOriginalValues[index];
+      if (row.every((value, j) => cellText(value) === cellText(before[j]))) return;
+      const rowCommunityId = String(uatRowCommunityIds[index][0]).trim() || String(selectedCommunityId).trim();
+      (auditChangesByCommunity[rowCommunityId] = auditChangesByCommunity[rowCommunityId] || []).push({
+        spreadsheet: ss.getName(),
+        tab: UPDATE_TRACKER_SHEET_NAME,
+        range: describeRangeA1(UAT_START_DATA_ROW + index, UAT_COL_ID, 1, UAT_COL_FIRST_NAME),
+        personId: row[UAT_COL_ID - UAT_COL_ID] || before[UAT_COL_ID - UAT_COL_ID],
+        field: 'Tracker row',
+        before: before.map(cellText).join(' | '),
+        after: row.map(cellText).join(' | '),
+        details: uatNotes[index][0]
+      });
+    });
+    Object.keys(auditChangesByCommunity).forEach(communityId =>
+      recordAuditEntries('Load Data', communityId, auditChangesByCommunity[communityId]));
   }
 
   let message = "Load Data Complete.\n";
   if (namesProcessed > 0) {
     message += "Attempted to process " + namesProcessed + " names (where both First and Last Name were provided).\n";
     message += "Found and data loaded for: " + namesFound + ".\n";
+    if (namesCorrectedList.length > 0) {
+      message += "Matched despite spelling, nickname or order differences (names updated to the Directory spelling): " + namesCorrectedList.join(", ") + ".\n";
+    }
+    if (namesFlaggedList.length > 0) {
+      message += "Ambiguous or close matches (highlighted; pick the right person from the Person ID dropdown in column A): " + namesFlaggedList.length + ".\n";
+      message += "Details: " + namesFlaggedList.join(", ") + ".\n";
+    }
+    if (namesSkippedList.length > 0) {
+      message += "Skipped because their community's Directory could not be read: " + namesSkippedList.join(", ") + ".\n";
+    }
     if (namesNotFoundList.length > 0) {
-      message += "Not Found in Directory (and cleared from sheet): " + namesNotFoundList.length + ".\n";
-      message += "Details of not found (and cleared): " + namesNotFoundList.join(", ") + ".";
+      message += "Not Found in Directory (highlighted and left in the sheet): " + namesNotFoundList.length + ".\n";
+      message += "Details of not found: " + namesNotFoundList.join(", ") + ".";
     } else if (namesFound === namesProcessed) {
       message += "All processed names were found in the directory.";
     }
@@ -213,186 +299,360 @@ function loadData() {
 
 
 /**
- * -- MODIFIED VERSION --
+ * Menu wrapper of loadCommunityDirectory: shows an alert and returns null on errors.
+ * @param {Ui} ui The spreadsheet UI, used to report errors.
+ * @param {string} communityId The community.
+ * @return {object|null} { config, directoryData, dirColumns, directoryIndex, directoryLookup }, or null if an error was reported.
+ */
+function openCommunityDirectory(ui, communityId) {
+  try {
+    return loadCommunityDirectory(communityId);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return null;
+  }
+}
+
+
+/**
  * Calculates activity scores internally and logs corresponding "event attendances".
- * This version DOES NOT write or update the score in the 'Attendance Stats' sheet.
+ * The score is written to the 'Attendance Stats' sheet only for communities whose
+ * "Write Back Scores" setting is on (see ScoreWriteBack.js).
+ * Nothing is written until the user confirms the preview dialog. Each tracker row goes to
+ * the community in its "Community ID" column, or to the one in UAT_CELL_COMMUNITY_ID if blank.
  */
 function updateActivityLevels() {
   const ui = SpreadsheetApp.getUi();
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const timeZone = ss.getSpreadsheetTimeZone();
-  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  const plan = buildActivityLevelUpdatePlan(ui);
+  if (!plan) return;
 
-  if (!uatSheet) {
-    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+  const entryCount = plan.communities.reduce((count, communityPlan) => count + communityPlan.entries.length, 0);
+  if (entryCount === 0) {
+    writeTrackerStatuses(plan.uatSheet, buildUpdateTrackerStatuses(plan));
+    ui.alert('Processing Complete', formatActivityLevelUpdateMessage(plan, {}), ui.ButtonSet.OK);
     return;
   }
 
-  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
-  if (!selectedCommunityId) {
-    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}.`, ui.ButtonSet.OK);
-    return;
-  }
+  const template = HtmlService.createTemplateFromFile('ActivityLevelPreview');
+  template.plan = plan;
+  const dialog = template.evaluate().setWidth(900).setHeight(560);
+  ui.showModalDialog(dialog, `Preview: Update Activity Level for ${plan.communities.map(c => '"' + c.communityId + '"').join(', ')}`);
+}
 
-  const urls = getCommunityUrls(selectedCommunityId);
-  if (!urls || !urls.statsUrl) {
-    if (urls && !urls.statsUrl) {
-      ui.alert('Error', `URL for 'Attendance Stats' of community "${selectedCommunityId}" is missing in Settings.`, ui.ButtonSet.OK);
+
+/**
+ * Called from the preview dialog once the user confirms. Rebuilds the plan from the
+ * current sheet contents and appends the "BASELINE ADJUSTMENT" rows to each community.
+ * Stops between chunks of people when the time budget is used up; running it again resumes.
+ * @return {string} The results message shown in the dialog.
+ */
+function applyActivityLevelUpdate() {
+  const startedAt = Date.now();
+  // The plan is built again under the writer lock, so no other command moves the rows it refers to.
+  return withWriterLock(() => {
+    const ui = SpreadsheetApp.getUi();
+    const plan = buildActivityLevelUpdatePlan(ui);
+    if (!plan) {
+      return 'No changes were made.';
     }
-    return;
-  }
 
-  let statsSpreadsheets;
-  try {
-    statsSpreadsheets = SpreadsheetApp.openByUrl(urls.statsUrl);
-  } catch (e) {
-    ui.alert('Error', `Could not open the Attendance Stats spreadsheet for "${selectedCommunityId}". Error: ${e.message}`, ui.ButtonSet.OK);
-    return;
-  }
+    // Progress is saved after each chunk of people so that a stopped run can be resumed (see ResumableRuns.js).
+    const checkpoint = plan.checkpoint || { fingerprint: plan.trackerFingerprint, startedAt: new Date().toISOString(), communities: {} };
+    const deadline = startedAt + RUN_TIME_BUDGET_SECONDS * 1000;
+    const loggedByCommunity = {};
+    const scoresWrittenByCommunity = {};
+    for (const communityPlan of plan.communities) {
+      const communityId = communityPlan.communityId;
+      const earlier = checkpoint.communities[communityId];
+      if (earlier && earlier.status === RUN_STATUS.STARTED && isRunBatchWritten(communityPlan, earlier.batchId)) {
+        // Stopped in the middle of a chunk: planning it again would not give the same scores.
+        plan.partlyWrittenCommunities.push({ communityId: communityId, batchId: earlier.batchId });
+        continue;
+      }
+
+      const written = writeCommunityPlanInChunks(communityPlan, plan.formattedExecutionDate, checkpoint, deadline);
+      loggedByCommunity[communityId] = written.logged;
+      scoresWrittenByCommunity[communityId] = written.scoresWritten;
+      if (!written.finished) {
+        plan.stoppedCommunities.push(communityId);
+      }
+    }
+    if (plan.stoppedCommunities.length === 0 && plan.partlyWrittenCommunities.length === 0) {
+      clearRunCheckpoint();
+    }
+    writeTrackerStatuses(plan.uatSheet, buildUpdateTrackerStatuses(plan));
+
+    return formatActivityLevelUpdateMessage(plan, loggedByCommunity, scoresWrittenByCommunity);
+  });
+}
 
-  const statsSheet = statsSpreadsheets.getSheetByName(ATTENDANCE_STATS_TAB_NAME);
-  if (!statsSheet) {
-    ui.alert('Error', `Tab "${ATTENDANCE_STATS_TAB_NAME}" not found in the 'Attendance Stats' sheet for ${selectedCommunityId}.`, ui.ButtonSet.OK);
-    return;
-  }
 
-  let eventAttendanceSheet = statsSpreadsheets.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+/**
+ * Appends the "BASELINE ADJUSTMENT" rows of one community's plan to its 'Event Attendance' tab,
+ * creating the tab if needed.
+ * @param {object} communityPlan One entry of plan.communities.
+ * @param {string} formattedExecutionDate The "Update Timestamp" written on every row.
+ * @param {string=} auditAction The action recorded in the 'Audit Log'; defaults to 'Update Activity Level'.
+ * @return {number} The number of rows appended.
+ */
+function appendBaselineAdjustments(communityPlan, formattedExecutionDate, auditAction) {
+  if (communityPlan.entries.length === 0) return 0;
+
+  let eventAttendanceSheet = communityPlan.statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
   if (!eventAttendanceSheet) {
-    eventAttendanceSheet = statsSpreadsheets.insertSheet(EVENT_ATTENDANCE_TAB_NAME);
-    eventAttendanceSheet.appendRow([
-      "Person ID", "Full Name", "Event", "First Name", "Last Name",
-      null, null, null, null, null,
-      "Event Date",
-      null, null,
-      "Update Timestamp"
-    ]);
+    eventAttendanceSheet = communityPlan.statsSpreadsheet.insertSheet(EVENT_ATTENDANCE_TAB_NAME);
+    eventAttendanceSheet.appendRow(buildEventAttendanceHeaderRow());
     SpreadsheetApp.flush();
+  } else if (eventAttendanceSheet.getRange(1, EVENT_COL_BATCH_ID).getValue() === "") {
+    eventAttendanceSheet.getRange(1, EVENT_COL_BATCH_ID).setValue(buildEventAttendanceHeaderRow()[EVENT_COL_BATCH_ID - 1]);
+  }
+
+  // The rows replaced under the 'replace' baseline policy go first, so the new ones follow the remaining rows.
+  deleteReplacedBaselineRows(communityPlan, eventAttendanceSheet, auditAction || 'Update Activity Level');
+
+  // One range write for the whole community rather than one per person.
+  const firstRowNumber = eventAttendanceSheet.getLastRow() + 1;
+  const rowsForEventAttendance = [];
+  const auditChanges = [];
+  for (const entry of communityPlan.entries) {
+    const entryStartIndex = rowsForEventAttendance.length;
+    // Numbered after the rows kept under the 'top-up' baseline policy.
+    let eventCounter = (entry.keptBaselineCount || 0) + 1;
+    for (const eventDate of entry.eventDates) {
+      rowsForEventAttendance.push(buildEventAttendanceRow({
+        personId: entry.personId,
+        fullName: entry.fullName,
+        event: `${BASELINE_EVENT_PREFIX} ${eventCounter}`,
+        firstName: entry.firstName,
+        lastName: entry.lastName,
+        eventDate: eventDate,
+        batchId: communityPlan.batchId,
+        updateTimestamp: formattedExecutionDate
+      }));
+      eventCounter++;
+    }
+    const entryRowCount = rowsForEventAttendance.length - entryStartIndex;
+    if (entryRowCount > 0) {
+      auditChanges.push({
+        spreadsheet: communityPlan.statsSpreadsheet.getName(),
+        tab: EVENT_ATTENDANCE_TAB_NAME,
+        range: describeRangeA1(firstRowNumber + entryStartIndex, 1, entryRowCount, EVENT_ATTENDANCE_COLUMN_COUNT),
+        personId: entry.personId,
+        field: 'BASELINE ADJUSTMENT rows',
+        before: '',
+        after: `${entryRowCount} rows`,
+        details: `Level "${entry.activityLevel}", score ${entry.currentK} -> ${entry.newK}, batch ${communityPlan.batchId}` +
+          (entry.keptBaselineCount > 0 ? `, topping up ${entry.keptBaselineCount} rows logged earlier this quarter` : '')
+      });
+    }
+  }
+  if (rowsForEventAttendance.length > 0) {
+    eventAttendanceSheet.getRange(firstRowNumber, 1, rowsForEventAttendance.length, EVENT_ATTENDANCE_COLUMN_COUNT).setValues(rowsForEventAttendance);
+  }
+  recordAuditEntries(auditAction || 'Update Activity Level', communityPlan.communityId, auditChanges);
+  return rowsForEventAttendance.length;
+}
+
+
+/**
+ * Reads the 'Update Attendance Tracker' rows and each community's 'Attendance Stats' and works out,
+ * without writing anything, the new score and the "BASELINE ADJUSTMENT" dates for each person.
+ * A community that cannot be opened is reported and left out; the others are still planned.
+ * @param {Ui} ui The spreadsheet UI, used to report errors.
+ * @return {object|null} The plan, or null if an error was reported to the user.
+ */
+function buildActivityLevelUpdatePlan(ui) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return null;
   }
 
-  const statsData = statsSheet.getDataRange().getValues();
   const uatLastRow = uatSheet.getLastRow();
   if (uatLastRow < UAT_START_DATA_ROW) {
     ui.alert("Info", "No data rows to process in 'Update Attendance Tracker'.", ui.ButtonSet.OK);
-    return;
+    return null;
   }
-  const uatData = uatSheet.getRange(UAT_START_DATA_ROW, 1, uatLastRow - UAT_START_DATA_ROW + 1, UAT_COL_ACTIVITY_LEVEL).getValues();
+  const uatData = uatSheet.getRange(UAT_START_DATA_ROW, 1, uatLastRow - UAT_START_DATA_ROW + 1, UAT_COL_COMMUNITY_ID).getValues();
 
-  const today = new Date();
-  const formattedExecutionDate = Utilities.formatDate(today, timeZone, "M/d/yyyy");
-
-  let recordsToProcessCount = 0;
-  let recordsSkippedOrFailed = [];
-  let recordsMissingDetailsUAT = 0;
-  let eventAttendancesLogged = 0;
-
-  const TARGET_SUM_ACTIVE_MIN = 3;
-  const TARGET_SUM_ACTIVE_MAX = 11;
-  const TARGET_SUM_CORE_MIN = 12;
-  const CORE_K_MIN_VALUE = 12;
-
-  for (let i = 0; i < uatData.length; i++) {
-    const personIdUAT = uatData[i][UAT_COL_ID - 1];
-    const fullNameUAT = uatData[i][UAT_COL_FULL_NAME - 1];
-    const lastNameUAT = uatData[i][UAT_COL_LAST_NAME - 1];
-    const firstNameUAT = uatData[i][UAT_COL_FIRST_NAME - 1];
-    const activityLevelUAT = uatData[i][UAT_COL_ACTIVITY_LEVEL - 1];
-
-    if (personIdUAT && String(personIdUAT).trim() !== "" &&
-      lastNameUAT && String(lastNameUAT).trim() !== "" &&
-      firstNameUAT && String(firstNameUAT).trim() !== "" &&
-      activityLevelUAT && String(activityLevelUAT).trim() !== "") {
-
-      recordsToProcessCount++;
-      let newCalculatedScoreK;
-
-      let current_E_val = 0;
-      let current_K_val = 0;
-
-      for (let j = 0; j < statsData.length; j++) {
-        if (String(statsData[j][STATS_COL_PERSON_ID - 1]).trim() == String(personIdUAT).trim() &&
-          String(statsData[j][STATS_COL_FIRST_NAME - 1]).trim().toLowerCase() == String(firstNameUAT).trim().toLowerCase() &&
-          String(statsData[j][STATS_COL_LAST_NAME - 1]).trim().toLowerCase() == String(lastNameUAT).trim().toLowerCase()) {
-
-          current_E_val = parseInt(statsData[j][STATS_COL_QUARTER_EVENTS - 1], 10) || 0;
-          current_K_val = parseInt(statsData[j][STATS_COL_ACTIVITY_SCORE - 1], 10) || 0;
-          break;
-        }
-      }
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  const rowsByCommunity = groupTrackerRowsByCommunity(uatData, selectedCommunityId);
+  if (!selectedCommunityId && rowsByCommunity.communityIds.length === 0) {
+    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}, or fill in the "Community ID" column.`, ui.ButtonSet.OK);
+    return null;
+  }
+  if (rowsByCommunity.communityIds.length === 0) {
+    rowsByCommunity.communityIds.push(String(selectedCommunityId).trim());
+    rowsByCommunity.rows[String(selectedCommunityId).trim()] = [];
+    rowsByCommunity.rowIndexes[String(selectedCommunityId).trim()] = [];
+  }
+  // Checked for every community up front, so a run never writes to only some of them.
+  if (!checkPermission(ui, PERMISSION_ACTIONS.UPDATE, rowsByCommunity.communityIds)) {
+    return null;
+  }
 
-      const uatActivityLevelTrimmed = String(activityLevelUAT).trim().toLowerCase();
-
-      switch (uatActivityLevelTrimmed) {
-        case 'inactive':
-          newCalculatedScoreK = 1;
-          break;
-        case 'active':
-          let points_to_add_active = 3;
-          let tentative_K_active = current_K_val + points_to_add_active;
-          let target_sum_active = current_E_val + tentative_K_active;
-          target_sum_active = Math.max(TARGET_SUM_ACTIVE_MIN, target_sum_active);
-          target_sum_active = Math.min(TARGET_SUM_ACTIVE_MAX, target_sum_active);
-          newCalculatedScoreK = target_sum_active - current_E_val;
-          newCalculatedScoreK = Math.max(0, newCalculatedScoreK);
-          break;
-        case 'core':
-          newCalculatedScoreK = CORE_K_MIN_VALUE;
-          break;
-        default:
-          console.log(`Unknown activity level "${activityLevelUAT}" for ${firstNameUAT} ${lastNameUAT}.`);
-          recordsSkippedOrFailed.push(`${firstNameUAT} ${lastNameUAT} (ID: ${personIdUAT}) - Unknown Level`);
-          continue;
+  const today = new Date();
+  const trackerFingerprint = getTrackerFingerprint(selectedCommunityId, uatData);
+  const plan = {
+    formattedExecutionDate: Utilities.formatDate(today, timeZone, "M/d/yyyy"),
+    communities: [],
+    failedCommunities: [],
+    recordsMissingDetailsUAT: 0,
+    recordsMissingCommunityUAT: rowsByCommunity.rowsWithoutCommunity,
+    // Where each community's rows are in the tracker, for its "Status" column (see TrackerStatus.js).
+    uatSheet: uatSheet,
+    trackerRowCount: uatData.length,
+    trackerRowIndexes: rowsByCommunity.rowIndexes,
+    trackerRowIndexesWithoutCommunity: rowsByCommunity.rowIndexesWithoutCommunity,
+    trackerFingerprint: trackerFingerprint,
+    // An unfinished earlier run of the same tracker, whose written communities are skipped.
+    checkpoint: loadRunCheckpoint(trackerFingerprint),
+    resumedCommunities: [],
+    stoppedCommunities: [],
+    partlyWrittenCommunities: []
+  };
+
+  for (const communityId of rowsByCommunity.communityIds) {
+    const earlier = plan.checkpoint && plan.checkpoint.communities[communityId];
+    if (earlier && earlier.status === RUN_STATUS.DONE) {
+      plan.resumedCommunities.push({ communityId: communityId, batchId: earlier.batchId });
+      continue;
+    }
+    try {
+      const communityPlan = buildCommunityActivityLevelPlan(communityId, rowsByCommunity.rows[communityId], today, timeZone);
+      if (earlier && earlier.status === RUN_STATUS.PAUSED) {
+        resumeCommunityPlan(communityPlan, earlier);
       }
+      plan.communities.push(communityPlan);
+      plan.recordsMissingDetailsUAT += communityPlan.recordsMissingDetailsUAT;
+    } catch (e) {
+      reportToolsError(ui, e);
+      plan.failedCommunities.push(communityId);
+    }
+  }
 
-      if (newCalculatedScoreK > 0) {
-        const eventDates = generateRecentDistinctDates(newCalculatedScoreK, today, timeZone);
-        const rowsForEventAttendance = [];
-        let eventCounter = 1;
-        for (const eventDate of eventDates) {
-          const newEventAttendanceRow = new Array(14).fill(null);
-          newEventAttendanceRow[0] = personIdUAT;
-          newEventAttendanceRow[1] = fullNameUAT;
-          newEventAttendanceRow[2] = `BASELINE ADJUSTMENT ${eventCounter}`;
-          newEventAttendanceRow[4] = firstNameUAT;
-          newEventAttendanceRow[5] = lastNameUAT;
-          newEventAttendanceRow[10] = eventDate;
-          newEventAttendanceRow[13] = formattedExecutionDate;
-
-          rowsForEventAttendance.push(newEventAttendanceRow);
-          eventCounter++;
-        }
-        if (rowsForEventAttendance.length > 0) {
-          eventAttendanceSheet.getRange(
-            eventAttendanceSheet.getLastRow() + 1, 1,
-            rowsForEventAttendance.length,
-            rowsForEventAttendance[0].length
-          ).setValues(rowsForEventAttendance);
-          eventAttendancesLogged += rowsForEventAttendance.length;
-        }
-      }
-    } else if (activityLevelUAT && String(activityLevelUAT).trim() !== "" &&
-      !(personIdUAT && String(personIdUAT).trim() !== "" &&
-        lastNameUAT && String(lastNameUAT).trim() !== "" &&
-        firstNameUAT && String(firstNameUAT).trim() !== "")) {
-      recordsMissingDetailsUAT++;
+  if (plan.communities.length === 0) {
+    writeTrackerStatuses(uatSheet, buildUpdateTrackerStatuses(plan));
+    if (plan.resumedCommunities.length > 0 && plan.failedCommunities.length === 0) {
+      clearRunCheckpoint();
+      ui.alert('Info', `An earlier run already wrote every community in the tracker (${plan.resumedCommunities.map(c => c.communityId).join(', ')}). Nothing is left to write.`, ui.ButtonSet.OK);
     }
+    return null;
   }
+  return plan;
+}
+
 
+/**
+ * Splits tracker rows by the community they belong to.
+ * @param {Array<Array<*>>} uatData Tracker rows, at least UAT_COL_COMMUNITY_ID columns wide.
+ * @param {string} defaultCommunityId The Community ID in UAT_CELL_COMMUNITY_ID, used when a row has none.
+ * @return {object} { communityIds (in order of first appearance), rows: map of ID -> rows, rowIndexes: map of
+ *     ID -> the index in uatData of each of its rows, rowsWithoutCommunity, rowIndexesWithoutCommunity }
+ */
+function groupTrackerRowsByCommunity(uatData, defaultCommunityId) {
+  const grouped = { communityIds: [], rows: {}, rowIndexes: {}, rowsWithoutCommunity: 0, rowIndexesWithoutCommunity: [] };
+  const fallbackId = defaultCommunityId ? String(defaultCommunityId).trim() : "";
+  uatData.forEach((row, index) => {
+    const hasContent = row.slice(0, UAT_COL_ACTIVITY_LEVEL).some(value => String(value).trim() !== "");
+    if (!hasContent) return;
+
+    const communityId = String(row[UAT_COL_COMMUNITY_ID - 1]).trim() || fallbackId;
+    if (communityId === "") {
+      grouped.rowsWithoutCommunity++;
+      grouped.rowIndexesWithoutCommunity.push(index);
+      return;
+    }
+    if (!grouped.rows[communityId]) {
+      grouped.rows[communityId] = [];
+      grouped.rowIndexes[communityId] = [];
+      grouped.communityIds.push(communityId);
+    }
+    grouped.rows[communityId].push(row);
+    grouped.rowIndexes[communityId].push(index);
+  });
+  return grouped;
+}
+
+
+/**
+ * Builds the results message for an Update Activity Level plan, grouped by community.
+ * @param {object} plan The plan from buildActivityLevelUpdatePlan.
+ * @param {object} loggedByCommunity Map of Community ID -> rows appended to its 'Event Attendance'.
+ * @param {object=} scoresWrittenByCommunity Map of Community ID -> scores written back to its 'Attendance Stats'.
+ * @return {string} The message.
+ */
+function formatActivityLevelUpdateMessage(plan, loggedByCommunity, scoresWrittenByCommunity) {
   let message = "Log Event Attendance - Results:\n";
-  if (recordsToProcessCount > 0) {
-    message += `Attempted to process ${recordsToProcessCount} records from the Tools sheet.\n`;
-    message += `- Logged to 'Event Attendance' tab: ${eventAttendancesLogged} entries.\n`;
-    message += `(The 'Attendance Stats' sheet was not modified).\n`;
-    if (recordsSkippedOrFailed.length > 0) {
-      message += `Skipped or failed (e.g., unknown activity level): ${recordsSkippedOrFailed.length} records.\n   Details: ${recordsSkippedOrFailed.join("; ")}\n`;
+  const stoppedIds = plan.stoppedCommunities || [];
+  const partlyWritten = plan.partlyWrittenCommunities || [];
+  for (const communityPlan of plan.communities) {
+    if (stoppedIds.indexOf(communityPlan.communityId) !== -1 || partlyWritten.some(c => c.communityId === communityPlan.communityId)) continue;
+    const eventAttendancesLogged = loggedByCommunity[communityPlan.communityId] || 0;
+    message += `\nCommunity "${communityPlan.communityId}":\n`;
+    if (communityPlan.recordsToProcessCount > 0) {
+      message += `Attempted to process ${communityPlan.recordsToProcessCount} records from the Tools sheet.\n`;
+      message += `- Logged to 'Event Attendance' tab: ${eventAttendancesLogged} entries.\n`;
+      if ((communityPlan.resumedEntries || []).length > 0) {
+        message += `- Already written by an earlier run that was stopped: ${communityPlan.resumedEntries.length} people (same batch).\n`;
+      }
+      const scoresWritten = (scoresWrittenByCommunity || {})[communityPlan.communityId] || 0;
+      if (eventAttendancesLogged > 0 || scoresWritten > 0) {
+        message += `- Batch ID: ${communityPlan.batchId} (use "Undo Last Update" to remove these entries).\n`;
+      }
+      if (communityPlan.writeBackScores) {
+        message += `- Scores written back to 'Attendance Stats': ${scoresWritten} (the old values are kept in '${SCORE_HISTORY_SHEET_NAME}').\n`;
+      } else {
+        message += `(The 'Attendance Stats' sheet was not modified; "${SETTINGS_HEADER_WRITE_BACK_SCORES}" is off).\n`;
+      }
+      const shortEntries = communityPlan.entries.filter(entry => entry.shortfall > 0);
+      if (shortEntries.length > 0) {
+        message += `Fewer events logged than the new score (date strategy "${communityPlan.dateStrategy}"): ${shortEntries.length} people.\n   Details: ` +
+          shortEntries.map(entry => `${entry.fullName} (ID: ${entry.personId}) - ${entry.keptBaselineCount + entry.eventDates.length} of ${entry.newK}`).join("; ") + "\n";
+      }
+      const carriedEntries = communityPlan.entries.filter(entry => entry.carriedOver > 0);
+      if (carriedEntries.length > 0) {
+        message += `Events dated in the previous quarter: ${carriedEntries.map(entry => `${entry.fullName} (${entry.carriedOver})`).join("; ")}\n`;
+      }
+      const baselineOutcomes = describeBaselinePolicyOutcomes(communityPlan);
+      if (baselineOutcomes.length > 0) {
+        message += `Already had "${BASELINE_EVENT_PREFIX}" rows this quarter (baseline policy "${communityPlan.baselinePolicy}"): ${baselineOutcomes.length} people.\n   Details: ` +
+          baselineOutcomes.join("; ") + "\n";
+      }
+      if (communityPlan.recordsSkippedOrFailed.length > 0) {
+        message += `Skipped or failed (e.g., unknown activity level, duplicate Attendance Stats rows): ${communityPlan.recordsSkippedOrFailed.length} records.\n   Details: ${communityPlan.recordsSkippedOrFailed.join("; ")}\n`;
+      }
+    } else {
+      message += "No records in 'Update Attendance Tracker' had sufficient details (ID, Name, Activity Level) to process.\n";
     }
-  } else {
-    message += "No records in 'Update Attendance Tracker' had sufficient details (ID, Name, Activity Level) to process.\n";
   }
-  if (recordsMissingDetailsUAT > 0) {
-    message += `${recordsMissingDetailsUAT} record(s) had an activity level set but were missing ID, First Name, or Last Name, and were skipped.\n`;
+  if ((plan.resumedCommunities || []).length > 0) {
+    message += `\nAlready written by an earlier run that was stopped: ${plan.resumedCommunities.map(c => `${c.communityId} (batch ${c.batchId})`).join(", ")}.\n`;
   }
-
-  ui.alert('Processing Complete', message, ui.ButtonSet.OK);
+  if (stoppedIds.length > 0) {
+    const stoppedPlans = plan.communities.filter(communityPlan => stoppedIds.indexOf(communityPlan.communityId) !== -1);
+    message += `\nStopped before finishing ${stoppedPlans.map(communityPlan => {
+      const writtenCount = communityPlan.entries.filter(entry => entry.written).length;
+      return writtenCount > 0 ? `${communityPlan.communityId} (${writtenCount} of ${communityPlan.entries.length} people written, batch ${communityPlan.batchId})` : communityPlan.communityId;
+    }).join(", ")} to stay within the Apps Script time limit. Run "Update Activity Level" again, without changing the tracker, to write the rest.\n`;
+  }
+  if (partlyWritten.length > 0) {
+    message += `\nAn earlier run was stopped while writing ${partlyWritten.map(c => `${c.communityId} (batch ${c.batchId})`).join(", ")}. ` +
+      `Use "Undo Last Update" to remove that batch, then run "Update Activity Level" again.\n`;
+  }
+  if (plan.failedCommunities.length > 0) {
+    message += `\nNot processed because of the errors reported earlier: ${plan.failedCommunities.join(", ")}.\n`;
+  }
+  if (plan.recordsMissingDetailsUAT > 0) {
+    message += `\n${plan.recordsMissingDetailsUAT} record(s) had an activity level set but were missing ID, First Name, or Last Name, and were skipped.\n`;
+  }
+  if (plan.recordsMissingCommunityUAT > 0) {
+    message += `\n${plan.recordsMissingCommunityUAT} record(s) had no Community ID (in cell ${UAT_CELL_COMMUNITY_ID} or the "Community ID" column) and were skipped.\n`;
+  }
+  return message;
 }
 
 
@@ -406,11 +666,29 @@ function clearNamesAndCommunityID() {
     return;
   }
 
+  const previousCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  const auditChanges = [{ spreadsheet: ss.getName(), tab: UPDATE_TRACKER_SHEET_NAME, range: UAT_CELL_COMMUNITY_ID, field: 'Community ID', before: previousCommunityId, after: '' }];
+
   uatSheet.getRange(UAT_CELL_COMMUNITY_ID).clearContent();
+  clearTrackerStatuses(uatSheet);
   const lastRow = uatSheet.getLastRow();
   if (lastRow >= UAT_START_DATA_ROW) {
-    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, lastRow - UAT_START_DATA_ROW + 1, UAT_COL_ACTIVITY_LEVEL).clearContent();
+    const clearedRange = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, lastRow - UAT_START_DATA_ROW + 1, UAT_COL_COMMUNITY_ID);
+    clearedRange.getValues().forEach((row, index) => {
+      if (row.every(value => String(value).trim() === "")) return;
+      auditChanges.push({
+        spreadsheet: ss.getName(),
+        tab: UPDATE_TRACKER_SHEET_NAME,
+        range: describeRangeA1(UAT_START_DATA_ROW + index, UAT_COL_ID, 1, UAT_COL_COMMUNITY_ID),
+        personId: row[UAT_COL_ID - 1],
+        field: 'Tracker row',
+        before: row.join(' | '),
+        after: ''
+      });
+    });
+    clearedRange.clearContent();
   }
+  recordAuditEntries('Clear Names', previousCommunityId, auditChanges);
   ui.alert('Form Cleared', 'Community ID and all names/data have been cleared from the "Update Attendance Tracker" tab.', ui.ButtonSet.OK);
 }
 
@@ -425,18 +703,77 @@ function resetActivityLevelValues() {
     return;
   }
 
-  let uatRowsCleared = 0;
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+
+  // Everything that can stop the reset is checked before the tracker is cleared. Clearing
+  // the tracker alone is not restricted; zeroing remote scores needs the "reset" permission.
+  // Unlike Update Activity Level, the reset writes its scores whatever "Write Back Scores" says.
+  let statsSheet, statsColumns;
+  if (selectedCommunityId) {
+    try {
+      const config = loadCommunityConfig(selectedCommunityId);
+      statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+      statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+    } catch (e) {
+      reportToolsError(ui, e);
+      return;
+    }
+    if (!checkPermission(ui, PERMISSION_ACTIONS.RESET, selectedCommunityId)) return;
+    if (!confirmByTyping(ui, 'Reset Activity Level',
+      `The 'Attendance Stats' scores of the people in the tracker will be set to 0 for community "${selectedCommunityId}".`,
+      String(selectedCommunityId).trim())) {
+      return;
+    }
+  }
+
+  // The scores are reset first, so that nothing changes if another command holds the writer lock.
   const uatLastRow = uatSheet.getLastRow();
+  let resetPlan, scoresReset, resetBatchId;
+  if (selectedCommunityId) {
+    const uatDataForMatching = uatLastRow >= UAT_START_DATA_ROW ?
+      uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, uatLastRow - UAT_START_DATA_ROW + 1, UAT_COL_COMMUNITY_ID).getValues() : [];
+    resetBatchId = generateBatchId(selectedCommunityId, new Date(), ss.getSpreadsheetTimeZone(), RESET_BATCH_ID_PREFIX);
+    try {
+      withWriterLock(() => {
+        resetPlan = planActivityScoreReset(uatDataForMatching, statsSheet.getDataRange().getValues(), statsColumns, selectedCommunityId);
+        scoresReset = writeActivityScores(statsSheet, statsColumns,
+          resetPlan.resets.map(reset => ({ statsRowNumber: reset.statsRowNumber, personId: reset.personId, after: 0 })),
+          resetBatchId, selectedCommunityId, 'Reset Activity Level');
+      });
+    } catch (e) {
+      reportToolsError(ui, e);
+      return;
+    }
+  }
+
+  const trackerAuditChanges = [];
+  let uatRowsCleared = 0;
+  const resetStatuses = [];
   if (uatLastRow >= UAT_START_DATA_ROW) {
     const activityLevelRangeUAT = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ACTIVITY_LEVEL, uatLastRow - UAT_START_DATA_ROW + 1, 1);
-    activityLevelRangeUAT.getValues().forEach(row => {
-      if (row[0] !== "") uatRowsCleared++;
+    const personIdsUAT = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, uatLastRow - UAT_START_DATA_ROW + 1, 1).getValues();
+    activityLevelRangeUAT.getValues().forEach((row, index) => {
+      resetStatuses.push(null);
+      if (row[0] !== "") {
+        uatRowsCleared++;
+        resetStatuses[index] = `${TRACKER_STATUS.LEVEL_CLEARED} (was "${row[0]}")`;
+        trackerAuditChanges.push({
+          spreadsheet: ss.getName(),
+          tab: UPDATE_TRACKER_SHEET_NAME,
+          range: describeRangeA1(UAT_START_DATA_ROW + index, UAT_COL_ACTIVITY_LEVEL, 1, 1),
+          personId: personIdsUAT[index][0],
+          field: 'Activity Level',
+          before: row[0],
+          after: ''
+        });
+      }
     });
     activityLevelRangeUAT.clearContent();
   }
+  recordAuditEntries('Reset Activity Level', selectedCommunityId, trackerAuditChanges);
 
-  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
   if (!selectedCommunityId) {
+    writeTrackerStatuses(uatSheet, resetStatuses);
     if (uatRowsCleared > 0) {
       ui.alert('Activity Levels Reset in Tools Sheet',
         `The "Activity Level" column in the "Update Attendance Tracker" tab has been cleared for ${uatRowsCleared} row(s).\n\n` +
@@ -448,71 +785,7 @@ function resetActivityLevelValues() {
     return;
   }
 
-  const urls = getCommunityUrls(selectedCommunityId);
-  if (!urls || !urls.statsUrl) {
-    ui.alert('Error', `Could not get URL for 'Attendance Stats' sheet of community "${selectedCommunityId}". Please check Settings.`, ui.ButtonSet.OK);
-    return;
-  }
-
-  let statsSpreadsheets;
-  try {
-    statsSpreadsheets = SpreadsheetApp.openByUrl(urls.statsUrl);
-  } catch (e) {
-    ui.alert('Error', `Could not open the Attendance Stats spreadsheet for community "${selectedCommunityId}". Please check the URL. Error: ${e.message}`, ui.ButtonSet.OK);
-    return;
-  }
-
-  const statsSheet = statsSpreadsheets.getSheetByName(ATTENDANCE_STATS_TAB_NAME);
-  if (!statsSheet) {
-    ui.alert('Error', `Tab "${ATTENDANCE_STATS_TAB_NAME}" not found in the Attendance Stats spreadsheet for ${selectedCommunityId}.`, ui.ButtonSet.OK);
-    return;
-  }
-
-  const uatDataForMatching = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, uatLastRow - UAT_START_DATA_ROW + 1, UAT_COL_FIRST_NAME).getValues();
-  const statsData = statsSheet.getDataRange().getValues();
-
-  let statsScoresResetCount = 0;
-  let uatPeopleProcessedForStatsReset = 0;
-  let notFoundInStatsSheet = [];
-
-  for (let i = 0; i < uatDataForMatching.length; i++) {
-    const personIdUAT = uatDataForMatching[i][UAT_COL_ID - 1];
-    const lastNameUAT = uatDataForMatching[i][UAT_COL_LAST_NAME - 1];
-    const firstNameUAT = uatDataForMatching[i][UAT_COL_FIRST_NAME - 1];
-
-    if (personIdUAT && String(personIdUAT).trim() !== "" &&
-      lastNameUAT && String(lastNameUAT).trim() !== "" &&
-      firstNameUAT && String(firstNameUAT).trim() !== "") {
-
-      uatPeopleProcessedForStatsReset++;
-      let foundMatchInStats = false;
-      for (let j = 0; j < statsData.length; j++) {
-        const statsSheetRowIndex = j + 1;
-        const personIdStats = statsData[j][STATS_COL_PERSON_ID - 1];
-        const firstNameStats = statsData[j][STATS_COL_FIRST_NAME - 1];
-        const lastNameStats = statsData[j][STATS_COL_LAST_NAME - 1];
-
-        if (String(personIdStats).trim() == String(personIdUAT).trim() &&
-          String(firstNameStats).trim().toLowerCase() == String(firstNameUAT).trim().toLowerCase() &&
-          String(lastNameStats).trim().toLowerCase() == String(lastNameUAT).trim().toLowerCase()) {
-
-          const currentStatsScoreCell = statsSheet.getRange(statsSheetRowIndex, STATS_COL_ACTIVITY_SCORE);
-          const currentStatsScoreValue = currentStatsScoreCell.getValue();
-          if (currentStatsScoreValue !== 0 && currentStatsScoreValue !== "") {
-            currentStatsScoreCell.setValue(0);
-            statsScoresResetCount++;
-          } else if (currentStatsScoreValue === 0 || currentStatsScoreValue === "") {
-            statsScoresResetCount++;
-          }
-          foundMatchInStats = true;
-          break;
-        }
-      }
-      if (!foundMatchInStats) {
-        notFoundInStatsSheet.push(`${firstNameUAT} ${lastNameUAT} (ID: ${personIdUAT})`);
-      }
-    }
-  }
+  writeTrackerStatuses(uatSheet, resetPlan.rowStatuses.map((status, index) => status || resetStatuses[index]));
 
   let message = "";
   if (uatRowsCleared > 0) {
@@ -521,12 +794,18 @@ function resetActivityLevelValues() {
     message += `No activity levels to clear in the "Tools" sheet's "Activity Level" column.\n\n`;
   }
 
-  if (uatPeopleProcessedForStatsReset > 0) {
+  if (resetPlan.processed > 0) {
     message += `For community "${selectedCommunityId}":\n`;
-    message += `- Attempted to reset scores in 'Attendance Stats' (Column K) for ${uatPeopleProcessedForStatsReset} people listed in the Tools sheet.\n`;
-    message += `- Scores reset to 0 (or confirmed as already 0/blank) for: ${statsScoresResetCount} people.\n`;
-    if (notFoundInStatsSheet.length > 0) {
-      message += `- Not found in 'Attendance Stats' sheet (or details mismatched): ${notFoundInStatsSheet.length} people.\n   Details: ${notFoundInStatsSheet.join("; ")}\n`;
+    message += `- Attempted to reset scores in 'Attendance Stats' (Column ${columnNumberToLetter(statsColumns.activityScore)}) for ${resetPlan.processed} people listed in the Tools sheet.\n`;
+    message += `- Scores reset to 0 (or confirmed as already 0/blank) for: ${resetPlan.resets.length + resetPlan.alreadyZero} people.\n`;
+    if (scoresReset > 0) {
+      message += `- Batch ID: ${resetBatchId} (use "Undo Last Update" to put the old scores back).\n`;
+    }
+    if (resetPlan.notFound.length > 0) {
+      message += `- Not found in 'Attendance Stats' sheet (or details mismatched): ${resetPlan.notFound.length} people.\n   Details: ${resetPlan.notFound.join("; ")}\n`;
+    }
+    if (resetPlan.ambiguous.length > 0) {
+      message += `- Not reset because several 'Attendance Stats' rows share the same ID and name: ${resetPlan.ambiguous.length} people.\n   Details: ${resetPlan.ambiguous.join("; ")}\n`;
     }
   } else if (selectedCommunityId) {
     message += `No people with full details (ID, First & Last Name) were listed in the Tools sheet to process for resetting scores in 'Attendance Stats' for community "${selectedCommunityId}".\n`;
@@ -552,97 +831,134 @@ function fetchAndPopulateNames(sourceType) {
     return;
   }
 
-  const communityUrls = getCommunityUrls(selectedCommunityId);
-  if (!communityUrls) return;
-
-  let targetUrl, targetTabName, idCol, firstNameCol, lastNameCol, sourceSheetFriendlyName;
-
+  let targetTabName, sourceSheetFriendlyName;
   if (sourceType === 'STATS') {
-    targetUrl = communityUrls.statsUrl;
     targetTabName = ATTENDANCE_STATS_TAB_NAME;
-    idCol = STATS_COL_PERSON_ID;
-    firstNameCol = STATS_COL_FIRST_NAME;
-    lastNameCol = STATS_COL_LAST_NAME;
     sourceSheetFriendlyName = "Attendance Stats";
-    if (!targetUrl) {
-      ui.alert('Error', `URL for 'Attendance Stats' not found in Settings for Community ID "${selectedCommunityId}".`, ui.ButtonSet.OK);
-      return;
-    }
   } else if (sourceType === 'DIRECTORY') {
-    targetUrl = communityUrls.directoryUrl;
     targetTabName = DIRECTORY_TAB_NAME;
-    idCol = DIR_COL_PERSON_ID;
-    firstNameCol = DIR_COL_FIRST_NAME;
-    lastNameCol = DIR_COL_LAST_NAME;
     sourceSheetFriendlyName = "Directory";
-    if (!targetUrl) {
-      ui.alert('Error', `URL for 'Directory' not found in Settings for Community ID "${selectedCommunityId}".`, ui.ButtonSet.OK);
-      return;
-    }
   } else {
     ui.alert('Error', 'Invalid source type specified for fetching names.', ui.ButtonSet.OK);
     return;
   }
 
-  let sourceSpreadsheets;
+  const fetchOptions = promptFetchOptions(ui, sourceSheetFriendlyName);
+  if (!fetchOptions) return;
+
+  let sourceSheet, sourceColumns;
+  const filterLookups = {};
   try {
-    sourceSpreadsheets = SpreadsheetApp.openByUrl(targetUrl);
+    const config = loadCommunityConfig(selectedCommunityId);
+    sourceSheet = openCommunityTab(config, targetTabName);
+    sourceColumns = loadSheetLayout(sourceSheet, targetTabName, config);
+
+    // Filters may read the tab the names are not fetched from; that tab is only opened when needed.
+    const filterSources = getFetchFilterSources(fetchOptions.filters);
+    if (filterSources.directory) {
+      const directorySheet = targetTabName === DIRECTORY_TAB_NAME ? sourceSheet : openCommunityTab(config, DIRECTORY_TAB_NAME);
+      filterLookups.dirColumns = targetTabName === DIRECTORY_TAB_NAME ? sourceColumns : loadSheetLayout(directorySheet, DIRECTORY_TAB_NAME, config);
+      filterLookups.directoryData = directorySheet.getDataRange().getValues();
+    }
+    if (filterSources.stats) {
+      const statsSheet = targetTabName === ATTENDANCE_STATS_TAB_NAME ? sourceSheet : openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+      filterLookups.statsColumns = targetTabName === ATTENDANCE_STATS_TAB_NAME ? sourceColumns : loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+      filterLookups.statsData = statsSheet.getDataRange().getValues();
+    }
   } catch (e) {
-    ui.alert('Error', `Could not open the ${sourceSheetFriendlyName} spreadsheet. Please check the URL in Settings. Error: ${e.message}`, ui.ButtonSet.OK);
-    return;
-  }
-
-  const sourceSheet = sourceSpreadsheets.getSheetByName(targetTabName);
-  if (!sourceSheet) {
-    ui.alert('Error', `Tab "${targetTabName}" not found in the ${sourceSheetFriendlyName} spreadsheet for ${selectedCommunityId}.`, ui.ButtonSet.OK);
+    reportToolsError(ui, e);
     return;
   }
 
   const sourceData = sourceSheet.getDataRange().getValues();
-  const outputData = [];
-
   if (sourceData.length < 2) {
+    if (fetchOptions.mode !== 'replace') {
+      ui.alert('Info', `No data (or only a header row) found in the "${targetTabName}" tab of the ${sourceSheetFriendlyName} sheet for ${selectedCommunityId}. "Update Attendance Tracker" was not changed.`, ui.ButtonSet.OK);
+      return;
+    }
     ui.alert('Info', `No data (or only a header row) found in the "${targetTabName}" tab of the ${sourceSheetFriendlyName} sheet for ${selectedCommunityId}.`, ui.ButtonSet.OK);
     const lastRowUAT = uatSheet.getLastRow();
+    clearTrackerStatuses(uatSheet);
     if (lastRowUAT >= UAT_START_DATA_ROW) {
-      uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, lastRowUAT - UAT_START_DATA_ROW + 1, UAT_COL_ACTIVITY_LEVEL).clearContent();
+      uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, lastRowUAT - UAT_START_DATA_ROW + 1, UAT_COL_COMMUNITY_ID).clearContent();
     }
     return;
   }
 
-  for (let i = 1; i < sourceData.length; i++) {
-    const row = sourceData[i];
-    if (row.length < Math.max(idCol, firstNameCol, lastNameCol)) {
-      Logger.log(`Skipping row ${i+1} in ${sourceSheetFriendlyName} - ${targetTabName} due to insufficient columns.`);
-      continue;
-    }
-    const personId = row[idCol - 1];
-    const firstName = row[firstNameCol - 1];
-    const lastName = row[lastNameCol - 1];
-    if (personId && String(personId).trim() !== "" &&
-      firstName && String(firstName).trim() !== "" &&
-      lastName && String(lastName).trim() !== "") {
-      const fullName = String(firstName).trim() + " " + String(lastName).trim();
-      outputData.push([
-        personId,
-        fullName,
-        lastName,
-        firstName,
-        null
-      ]);
-    }
+  const sourceRows = buildTrackerRowsFromSource(sourceData, sourceColumns);
+  sourceRows.skippedRowNumbers.forEach(rowNumber =>
+    Logger.log(`Skipping row ${rowNumber} in ${sourceSheetFriendlyName} - ${targetTabName} due to insufficient columns.`));
+  const filtered = applyFetchFilters(sourceRows.rows, fetchOptions.filters, filterLookups);
+  if (filtered.errors.length > 0) {
+    ui.alert('Error', `Please check the filters. Nothing was changed.\n\n${filtered.errors.join('\n')}`, ui.ButtonSet.OK);
+    return;
   }
+  const filteredOutCount = sourceRows.rows.length - filtered.rows.length;
+  const filterNote = filteredOutCount > 0 ? ` ${filteredOutCount} people did not match the filters.` : '';
 
+  const auditChanges = [];
   const lastRowUAT = uatSheet.getLastRow();
-  if (lastRowUAT >= UAT_START_DATA_ROW) {
-    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, lastRowUAT - UAT_START_DATA_ROW + 1, UAT_COL_ACTIVITY_LEVEL).clearContent();
+  const existingRowCount = Math.max(0, lastRowUAT - UAT_START_DATA_ROW + 1);
+  const existingRows = existingRowCount > 0
+    ? uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, existingRowCount, UAT_COL_COMMUNITY_ID).getValues()
+    : [];
+  const merged = mergeTrackerRows(existingRows, filtered.rows, fetchOptions.mode, selectedCommunityId);
+  const outputData = merged.rows;
+
+  if (fetchOptions.mode === 'replace' && existingRowCount > 0) {
+    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, existingRowCount, UAT_COL_COMMUNITY_ID).clearContent();
+    clearTrackerStatuses(uatSheet);
+    auditChanges.push({
+      spreadsheet: ss.getName(),
+      tab: UPDATE_TRACKER_SHEET_NAME,
+      range: describeRangeA1(UAT_START_DATA_ROW, UAT_COL_ID, existingRowCount, UAT_COL_COMMUNITY_ID),
+      field: 'Tracker rows',
+      before: `${existingRowCount} rows`,
+      after: '',
+      details: 'Cleared before fetching names'
+    });
+  }
+
+  if (fetchOptions.mode === 'replace' && outputData.length > 0) {
+    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, outputData.length, UAT_COL_COMMUNITY_ID).setValues(outputData);
+    auditChanges.push({
+      spreadsheet: ss.getName(),
+      tab: UPDATE_TRACKER_SHEET_NAME,
+      range: describeRangeA1(UAT_START_DATA_ROW, UAT_COL_ID, outputData.length, UAT_COL_COMMUNITY_ID),
+      field: 'Tracker rows',
+      before: '',
+      after: `${outputData.length} rows`,
+      details: `Names fetched from ${sourceSheetFriendlyName}`
+    });
+  } else if (merged.added > 0 || merged.refreshed > 0) {
+    // The existing rows are written back unchanged (or with refreshed names) so the whole block goes in one call.
+    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, outputData.length, UAT_COL_COMMUNITY_ID).setValues(outputData);
+    auditChanges.push({
+      spreadsheet: ss.getName(),
+      tab: UPDATE_TRACKER_SHEET_NAME,
+      range: describeRangeA1(UAT_START_DATA_ROW, UAT_COL_ID, outputData.length, UAT_COL_COMMUNITY_ID),
+      field: 'Tracker rows',
+      before: `${existingRowCount} rows`,
+      after: `${outputData.length} rows`,
+      details: `Names fetched from ${sourceSheetFriendlyName} (${fetchOptions.mode}): ${merged.added} added, ${merged.refreshed} refreshed`
+    });
+  }
+  recordAuditEntries('Get Names', selectedCommunityId, auditChanges);
+
+  // After the rows are written, so that each row gets the levels of its own community.
+  const scoring = loadScoringRules(selectedCommunityId);
+  if (scoring.errors.length === 0) {
+    applyActivityLevelDropdown(uatSheet, scoring.rules);
   }
 
-  if (outputData.length > 0) {
-    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, outputData.length, outputData[0].length).setValues(outputData);
-    ui.alert('Success', `Fetched ${outputData.length} names from "${targetTabName}" in the ${sourceSheetFriendlyName} sheet (headers skipped) and populated them into "Update Attendance Tracker".`, ui.ButtonSet.OK);
+  if (fetchOptions.mode === 'append') {
+    ui.alert('Success', `Added ${merged.added} people from "${targetTabName}" in the ${sourceSheetFriendlyName} sheet who were not in "Update Attendance Tracker" yet. ${filtered.rows.length - merged.added} were already in it.${filterNote}`, ui.ButtonSet.OK);
+  } else if (fetchOptions.mode === 'refresh') {
+    ui.alert('Success', `Refreshed the names of ${merged.refreshed} people in "Update Attendance Tracker" from "${targetTabName}" in the ${sourceSheetFriendlyName} sheet. Activity levels were kept and nobody was added.${filterNote}`, ui.ButtonSet.OK);
+  } else if (outputData.length > 0) {
+    ui.alert('Success', `Fetched ${outputData.length} names from "${targetTabName}" in the ${sourceSheetFriendlyName} sheet (headers skipped) and populated them into "Update Attendance Tracker".${filterNote}`, ui.ButtonSet.OK);
   } else {
-    ui.alert('Info', `No valid names (with ID, First Name, and Last Name) found to fetch from "${targetTabName}" in the ${sourceSheetFriendlyName} sheet after skipping header. "Update Attendance Tracker" has been cleared.`, ui.ButtonSet.OK);
+    ui.alert('Info', `No valid names (with ID, First Name, and Last Name) found to fetch from "${targetTabName}" in the ${sourceSheetFriendlyName} sheet after skipping header.${filterNote} "Update Attendance Tracker" has been cleared.`, ui.ButtonSet.OK);
   }
 }
 
@@ -658,14 +974,7 @@ function getNamesFromDirectory() {
 function generateRecentDistinctDates(N, referenceDate, timeZone) {
   if (N <= 0) return [];
   const datesArray = [];
-  const year = referenceDate.getFullYear();
-  const month = referenceDate.getMonth();
-  let quarterStartMonth;
-  if (month < 3) quarterStartMonth = 0;
-  else if (month < 6) quarterStartMonth = 3;
-  else if (month < 9) quarterStartMonth = 6;
-  else quarterStartMonth = 9;
-  const quarterStartDate = new Date(year, quarterStartMonth, 1);
+  const quarterStartDate = getQuarterStartDate(referenceDate);
   for (let i = 0; i < N; i++) {
     let eventDate = new Date(referenceDate.getTime());
     eventDate.setDate(referenceDate.getDate() - i);
@@ -0,0 +1,352 @@
+// --- Community Configuration and Column Layouts ---
+
+// Optional 'Settings' column, found by its header. Each entry is "<Tab>.<field>=<column>",
+// separated by semicolons or new lines, where <column> is a column letter or a header text:
+//   Directory.lastName=Surname; Attendance Stats.activityScore=L
+const SETTINGS_HEADER_COLUMN_OVERRIDES = 'Column Overrides';
+
+/**
+ * The columns each community tab must have. A column is found by any of its header names
+ * in row 1; the default column is the position the tools were originally written for.
+ * Built on demand so it can use the constants of Code.js regardless of file load order.
+ * @return {object} Map of tab name -> field name -> { headers, defaultColumn }.
+ */
+function getDefaultSheetLayouts() {
+  const layouts = {};
+  layouts[DIRECTORY_TAB_NAME] = {
+    personId: { headers: ['Person ID', 'ID'], defaultColumn: DIR_COL_PERSON_ID },
+    lastName: { headers: ['Last Name', 'Surname'], defaultColumn: DIR_COL_LAST_NAME },
+    firstName: { headers: ['First Name', 'Given Name'], defaultColumn: DIR_COL_FIRST_NAME }
+  };
+  layouts[ATTENDANCE_STATS_TAB_NAME] = {
+    personId: { headers: ['Person ID', 'ID'], defaultColumn: STATS_COL_PERSON_ID },
+    firstName: { headers: ['First Name', 'Given Name'], defaultColumn: STATS_COL_FIRST_NAME },
+    lastName: { headers: ['Last Name', 'Surname'], defaultColumn: STATS_COL_LAST_NAME },
+    quarterEvents: { headers: ['Events This Quarter', 'Quarter Events'], defaultColumn: STATS_COL_QUARTER_EVENTS },
+    activityScore: { headers: ['Activity Score', 'Score'], defaultColumn: STATS_COL_ACTIVITY_SCORE }
+  };
+  return layouts;
+}
+
+/**
+ * @param {*} text A header, field name or setting name.
+ * @return {string} The text lower-cased with everything but letters and digits removed.
+ */
+function normalizeHeaderKey(text) {
+  return String(text === null || text === undefined ? '' : text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @param {string} letters A column letter such as "L" or "AB".
+ * @return {number} The 1-based column number, or 0 if the text is not a column letter.
+ */
+function columnLetterToNumber(letters) {
+  const text = String(letters).trim().toUpperCase();
+  if (!/^[A-Z]{1,2}$/.test(text)) return 0;
+  let column = 0;
+  for (let i = 0; i < text.length; i++) {
+    column = column * 26 + (text.charCodeAt(i) - 64);
+  }
+  return column;
+}
+
+/**
+ * @param {number} column A 1-based column number.
+ * @return {string} The column letter, e.g. 12 -> "L".
+ */
+function columnNumberToLetter(column) {
+  let letters = '';
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Loads everything the tools need to know about a community from the 'Settings' tab:
+ * its URLs, the values of any extra Settings columns, and its column overrides.
+ * @param {string} communityId The ID of the community selected in UAT_CELL_COMMUNITY_ID.
+ * @return {object} { communityId, directoryUrl, statsUrl, settings, columnOverrides, overrideErrors }
+ * @throws {CommunityToolsError} If no community is given or it is not in Settings.
+ */
+function loadCommunityConfig(communityId) {
+  if (!communityId) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, 'Please select a Community ID from cell ' + UAT_CELL_COMMUNITY_ID + '.');
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const settingsSheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!settingsSheet) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_SHEET, 'The "Settings" tab could not be found.');
+  }
+
+  const settingsData = settingsSheet.getDataRange().getValues();
+  let settingsHeaders = settingsData[0] || [];
+  for (let i = 0; i < settingsData.length; i++) {
+    if (normalizeHeaderKey(settingsData[i][SETTINGS_COL_COMMUNITY_ID - 1]) === 'communityid') {
+      settingsHeaders = settingsData[i];
+      break;
+    }
+  }
+
+  for (let i = 0; i < settingsData.length; i++) {
+    if (settingsData[i][SETTINGS_COL_COMMUNITY_ID - 1] == communityId) {
+      const settings = {};
+      for (let j = 0; j < settingsHeaders.length; j++) {
+        const key = normalizeHeaderKey(settingsHeaders[j]);
+        if (key !== '') settings[key] = settingsData[i][j];
+      }
+      const overrides = parseColumnOverrides(settings[normalizeHeaderKey(SETTINGS_HEADER_COLUMN_OVERRIDES)]);
+      return {
+        communityId: communityId,
+        directoryUrl: settingsData[i][SETTINGS_COL_DIRECTORY_URL - 1],
+        statsUrl: settingsData[i][SETTINGS_COL_ATTENDANCE_STATS_URL - 1],
+        settings: settings,
+        columnOverrides: overrides.overrides,
+        overrideErrors: overrides.errors
+      };
+    }
+  }
+  throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_SETTING, 'Community ID "' + communityId + '" not found in the "Settings" tab.');
+}
+
+/**
+ * @return {Array<string>} Every Community ID in the 'Settings' tab, in sheet order, without the header.
+ * @throws {CommunityToolsError} If the 'Settings' tab does not exist.
+ */
+function listCommunityIds() {
+  const settingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SETTINGS_SHEET_NAME);
+  if (!settingsSheet) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_SHEET, 'The "Settings" tab could not be found.');
+  }
+
+  const communityIds = [];
+  const settingsData = settingsSheet.getDataRange().getValues();
+  for (let i = 0; i < settingsData.length; i++) {
+    const communityId = String(settingsData[i][SETTINGS_COL_COMMUNITY_ID - 1]).trim();
+    if (communityId === '' || normalizeHeaderKey(communityId) === 'communityid') continue;
+    if (communityIds.indexOf(communityId) === -1) communityIds.push(communityId);
+  }
+  return communityIds;
+}
+
+/**
+ * Menu wrapper of loadCommunityConfig: shows an alert and returns null on errors.
+ * @param {string} communityId The ID of the community selected in UAT_CELL_COMMUNITY_ID.
+ * @return {object|null} The config, or null if an error was reported.
+ */
+function getCommunityConfig(communityId) {
+  try {
+    return loadCommunityConfig(communityId);
+  } catch (e) {
+    reportToolsError(SpreadsheetApp.getUi(), e);
+    return null;
+  }
+}
+
+/**
+ * Opens the community spreadsheet that holds a tab: the Directory spreadsheet for
+ * DIRECTORY_TAB_NAME, the Attendance Stats spreadsheet for every other tab.
+ * @param {object} config A config from loadCommunityConfig.
+ * @param {string} tabName The tab that will be read.
+ * @return {Spreadsheet}
+ * @throws {CommunityToolsError} If the URL is missing or the spreadsheet cannot be opened.
+ */
+function openCommunitySpreadsheet(config, tabName) {
+  const isDirectory = tabName === DIRECTORY_TAB_NAME;
+  const url = isDirectory ? config.directoryUrl : config.statsUrl;
+  const friendlyName = isDirectory ? 'Directory' : 'Attendance Stats';
+  if (!url) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_SETTING, `URL for '${friendlyName}' of community "${config.communityId}" is missing in Settings.`);
+  }
+  try {
+    return SpreadsheetApp.openByUrl(url);
+  } catch (e) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.CANNOT_OPEN,
+      `Could not open the ${friendlyName} spreadsheet for "${config.communityId}". Please check the URL in Settings. Error: ${e.message}`);
+  }
+}
+
+/**
+ * @param {object} config A config from loadCommunityConfig.
+ * @param {string} tabName DIRECTORY_TAB_NAME, ATTENDANCE_STATS_TAB_NAME or EVENT_ATTENDANCE_TAB_NAME.
+ * @return {Sheet} The tab.
+ * @throws {CommunityToolsError} If the spreadsheet cannot be opened or has no such tab.
+ */
+function openCommunityTab(config, tabName) {
+  const spreadsheet = openCommunitySpreadsheet(config, tabName);
+  const sheet = spreadsheet.getSheetByName(tabName);
+  if (!sheet) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_SHEET,
+      `Tab "${tabName}" not found in the ${tabName === DIRECTORY_TAB_NAME ? 'Directory' : 'Attendance Stats'} spreadsheet for ${config.communityId}.`);
+  }
+  return sheet;
+}
+
+/**
+ * @param {object} config A config from getCommunityConfig.
+ * @param {string} settingName The header of a Settings column.
+ * @return {*} The community's value in that column, or '' if the column does not exist.
+ */
+function getCommunitySetting(config, settingName) {
+  const value = config.settings[normalizeHeaderKey(settingName)];
+  return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Parses the "Column Overrides" text of a community.
+ * @param {*} text e.g. "Directory.lastName=Surname; Attendance Stats.activityScore=L"
+ * @return {object} { overrides: map of normalized tab -> normalized field -> column text, errors }
+ */
+function parseColumnOverrides(text) {
+  const overrides = {};
+  const errors = [];
+  const entries = String(text === null || text === undefined ? '' : text).split(/[;\n]/);
+  for (const rawEntry of entries) {
+    const entry = rawEntry.trim();
+    if (entry === '') continue;
+    const match = /^(.+)\.([^.=]+)=(.+)$/.exec(entry);
+    if (!match) {
+      errors.push(`"${entry}" is not in the form <Tab>.<field>=<column>`);
+      continue;
+    }
+    const tabKey = normalizeHeaderKey(match[1]);
+    if (!overrides[tabKey]) overrides[tabKey] = {};
+    overrides[tabKey][normalizeHeaderKey(match[2])] = match[3].trim();
+  }
+  return { overrides: overrides, errors: errors };
+}
+
+/**
+ * Works out where each required column of a community tab is, from the community's
+ * overrides first and the header row second.
+ * @param {Array<*>} headerRow The first row of the tab.
+ * @param {string} tabName DIRECTORY_TAB_NAME or ATTENDANCE_STATS_TAB_NAME.
+ * @param {object} config A config from getCommunityConfig.
+ * @return {object} { columns: map of field -> 1-based column, errors, warnings }
+ */
+function resolveSheetLayout(headerRow, tabName, config) {
+  const fields = getDefaultSheetLayouts()[tabName];
+  const tabOverrides = (config.columnOverrides || {})[normalizeHeaderKey(tabName)] || {};
+  const headerKeys = headerRow.map(normalizeHeaderKey);
+  const columns = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const field in fields) {
+    const spec = fields[field];
+    const override = tabOverrides[normalizeHeaderKey(field)] || tabOverrides[normalizeHeaderKey(spec.headers[0])];
+    let column = 0;
+
+    if (override) {
+      column = columnLetterToNumber(override) || headerKeys.indexOf(normalizeHeaderKey(override)) + 1;
+      if (column === 0) {
+        errors.push(`${tabName}: the override "${override}" for "${spec.headers[0]}" is neither a column letter nor a header in row 1.`);
+        continue;
+      }
+    } else {
+      for (const header of spec.headers) {
+        column = headerKeys.indexOf(normalizeHeaderKey(header)) + 1;
+        if (column > 0) break;
+      }
+      if (column === 0) {
+        errors.push(`${tabName}: no "${spec.headers[0]}" header in row 1 (expected in column ${columnNumberToLetter(spec.defaultColumn)}). ` +
+          `Rename the header, or add "${tabName}.${field}=<column>" to the "${SETTINGS_HEADER_COLUMN_OVERRIDES}" column in Settings.`);
+        continue;
+      }
+    }
+
+    if (column !== spec.defaultColumn) {
+      warnings.push(`${tabName}: "${spec.headers[0]}" is in column ${columnNumberToLetter(column)} instead of ${columnNumberToLetter(spec.defaultColumn)}.`);
+    }
+    columns[field] = column;
+  }
+
+  for (const overrideError of config.overrideErrors || []) {
+    errors.push(`Settings "${SETTINGS_HEADER_COLUMN_OVERRIDES}" for ${config.communityId}: ${overrideError}.`);
+  }
+
+  return { columns: columns, errors: errors, warnings: warnings };
+}
+
+/**
+ * Resolves the layout of a community tab, so an operation never runs against the wrong columns.
+ * @param {Sheet} sheet The community tab.
+ * @param {string} tabName DIRECTORY_TAB_NAME or ATTENDANCE_STATS_TAB_NAME.
+ * @param {object} config A config from loadCommunityConfig.
+ * @return {object} Map of field -> 1-based column.
+ * @throws {CommunityToolsError} If a required column cannot be found; one detail per problem.
+ */
+function loadSheetLayout(sheet, tabName, config) {
+  const headerRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+  const layout = resolveSheetLayout(headerRow, tabName, config);
+  if (layout.errors.length > 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.COLUMN_LAYOUT,
+      `The "${tabName}" tab of community "${config.communityId}" does not have the expected columns. Nothing was changed.`,
+      layout.errors);
+  }
+  return layout.columns;
+}
+
+/**
+ * Menu wrapper of loadSheetLayout: shows an alert and returns null on errors.
+ * @param {Sheet} sheet The community tab.
+ * @param {string} tabName DIRECTORY_TAB_NAME or ATTENDANCE_STATS_TAB_NAME.
+ * @param {object} config A config from getCommunityConfig.
+ * @return {object|null} Map of field -> 1-based column, or null if an error was reported.
+ */
+function requireSheetLayout(sheet, tabName, config) {
+  try {
+    return loadSheetLayout(sheet, tabName, config);
+  } catch (e) {
+    reportToolsError(SpreadsheetApp.getUi(), e);
+    return null;
+  }
+}
+
+/**
+ * Menu item: reports where every required column of the selected community's
+ * 'Directory' and 'Attendance Stats' tabs was found, and which are missing or moved.
+ */
+function checkCommunityColumnLayout() {
+  const ui = SpreadsheetApp.getUi();
+  const uatSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  const config = getCommunityConfig(selectedCommunityId);
+  if (!config) return;
+
+  const tabs = [
+    { tabName: DIRECTORY_TAB_NAME, url: config.directoryUrl },
+    { tabName: ATTENDANCE_STATS_TAB_NAME, url: config.statsUrl }
+  ];
+  const lines = [];
+  for (const tab of tabs) {
+    let sheet = null;
+    try {
+      sheet = SpreadsheetApp.openByUrl(tab.url).getSheetByName(tab.tabName);
+    } catch (e) {
+      lines.push(`${tab.tabName}: could not open the spreadsheet (${e.message}).`);
+      continue;
+    }
+    if (!sheet) {
+      lines.push(`${tab.tabName}: tab not found.`);
+      continue;
+    }
+    const headerRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+    const layout = resolveSheetLayout(headerRow, tab.tabName, config);
+    const found = Object.keys(layout.columns).map(field => `${field}=${columnNumberToLetter(layout.columns[field])}`);
+    lines.push(`${tab.tabName}: ${found.join(', ') || 'no columns found'}`);
+    layout.errors.forEach(error => lines.push('  ERROR ' + error));
+    layout.warnings.forEach(warning => lines.push('  Moved ' + warning));
+  }
+
+  ui.alert(`Column Layout for "${selectedCommunityId}"`, lines.join('\n'), ui.ButtonSet.OK);
+}
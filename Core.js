@@ -0,0 +1,291 @@
+// --- Headless Core: Matching, Scoring and Planning ---
+
+// Nothing in this file shows a dialog. Functions that read spreadsheets throw a
+// CommunityToolsError (see Errors.js) when something is missing; the "plan" and "match"
+// functions only work on values passed to them and return plain objects. The menu items
+// in Code.js are thin wrappers that read the tracker, call these and report the result.
+
+/**
+ * Opens a community's 'Directory' tab and prepares it for name matching.
+ * @param {string} communityId The community.
+ * @return {object} { config, directoryData, dirColumns, directoryIndex, directoryLookup }
+ * @throws {CommunityToolsError} If the community, its Directory or a required column is missing.
+ */
+function loadCommunityDirectory(communityId) {
+  const config = loadCommunityConfig(communityId);
+  const directorySheet = openCommunityTab(config, DIRECTORY_TAB_NAME);
+  const dirColumns = loadSheetLayout(directorySheet, DIRECTORY_TAB_NAME, config);
+  const directoryData = directorySheet.getDataRange().getValues();
+  const directoryIndex = buildDirectoryNameIndex(directoryData, dirColumns);
+  return {
+    config: config,
+    directoryData: directoryData,
+    dirColumns: dirColumns,
+    directoryIndex: directoryIndex,
+    directoryLookup: buildDirectoryLookup(directoryIndex)
+  };
+}
+
+/**
+ * Matches the name typed in one tracker row against a community Directory.
+ * @param {string} firstName The typed first name.
+ * @param {string} lastName The typed last name.
+ * @param {*} existingId The Person ID already in the row, e.g. one picked from the candidates dropdown.
+ * @param {object} directory A directory from loadCommunityDirectory.
+ * @param {object} aliases The map from loadNameAliases.
+ * @return {object} { status: 'matched'|'ambiguous'|'near-miss'|'not-found', entry, matchType, candidates, note }
+ */
+function matchTrackerRow(firstName, lastName, existingId, directory, aliases) {
+  const typedName = String(firstName).trim() + " " + String(lastName).trim();
+  const resolution = resolveDirectoryCandidates(findDirectoryCandidates(firstName, lastName, directory.directoryIndex, aliases, directory.directoryLookup));
+  const pickedId = existingId === null || existingId === undefined ? "" : String(existingId).trim();
+  if (resolution.status !== 'matched' && pickedId !== "") {
+    // A Person ID already picked from the candidates dropdown settles the row.
+    const picked = resolution.candidates.filter(c => String(c.entry.personId).trim() === pickedId);
+    if (picked.length === 1) {
+      resolution.status = 'matched';
+      resolution.match = picked[0];
+    }
+  }
+
+  if (resolution.status === 'matched') {
+    const matchType = resolution.match.matchType;
+    return {
+      status: 'matched',
+      entry: resolution.match.entry,
+      matchType: matchType,
+      candidates: resolution.candidates,
+      note: matchType === 'exact' ? "" : `Matched "${typedName}" by ${matchType} name.`
+    };
+  }
+
+  let note;
+  if (resolution.status === 'not-found') {
+    note = `"${typedName}" was not found in the Directory.`;
+  } else {
+    note = (resolution.status === 'ambiguous' ? `"${typedName}" matches more than one Directory entry:\n` : `"${typedName}" was not found. Did you mean:\n`) +
+      describeDirectoryCandidates(resolution.candidates);
+  }
+  return { status: resolution.status, entry: null, matchType: null, candidates: resolution.candidates, note: note };
+}
+
+/**
+ * Works out the new score and the "BASELINE ADJUSTMENT" dates for the tracker rows of one community.
+ * @param {Array<Array<*>>} uatRows Tracker rows, at least UAT_COL_ACTIVITY_LEVEL columns wide.
+ * @param {Array<Array<*>>} statsData The values of the community's 'Attendance Stats' tab.
+ * @param {object} statsColumns The 'Attendance Stats' layout from loadSheetLayout.
+ * @param {Array<object>} rules The rules from loadScoringRules.
+ * @param {Date} today The run date.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @param {object=} dateOptions { strategy, calendarDates } for generateBaselineDates; defaults to DEFAULT_DATE_STRATEGY.
+ * @return {object} { entries, recordsToProcessCount, recordsSkippedOrFailed, recordsMissingDetailsUAT, rowStatuses };
+ *     each entry has the rowIndex of its tracker row, and rowStatuses holds the Status of the other
+ *     rows (null for the rows of entries) as for writeTrackerStatuses.
+ */
+function planCommunityActivityLevels(uatRows, statsData, statsColumns, rules, today, timeZone, dateOptions) {
+  const dateStrategy = (dateOptions && dateOptions.strategy) || DEFAULT_DATE_STRATEGY;
+  const calendarDates = (dateOptions && dateOptions.calendarDates) || [];
+  const result = {
+    entries: [],
+    recordsToProcessCount: 0,
+    recordsSkippedOrFailed: [],
+    recordsMissingDetailsUAT: 0,
+    rowStatuses: uatRows.map(() => null)
+  };
+  const statsIndex = buildStatsRowIndex(statsData, statsColumns);
+
+  for (let i = 0; i < uatRows.length; i++) {
+    const personIdUAT = uatRows[i][UAT_COL_ID - 1];
+    const fullNameUAT = uatRows[i][UAT_COL_FULL_NAME - 1];
+    const lastNameUAT = uatRows[i][UAT_COL_LAST_NAME - 1];
+    const firstNameUAT = uatRows[i][UAT_COL_FIRST_NAME - 1];
+    const activityLevelUAT = uatRows[i][UAT_COL_ACTIVITY_LEVEL - 1];
+
+    if (personIdUAT && String(personIdUAT).trim() !== "" &&
+      lastNameUAT && String(lastNameUAT).trim() !== "" &&
+      firstNameUAT && String(firstNameUAT).trim() !== "" &&
+      activityLevelUAT && String(activityLevelUAT).trim() !== "") {
+
+      result.recordsToProcessCount++;
+
+      let current_E_val = 0;
+      let current_K_val = 0;
+      const statsMatches = findStatsRowIndexes(statsIndex, personIdUAT, firstNameUAT, lastNameUAT);
+      if (statsMatches.length > 1) {
+        result.recordsSkippedOrFailed.push(`${firstNameUAT} ${lastNameUAT} (ID: ${personIdUAT}) - Ambiguous: ${statsMatches.length} matching rows in Attendance Stats`);
+        result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.AMBIGUOUS, `${statsMatches.length} matching rows in 'Attendance Stats'`);
+        continue;
+      }
+      const foundInStats = statsMatches.length === 1;
+      if (foundInStats) {
+        current_E_val = parseInt(statsData[statsMatches[0]][statsColumns.quarterEvents - 1], 10) || 0;
+        current_K_val = parseInt(statsData[statsMatches[0]][statsColumns.activityScore - 1], 10) || 0;
+      }
+
+      const newCalculatedScoreK = calculateActivityScore(activityLevelUAT, current_E_val, current_K_val, rules);
+      if (newCalculatedScoreK === null) {
+        result.recordsSkippedOrFailed.push(`${firstNameUAT} ${lastNameUAT} (ID: ${personIdUAT}) - Unknown Level`);
+        result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.SKIPPED, `unknown activity level "${String(activityLevelUAT).trim()}"`);
+        continue;
+      }
+
+      const baselineDates = generateBaselineDates(newCalculatedScoreK, today, timeZone, dateStrategy, calendarDates);
+      result.entries.push({
+        rowIndex: i,
+        personId: personIdUAT,
+        fullName: fullNameUAT,
+        firstName: firstNameUAT,
+        lastName: lastNameUAT,
+        activityLevel: String(activityLevelUAT).trim(),
+        foundInStats: foundInStats,
+        currentE: current_E_val,
+        currentK: current_K_val,
+        newK: newCalculatedScoreK,
+        statsRowNumber: foundInStats ? statsMatches[0] + 1 : null,
+        eventDates: baselineDates.dates,
+        shortfall: baselineDates.shortfall,
+        carriedOver: baselineDates.carriedOver
+      });
+    } else if (activityLevelUAT && String(activityLevelUAT).trim() !== "") {
+      result.recordsMissingDetailsUAT++;
+      result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.SKIPPED, 'missing Person ID, First Name or Last Name; run "Load Data"');
+    } else {
+      result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.SKIPPED, 'no activity level');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reads what the update for one community needs and plans it, without writing anything.
+ * @param {string} communityId The community.
+ * @param {Array<Array<*>>} uatRows The tracker rows routed to this community.
+ * @param {Date} today The run date.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @return {object} The community plan: { communityId, statsSpreadsheet, statsSheet, statsColumns, batchId,
+ *     runDate, timeZone, dateStrategy, baselinePolicy, writeBackScores } plus the fields of
+ *     planCommunityActivityLevels and applyBaselinePolicy.
+ * @throws {CommunityToolsError} If the community cannot be read or its scoring rules are invalid.
+ */
+function buildCommunityActivityLevelPlan(communityId, uatRows, today, timeZone) {
+  const config = loadCommunityConfig(communityId);
+  const statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+  const statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+
+  const scoring = loadScoringRules(communityId);
+  if (scoring.errors.length > 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.SCORING_RULES,
+      `Please fix the following in the '${SCORING_RULES_SHEET_NAME}' tab before updating activity levels for "${communityId}":`,
+      scoring.errors);
+  }
+
+  const dateStrategy = getCommunityDateStrategy(config);
+  const baselinePolicy = getCommunityBaselinePolicy(config);
+  const writeBackScores = isScoreWriteBackEnabled(config);
+  const calendarDates = dateStrategy === 'event-calendar' ? loadEventCalendarDates(statsSheet.getParent()) : [];
+
+  const planned = planCommunityActivityLevels(uatRows, statsSheet.getDataRange().getValues(), statsColumns, scoring.rules, today, timeZone,
+    { strategy: dateStrategy, calendarDates: calendarDates });
+  const eventSheet = statsSheet.getParent().getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  const existingBaselineRows = findQuarterBaselineRows(eventSheet ? eventSheet.getDataRange().getValues() : [], today, timeZone);
+  applyBaselinePolicy(planned, existingBaselineRows, baselinePolicy, today);
+  return Object.assign({
+    communityId: communityId,
+    statsSpreadsheet: statsSheet.getParent(),
+    statsSheet: statsSheet,
+    statsColumns: statsColumns,
+    batchId: generateBatchId(communityId, today, timeZone),
+    runDate: today,
+    timeZone: timeZone,
+    dateStrategy: dateStrategy,
+    baselinePolicy: baselinePolicy,
+    writeBackScores: writeBackScores
+  }, planned);
+}
+
+/**
+ * Works out which 'Attendance Stats' scores Reset Activity Level sets to 0.
+ * @param {Array<Array<*>>} uatRows Tracker rows, UAT_COL_COMMUNITY_ID columns wide.
+ * @param {Array<Array<*>>} statsData The values of the community's 'Attendance Stats' tab.
+ * @param {object} statsColumns The 'Attendance Stats' layout from loadSheetLayout.
+ * @param {string} communityId The community being reset; rows routed to another community are ignored.
+ * @return {object} { resets: [{ statsRowNumber, personId, before }], alreadyZero, processed, notFound, ambiguous,
+ *     rowStatuses }; rowStatuses holds the Status of each tracker row, as for writeTrackerStatuses.
+ */
+function planActivityScoreReset(uatRows, statsData, statsColumns, communityId) {
+  const result = { resets: [], alreadyZero: 0, processed: 0, notFound: [], ambiguous: [], rowStatuses: uatRows.map(() => null) };
+  const statsIndex = buildStatsRowIndex(statsData, statsColumns);
+  uatRows.forEach((row, i) => {
+    const personIdUAT = row[UAT_COL_ID - 1];
+    const lastNameUAT = row[UAT_COL_LAST_NAME - 1];
+    const firstNameUAT = row[UAT_COL_FIRST_NAME - 1];
+    const rowCommunityId = String(row[UAT_COL_COMMUNITY_ID - 1]).trim();
+    if (rowCommunityId !== "" && rowCommunityId != String(communityId).trim()) {
+      // Rows routed to another community are not looked up in this one's 'Attendance Stats'.
+      result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.SKIPPED, `score not reset; the row belongs to community "${rowCommunityId}"`);
+      return;
+    }
+    if (!(personIdUAT && String(personIdUAT).trim() !== "" &&
+      lastNameUAT && String(lastNameUAT).trim() !== "" &&
+      firstNameUAT && String(firstNameUAT).trim() !== "")) {
+      if (row.slice(0, UAT_COL_ACTIVITY_LEVEL).some(value => String(value).trim() !== "")) {
+        result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.SKIPPED, 'score not reset; missing Person ID, First Name or Last Name');
+      }
+      return;
+    }
+
+    result.processed++;
+    const statsMatches = findStatsRowIndexes(statsIndex, personIdUAT, firstNameUAT, lastNameUAT);
+    if (statsMatches.length === 1) {
+      const currentScore = statsData[statsMatches[0]][statsColumns.activityScore - 1];
+      if (currentScore === 0 || currentScore === "") {
+        result.alreadyZero++;
+        result.rowStatuses[i] = `${TRACKER_STATUS.UNCHANGED} (score already 0)`;
+      } else {
+        result.resets.push({ statsRowNumber: statsMatches[0] + 1, personId: personIdUAT, before: currentScore });
+        result.rowStatuses[i] = `${TRACKER_STATUS.SCORE_RESET} (was ${currentScore})`;
+      }
+    } else if (statsMatches.length > 1) {
+      result.ambiguous.push(`${firstNameUAT} ${lastNameUAT} (ID: ${personIdUAT}, ${statsMatches.length} rows)`);
+      result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.AMBIGUOUS, `score not reset; ${statsMatches.length} matching rows in 'Attendance Stats'`);
+    } else {
+      result.notFound.push(`${firstNameUAT} ${lastNameUAT} (ID: ${personIdUAT})`);
+      result.rowStatuses[i] = formatTrackerStatus(TRACKER_STATUS.NOT_FOUND, "no matching row in 'Attendance Stats'");
+    }
+  });
+  return result;
+}
+
+/**
+ * Turns the rows of a community 'Directory' or 'Attendance Stats' tab into tracker rows.
+ * @param {Array<Array<*>>} sourceData The values of the tab, header row first.
+ * @param {object} columns The tab's layout from loadSheetLayout (personId, firstName, lastName).
+ * @return {object} { rows: tracker rows (A:E), skippedRowNumbers: rows too short to read }
+ */
+function buildTrackerRowsFromSource(sourceData, columns) {
+  const result = { rows: [], skippedRowNumbers: [] };
+  const neededColumns = Math.max(columns.personId, columns.firstName, columns.lastName);
+  for (let i = 1; i < sourceData.length; i++) {
+    const row = sourceData[i];
+    if (row.length < neededColumns) {
+      result.skippedRowNumbers.push(i + 1);
+      continue;
+    }
+    const personId = row[columns.personId - 1];
+    const firstName = row[columns.firstName - 1];
+    const lastName = row[columns.lastName - 1];
+    if (personId && String(personId).trim() !== "" &&
+      firstName && String(firstName).trim() !== "" &&
+      lastName && String(lastName).trim() !== "") {
+      result.rows.push([
+        personId,
+        String(firstName).trim() + " " + String(lastName).trim(),
+        lastName,
+        firstName,
+        null
+      ]);
+    }
+  }
+  return result;
+}
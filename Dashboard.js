@@ -0,0 +1,288 @@
+// --- Quarter-over-Quarter Activity Dashboard ---
+
+// "Build Dashboard" writes one tab per community in this (Tools) spreadsheet, rebuilt from
+// scratch each time: row 1 holds the Community ID and the build time, the sections follow
+// one under the other and the charts sit to their right.
+//
+// A person's level in a quarter comes from their activity sum, the "Events This Quarter" +
+// score total that the scoring rules clamp: the 'Event Attendance' rows dated in the quarter,
+// real and "BASELINE ADJUSTMENT" rows together, or E + K of 'Attendance Stats' for the
+// current-quarter snapshot. The level is the highest one whose threshold the sum reaches
+// (a fixed rule's Value, an additive rule's Min Sum). Baseline rows are counted apart from
+// real attendance, and top attenders and drop-offs only count real attendance.
+const DASHBOARD_SHEET_PREFIX = 'Dashboard ';
+const DASHBOARD_QUARTERS = 4; // The current quarter and the three before it
+const DASHBOARD_TOP_ATTENDERS = 10;
+const DASHBOARD_NO_EVENTS_LEVEL = '(no events)';
+const DASHBOARD_CHART_COLUMN = 10; // Column J
+
+/**
+ * @param {Date} date Any date.
+ * @return {string} The quarter it falls in, e.g. "2026 Q4".
+ */
+function getQuarterLabel(date) {
+  return `${date.getFullYear()} Q${Math.floor(date.getMonth() / 3) + 1}`;
+}
+
+/**
+ * @param {Date} today The build date.
+ * @param {number} count How many quarters, the current one included.
+ * @return {Array<object>} { label, start, end } for each quarter, oldest first; end is the next quarter's start.
+ */
+function listDashboardQuarters(today, count) {
+  const quarters = [];
+  let start = getQuarterStartDate(today);
+  for (let i = 0; i < count; i++) {
+    quarters.unshift({ label: getQuarterLabel(start), start: start, end: new Date(start.getFullYear(), start.getMonth() + 3, 1) });
+    start = new Date(start.getFullYear(), start.getMonth() - 3, 1);
+  }
+  return quarters;
+}
+
+/**
+ * @param {Array<object>} rules The rules from loadScoringRules.
+ * @return {Array<object>} { level, threshold } for each level, lowest threshold first.
+ */
+function getLevelThresholds(rules) {
+  return rules
+    .map(rule => ({ level: rule.level, threshold: rule.formula === 'fixed' || rule.minSum === null ? rule.value : rule.minSum }))
+    .sort((a, b) => a.threshold - b.threshold);
+}
+
+/**
+ * @param {number} activitySum Events plus score, or the number of event rows in a quarter.
+ * @param {Array<object>} thresholds From getLevelThresholds.
+ * @return {string} The level, or DASHBOARD_NO_EVENTS_LEVEL for a sum of 0.
+ */
+function classifyActivitySum(activitySum, thresholds) {
+  if (!(activitySum > 0) || thresholds.length === 0) return DASHBOARD_NO_EVENTS_LEVEL;
+  let level = thresholds[0].level;
+  for (const step of thresholds) {
+    if (activitySum >= step.threshold) level = step.level;
+  }
+  return level;
+}
+
+/**
+ * Works out the dashboard figures of one community without writing anything.
+ * @param {Array<Array<*>>} eventData The values of the 'Event Attendance' tab; empty if it does not exist.
+ * @param {Array<Array<*>>} statsData The values of the 'Attendance Stats' tab.
+ * @param {object} statsColumns The 'Attendance Stats' layout from loadSheetLayout.
+ * @param {Array<object>} rules The rules from loadScoringRules.
+ * @param {Date} today The build date.
+ * @return {object} { levels, quarters: [{ label, levelCounts, realEvents, baselineEvents, peopleAttending }],
+ *     movements: [{ fromQuarter, toQuarter, fromLevel, toLevel, people }], topAttenders: [{ personId, name,
+ *     realEvents, lastAttended }], droppedOff: [{ personId, name, previousEvents, lastAttended }], snapshot: { levelCounts, people } }
+ */
+function summarizeCommunityActivity(eventData, statsData, statsColumns, rules, today) {
+  const thresholds = getLevelThresholds(rules);
+  const levels = thresholds.map(step => step.level).concat([DASHBOARD_NO_EVENTS_LEVEL]);
+  const quarters = listDashboardQuarters(today, DASHBOARD_QUARTERS);
+  const emptyCounts = () => {
+    const counts = {};
+    levels.forEach(level => { counts[level] = 0; });
+    return counts;
+  };
+
+  const people = {};
+  const getPerson = (personId, name) => {
+    if (!people[personId]) {
+      people[personId] = { personId: personId, name: name, real: quarters.map(() => 0), baseline: quarters.map(() => 0), lastAttended: null };
+    }
+    if (!people[personId].name && name) people[personId].name = name;
+    return people[personId];
+  };
+
+  const snapshot = { levelCounts: emptyCounts(), people: 0 };
+  for (let i = 1; i < statsData.length; i++) {
+    const personId = String(statsData[i][statsColumns.personId - 1]).trim();
+    if (personId === '') continue;
+    getPerson(personId, `${String(statsData[i][statsColumns.firstName - 1]).trim()} ${String(statsData[i][statsColumns.lastName - 1]).trim()}`.trim());
+    const activitySum = (Number(statsData[i][statsColumns.quarterEvents - 1]) || 0) + (Number(statsData[i][statsColumns.activityScore - 1]) || 0);
+    snapshot.levelCounts[classifyActivitySum(activitySum, thresholds)]++;
+    snapshot.people++;
+  }
+
+  const summaries = quarters.map(quarter => ({ label: quarter.label, levelCounts: emptyCounts(), realEvents: 0, baselineEvents: 0, peopleAttending: 0 }));
+  for (let i = 1; i < eventData.length; i++) {
+    const personId = String(eventData[i][EVENT_COL_PERSON_ID - 1]).trim();
+    const value = eventData[i][EVENT_COL_EVENT_DATE - 1];
+    const eventDate = value instanceof Date ? value : new Date(value);
+    if (personId === '' || value === '' || isNaN(eventDate.getTime())) continue;
+    const quarterIndex = quarters.findIndex(quarter => eventDate >= quarter.start && eventDate < quarter.end);
+    if (quarterIndex === -1) continue;
+
+    const person = getPerson(personId, String(eventData[i][EVENT_COL_FULL_NAME - 1]).trim());
+    if (String(eventData[i][EVENT_COL_EVENT - 1]).trim().indexOf(BASELINE_EVENT_PREFIX) === 0) {
+      person.baseline[quarterIndex]++;
+      summaries[quarterIndex].baselineEvents++;
+    } else {
+      person.real[quarterIndex]++;
+      summaries[quarterIndex].realEvents++;
+      if (!person.lastAttended || eventDate > person.lastAttended) person.lastAttended = eventDate;
+    }
+  }
+
+  const personList = Object.keys(people).map(personId => people[personId]);
+  const levelOf = (person, quarterIndex) => classifyActivitySum(person.real[quarterIndex] + person.baseline[quarterIndex], thresholds);
+  summaries.forEach((summary, quarterIndex) => {
+    personList.forEach(person => {
+      summary.levelCounts[levelOf(person, quarterIndex)]++;
+      if (person.real[quarterIndex] > 0) summary.peopleAttending++;
+    });
+  });
+
+  const movements = [];
+  for (let q = 1; q < quarters.length; q++) {
+    const counts = {};
+    personList.forEach(person => {
+      const fromLevel = levelOf(person, q - 1);
+      const toLevel = levelOf(person, q);
+      if (fromLevel !== toLevel) counts[`${fromLevel}\t${toLevel}`] = (counts[`${fromLevel}\t${toLevel}`] || 0) + 1;
+    });
+    Object.keys(counts).sort((a, b) => counts[b] - counts[a]).forEach(key => {
+      const parts = key.split('\t');
+      movements.push({ fromQuarter: quarters[q - 1].label, toQuarter: quarters[q].label, fromLevel: parts[0], toLevel: parts[1], people: counts[key] });
+    });
+  }
+
+  const sum = numbers => numbers.reduce((total, n) => total + n, 0);
+  const topAttenders = personList
+    .filter(person => sum(person.real) > 0)
+    .sort((a, b) => sum(b.real) - sum(a.real) || b.lastAttended - a.lastAttended)
+    .slice(0, DASHBOARD_TOP_ATTENDERS)
+    .map(person => ({ personId: person.personId, name: person.name, realEvents: sum(person.real), lastAttended: person.lastAttended }));
+
+  const current = quarters.length - 1;
+  const droppedOff = personList
+    .filter(person => person.real[current - 1] > 0 && person.real[current] === 0)
+    .sort((a, b) => b.real[current - 1] - a.real[current - 1])
+    .map(person => ({ personId: person.personId, name: person.name, previousEvents: person.real[current - 1], lastAttended: person.lastAttended }));
+
+  return { levels: levels, quarters: summaries, movements: movements, topAttenders: topAttenders, droppedOff: droppedOff, snapshot: snapshot };
+}
+
+/**
+ * Writes a titled table to the dashboard tab.
+ * @param {Sheet} sheet The dashboard tab.
+ * @param {number} row The row of the title.
+ * @param {string} title The section title.
+ * @param {Array<string>} headers The table headers.
+ * @param {Array<Array<*>>} rows The table rows; "None" is written if there are none.
+ * @return {number} The row after the table and one blank row.
+ */
+function writeDashboardSection(sheet, row, title, headers, rows) {
+  sheet.getRange(row, 1).setValue(title).setFontWeight('bold').setFontSize(12);
+  sheet.getRange(row + 1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold').setBackground('#f1f3f4');
+  if (rows.length === 0) {
+    sheet.getRange(row + 2, 1).setValue('None');
+    return row + 4;
+  }
+  sheet.getRange(row + 2, 1, rows.length, headers.length).setValues(rows);
+  return row + 2 + rows.length + 1;
+}
+
+/**
+ * Menu item: builds the "Dashboard <Community ID>" tab of the community selected in UAT_CELL_COMMUNITY_ID.
+ */
+function buildDashboard() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  let statsSheet, statsColumns, rules;
+  try {
+    const config = loadCommunityConfig(selectedCommunityId);
+    statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+    statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+    const scoring = loadScoringRules(selectedCommunityId);
+    if (scoring.errors.length > 0) {
+      throw new CommunityToolsError(TOOLS_ERROR_CODES.SCORING_RULES,
+        `Please fix the following in the '${SCORING_RULES_SHEET_NAME}' tab before building the dashboard for "${selectedCommunityId}":`,
+        scoring.errors);
+    }
+    rules = scoring.rules;
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  const eventSheet = statsSheet.getParent().getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  const eventData = eventSheet ? eventSheet.getDataRange().getValues() : [];
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const today = new Date();
+  const summary = summarizeCommunityActivity(eventData, statsSheet.getDataRange().getValues(), statsColumns, rules, today);
+
+  const dashboardName = DASHBOARD_SHEET_PREFIX + selectedCommunityId;
+  let dashboardSheet = ss.getSheetByName(dashboardName);
+  if (dashboardSheet) {
+    dashboardSheet.getCharts().forEach(chart => dashboardSheet.removeChart(chart));
+    dashboardSheet.clear();
+  } else {
+    dashboardSheet = ss.insertSheet(dashboardName);
+  }
+  dashboardSheet.getRange(1, 1, 1, 4).setValues([['Community ID', selectedCommunityId, 'Built', Utilities.formatDate(today, timeZone, 'M/d/yyyy HH:mm')]]);
+  const formatDate = date => (date ? Utilities.formatDate(date, timeZone, 'M/d/yyyy') : '');
+
+  let row = 3;
+  const levelsRow = row;
+  row = writeDashboardSection(dashboardSheet, row,
+    `People per level and quarter (${getQuarterLabel(today)} so far; levels from real + baseline rows)`,
+    ['Quarter'].concat(summary.levels, ['Real Events', 'Baseline Events', 'People Attending']),
+    summary.quarters.map(q => [q.label].concat(summary.levels.map(level => q.levelCounts[level]), [q.realEvents, q.baselineEvents, q.peopleAttending])));
+  const snapshotRow = row;
+  row = writeDashboardSection(dashboardSheet, row,
+    `Current quarter from 'Attendance Stats' (Events This Quarter + score, ${summary.snapshot.people} people)`,
+    summary.levels, [summary.levels.map(level => summary.snapshot.levelCounts[level])]);
+  row = writeDashboardSection(dashboardSheet, row, 'Movement between levels',
+    ['From Quarter', 'To Quarter', 'From Level', 'To Level', 'People'],
+    summary.movements.map(m => [m.fromQuarter, m.toQuarter, m.fromLevel, m.toLevel, m.people]));
+  row = writeDashboardSection(dashboardSheet, row, `Top ${DASHBOARD_TOP_ATTENDERS} attenders (real attendance, last ${DASHBOARD_QUARTERS} quarters)`,
+    ['Person ID', 'Name', 'Real Events', 'Last Attended'],
+    summary.topAttenders.map(p => [p.personId, p.name, p.realEvents, formatDate(p.lastAttended)]));
+  writeDashboardSection(dashboardSheet, row, 'Dropped off (attended last quarter, not yet this quarter)',
+    ['Person ID', 'Name', 'Events Last Quarter', 'Last Attended'],
+    summary.droppedOff.map(p => [p.personId, p.name, p.previousEvents, formatDate(p.lastAttended)]));
+
+  // The level columns exclude DASHBOARD_NO_EVENTS_LEVEL, which would dwarf the others.
+  const quarterCount = summary.quarters.length;
+  const levelCount = summary.levels.length - 1;
+  dashboardSheet.insertChart(dashboardSheet.newChart()
+    .setChartType(Charts.ChartType.COLUMN)
+    .addRange(dashboardSheet.getRange(levelsRow + 1, 1, quarterCount + 1, 1 + levelCount))
+    .setNumHeaders(1)
+    .setOption('title', 'People per level')
+    .setOption('isStacked', true)
+    .setPosition(levelsRow, DASHBOARD_CHART_COLUMN, 0, 0)
+    .build());
+  dashboardSheet.insertChart(dashboardSheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(dashboardSheet.getRange(levelsRow + 1, 1, quarterCount + 1, 1))
+    .addRange(dashboardSheet.getRange(levelsRow + 1, 2 + summary.levels.length, quarterCount + 1, 2))
+    .setMergeStrategy(Charts.ChartMergeStrategy.MERGE_COLUMNS)
+    .setNumHeaders(1)
+    .setOption('title', 'Real and baseline events')
+    .setPosition(levelsRow + 20, DASHBOARD_CHART_COLUMN, 0, 0)
+    .build());
+  dashboardSheet.insertChart(dashboardSheet.newChart()
+    .setChartType(Charts.ChartType.PIE)
+    .addRange(dashboardSheet.getRange(snapshotRow + 1, 1, 2, levelCount))
+    .setTransposeRowsAndColumns(true)
+    .setNumHeaders(1)
+    .setOption('title', 'Current levels (Attendance Stats)')
+    .setPosition(levelsRow + 40, DASHBOARD_CHART_COLUMN, 0, 0)
+    .build());
+  ss.setActiveSheet(dashboardSheet);
+
+  const current = summary.quarters[quarterCount - 1];
+  ui.alert(`Dashboard for "${selectedCommunityId}"`,
+    `The "${dashboardName}" tab was rebuilt.\n\n` +
+    `${current.label} so far: ${current.realEvents} real events by ${current.peopleAttending} people, ${current.baselineEvents} baseline rows.\n` +
+    `${summary.droppedOff.length} people attended last quarter but not yet this quarter.`,
+    ui.ButtonSet.OK);
+}
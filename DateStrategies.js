@@ -0,0 +1,116 @@
+// --- Baseline Event Date Strategies ---
+
+// Optional 'Settings' column, found by its header, choosing how each community's
+// "BASELINE ADJUSTMENT" dates are picked. Blank means DEFAULT_DATE_STRATEGY.
+const SETTINGS_HEADER_DATE_STRATEGY = 'Date Strategy';
+
+// 'recent-days':    one event per day, counting back from today, stopping at the quarter start.
+// 'spread-quarter': events spread evenly over the days of the quarter so far.
+// 'event-calendar': the most recent days this quarter on which the community logged real events.
+// 'carry-over':     like 'recent-days', but continues into the previous quarter instead of stopping.
+const DATE_STRATEGIES = ['recent-days', 'spread-quarter', 'event-calendar', 'carry-over'];
+const DEFAULT_DATE_STRATEGY = 'recent-days';
+const BASELINE_EVENT_PREFIX = 'BASELINE ADJUSTMENT';
+
+/**
+ * @param {Date} referenceDate Any date.
+ * @return {Date} Midnight of the first day of the quarter the date falls in.
+ */
+function getQuarterStartDate(referenceDate) {
+  return new Date(referenceDate.getFullYear(), Math.floor(referenceDate.getMonth() / 3) * 3, 1);
+}
+
+/**
+ * @param {object} config A config from loadCommunityConfig.
+ * @return {string} One of DATE_STRATEGIES.
+ * @throws {CommunityToolsError} If the community's "Date Strategy" setting is not a known strategy.
+ */
+function getCommunityDateStrategy(config) {
+  const strategy = String(getCommunitySetting(config, SETTINGS_HEADER_DATE_STRATEGY)).trim().toLowerCase() || DEFAULT_DATE_STRATEGY;
+  if (DATE_STRATEGIES.indexOf(strategy) === -1) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_SETTING,
+      `The "${SETTINGS_HEADER_DATE_STRATEGY}" of community "${config.communityId}" is "${strategy}". Please use one of: ${DATE_STRATEGIES.join(', ')}.`);
+  }
+  return strategy;
+}
+
+/**
+ * Reads the days on which real (non-baseline) events were logged in a community's 'Event Attendance' tab.
+ * @param {Spreadsheet} statsSpreadsheet The community's Attendance Stats spreadsheet.
+ * @return {Array<Date>} The event dates, in sheet order; empty if the tab does not exist.
+ */
+function loadEventCalendarDates(statsSpreadsheet) {
+  const eventSheet = statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  if (!eventSheet) return [];
+
+  const calendar = [];
+  const eventData = eventSheet.getDataRange().getValues();
+  for (let i = 1; i < eventData.length; i++) {
+    if (String(eventData[i][EVENT_COL_EVENT - 1]).trim().indexOf(BASELINE_EVENT_PREFIX) === 0) continue;
+    const value = eventData[i][EVENT_COL_EVENT_DATE - 1];
+    const eventDate = value instanceof Date ? value : new Date(value);
+    if (value !== "" && !isNaN(eventDate.getTime())) {
+      calendar.push(eventDate);
+    }
+  }
+  return calendar;
+}
+
+/**
+ * Picks the dates of the "BASELINE ADJUSTMENT" rows for one person.
+ * @param {number} count The number of events wanted (the new activity score).
+ * @param {Date} referenceDate The run date; no date after it is used.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @param {string} strategy One of DATE_STRATEGIES.
+ * @param {Array<Date>=} calendarDates For 'event-calendar', from loadEventCalendarDates.
+ * @return {object} { dates: formatted dates, most recent first; shortfall: events that could
+ *     not be given a date; carriedOver: dates that fall in the previous quarter }
+ */
+function generateBaselineDates(count, referenceDate, timeZone, strategy, calendarDates) {
+  const result = { dates: [], shortfall: 0, carriedOver: 0 };
+  if (count <= 0) return result;
+
+  const quarterStart = getQuarterStartDate(referenceDate);
+  const format = date => Utilities.formatDate(date, timeZone, "M/d/yyyy");
+
+  if (strategy === 'spread-quarter') {
+    const quarterDays = [];
+    for (let i = 0; ; i++) {
+      const day = new Date(referenceDate.getTime());
+      day.setDate(referenceDate.getDate() - i);
+      if (day.getTime() < quarterStart.getTime()) break;
+      quarterDays.push(day);
+    }
+    if (count >= quarterDays.length) {
+      result.dates = quarterDays.map(format);
+    } else {
+      for (let i = 0; i < count; i++) {
+        result.dates.push(format(quarterDays[Math.floor((i + 0.5) * quarterDays.length / count)]));
+      }
+    }
+  } else if (strategy === 'event-calendar') {
+    const seen = {};
+    const calendar = (calendarDates || [])
+      .filter(date => date.getTime() >= quarterStart.getTime() && date.getTime() <= referenceDate.getTime())
+      .sort((a, b) => b.getTime() - a.getTime());
+    for (const date of calendar) {
+      const formatted = format(date);
+      if (seen[formatted]) continue;
+      seen[formatted] = true;
+      result.dates.push(formatted);
+      if (result.dates.length === count) break;
+    }
+  } else if (strategy === 'carry-over') {
+    for (let i = 0; i < count; i++) {
+      const day = new Date(referenceDate.getTime());
+      day.setDate(referenceDate.getDate() - i);
+      if (day.getTime() < quarterStart.getTime()) result.carriedOver++;
+      result.dates.push(format(day));
+    }
+  } else {
+    result.dates = generateRecentDistinctDates(count, referenceDate, timeZone);
+  }
+
+  result.shortfall = count - result.dates.length;
+  return result;
+}
@@ -0,0 +1,63 @@
+// --- Typed Errors Raised by the Headless Core ---
+
+// The core functions (see Core.js) never show dialogs. They throw a CommunityToolsError
+// whose code tells the caller what went wrong; menu items turn it into an alert with
+// reportToolsError, triggers and other callers read error.code and error.message.
+const TOOLS_ERROR_CODES = {
+  MISSING_INPUT: 'missing-input', // Nothing selected or entered to work on
+  MISSING_SHEET: 'missing-sheet', // A tab of this or a community spreadsheet does not exist
+  MISSING_SETTING: 'missing-setting', // A community or one of its URLs is not in Settings
+  INVALID_SETTING: 'invalid-setting', // A Settings value is not one of the allowed values
+  CANNOT_OPEN: 'cannot-open', // A community spreadsheet could not be opened
+  COLUMN_LAYOUT: 'column-layout', // A community tab does not have the expected columns
+  SCORING_RULES: 'scoring-rules', // The 'Scoring Rules' tab has invalid rows
+  PERMISSION_DENIED: 'permission-denied', // The user may not run a command for a community (see Permissions.js)
+  UNAUTHORIZED: 'unauthorized', // A web API request has no valid API key (see WebApi.js)
+  INVALID_REQUEST: 'invalid-request', // A web API request is not valid JSON or names an unknown action
+  NOT_FOUND: 'not-found', // The person asked for is not in the community's sheets
+  AMBIGUOUS: 'ambiguous', // Several rows match the person asked for
+  BUSY: 'busy' // Another command is changing the community sheets (see WriterLock.js)
+};
+
+// The alert title used for each code; codes not listed use 'Error'.
+const TOOLS_ERROR_TITLES = {
+  'column-layout': 'Column Layout Errors',
+  'scoring-rules': 'Scoring Rules Errors',
+  'permission-denied': 'Permission Denied'
+};
+
+class CommunityToolsError extends Error {
+  /**
+   * @param {string} code One of TOOLS_ERROR_CODES.
+   * @param {string} message A message that can be shown to the user as is.
+   * @param {Array<string>=} details Individual problems, e.g. one line per missing column.
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'CommunityToolsError';
+    this.code = code;
+    this.details = details || [];
+  }
+}
+
+/**
+ * Shows a CommunityToolsError to the user. Any other error is rethrown so that Apps Script
+ * reports it as an unexpected failure.
+ * @param {Ui} ui The spreadsheet UI.
+ * @param {Error} error The caught error.
+ */
+function reportToolsError(ui, error) {
+  if (!(error instanceof CommunityToolsError)) {
+    throw error;
+  }
+  ui.alert(TOOLS_ERROR_TITLES[error.code] || 'Error', describeToolsError(error), ui.ButtonSet.OK);
+}
+
+/**
+ * @param {Error} error A caught error.
+ * @return {string} The message and details of the error as one text.
+ */
+function describeToolsError(error) {
+  const details = error.details || [];
+  return details.length > 0 ? `${error.message}\n\n${details.join('\n')}` : error.message;
+}
@@ -0,0 +1,202 @@
+// --- Event Attendance Row Schema ---
+
+// Every 'Event Attendance' header and row the tools write is built here from the EVENT_COL_*
+// constants, so the header can no longer disagree with the rows. Columns not in the schema
+// belong to the community sheet and are left empty.
+//
+// Tabs created before the schema was fixed have "First Name" / "Last Name" headers in
+// columns D / E, while the tools always wrote the names to E / F. Rows entered by hand
+// under those headers are "misaligned": names in D and E, F empty.
+// "Migrate Event Attendance" realigns the headers and those rows.
+const EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN = 4; // Column D
+
+/**
+ * Built on demand so it can use the constants of Code.js regardless of file load order.
+ * @return {Array<object>} { field, column, header } for each column the tools write, left to right.
+ */
+function getEventAttendanceSchema() {
+  return [
+    { field: 'personId', column: EVENT_COL_PERSON_ID, header: 'Person ID' },
+    { field: 'fullName', column: EVENT_COL_FULL_NAME, header: 'Full Name' },
+    { field: 'event', column: EVENT_COL_EVENT, header: 'Event' },
+    { field: 'firstName', column: EVENT_COL_FIRST_NAME, header: 'First Name' },
+    { field: 'lastName', column: EVENT_COL_LAST_NAME, header: 'Last Name' },
+    { field: 'eventDate', column: EVENT_COL_EVENT_DATE, header: 'Event Date' },
+    { field: 'batchId', column: EVENT_COL_BATCH_ID, header: 'Batch ID' },
+    { field: 'updateTimestamp', column: EVENT_COL_UPDATE_TIMESTAMP, header: 'Update Timestamp' }
+  ];
+}
+
+/**
+ * @return {Array<string|null>} The header row of a new 'Event Attendance' tab (A:N).
+ */
+function buildEventAttendanceHeaderRow() {
+  const row = new Array(EVENT_ATTENDANCE_COLUMN_COUNT).fill(null);
+  getEventAttendanceSchema().forEach(spec => { row[spec.column - 1] = spec.header; });
+  return row;
+}
+
+/**
+ * @param {object} values { personId, fullName, event, firstName, lastName, eventDate, batchId, updateTimestamp }
+ * @return {Array<*>} An 'Event Attendance' row (A:N); fields not given are left null.
+ */
+function buildEventAttendanceRow(values) {
+  const row = new Array(EVENT_ATTENDANCE_COLUMN_COUNT).fill(null);
+  getEventAttendanceSchema().forEach(spec => {
+    if (values[spec.field] !== undefined) row[spec.column - 1] = values[spec.field];
+  });
+  return row;
+}
+
+/**
+ * Compares an 'Event Attendance' tab with the schema.
+ * @param {Array<Array<*>>} eventData The values of the tab, header row first.
+ * @return {object} { headerProblems: [{ column, expected, actual }], misalignedRowNumbers }
+ *     expected is '' for a column outside the schema that carries a schema header, e.g. the
+ *     legacy "First Name" in column D.
+ */
+function findEventAttendanceSchemaProblems(eventData) {
+  const result = { headerProblems: [], misalignedRowNumbers: [] };
+  if (eventData.length === 0) return result;
+
+  const cellText = value => (value === null || value === undefined ? '' : String(value).trim());
+  const headerRow = eventData[0];
+  const expectedByColumn = {};
+  getEventAttendanceSchema().forEach(spec => { expectedByColumn[spec.column] = spec.header; });
+  const schemaHeaderKeys = Object.keys(expectedByColumn).map(column => normalizeHeaderKey(expectedByColumn[column]));
+
+  for (let column = 1; column <= Math.max(headerRow.length, EVENT_ATTENDANCE_COLUMN_COUNT); column++) {
+    const actual = cellText(headerRow[column - 1]);
+    if (column in expectedByColumn) {
+      if (normalizeHeaderKey(actual) !== normalizeHeaderKey(expectedByColumn[column])) {
+        result.headerProblems.push({ column: column, expected: expectedByColumn[column], actual: actual });
+      }
+    } else if (actual !== '' && schemaHeaderKeys.indexOf(normalizeHeaderKey(actual)) !== -1) {
+      result.headerProblems.push({ column: column, expected: '', actual: actual });
+    }
+  }
+
+  for (let i = 1; i < eventData.length; i++) {
+    if (isMisalignedEventAttendanceRow(eventData[i])) result.misalignedRowNumbers.push(i + 1);
+  }
+  return result;
+}
+
+/**
+ * @param {Array<*>} row An 'Event Attendance' data row.
+ * @return {boolean} Whether the names sit in the legacy columns D / E instead of E / F.
+ */
+function isMisalignedEventAttendanceRow(row) {
+  const cellText = value => (value === null || value === undefined ? '' : String(value).trim());
+  return cellText(row[EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN - 1]) !== '' &&
+    cellText(row[EVENT_COL_FIRST_NAME - 1]) !== '' &&
+    cellText(row[EVENT_COL_LAST_NAME - 1]) === '';
+}
+
+/**
+ * Menu item: realigns the 'Event Attendance' header and misaligned rows of every community
+ * in 'Settings' the user may migrate, after showing what will change.
+ */
+function migrateEventAttendanceSchema() {
+  const ui = SpreadsheetApp.getUi();
+
+  let communityIds, deniedIds;
+  try {
+    communityIds = listCommunityIds();
+    deniedIds = findDeniedCommunities(PERMISSION_ACTIONS.MIGRATE, communityIds);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  if (communityIds.length > 0 && deniedIds.length === communityIds.length) {
+    checkPermission(ui, PERMISSION_ACTIONS.MIGRATE, communityIds);
+    return;
+  }
+
+  const migrations = [];
+  const skipped = [];
+  for (const communityId of communityIds) {
+    if (deniedIds.indexOf(communityId) !== -1) {
+      skipped.push(`${communityId}: you may not run "Migrate Event Attendance" for it.`);
+      continue;
+    }
+    let statsSpreadsheet;
+    try {
+      statsSpreadsheet = openCommunitySpreadsheet(loadCommunityConfig(communityId), EVENT_ATTENDANCE_TAB_NAME);
+    } catch (e) {
+      skipped.push(`${communityId}: ${e.message}`);
+      continue;
+    }
+    const eventSheet = statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+    if (!eventSheet) continue;
+    const eventData = eventSheet.getDataRange().getValues();
+    const problems = findEventAttendanceSchemaProblems(eventData);
+    if (problems.headerProblems.length > 0 || problems.misalignedRowNumbers.length > 0) {
+      migrations.push({ communityId: communityId, statsSpreadsheet: statsSpreadsheet, eventSheet: eventSheet, eventData: eventData, problems: problems });
+    }
+  }
+
+  const skippedNote = skipped.length > 0 ? `\n\nSkipped:\n${skipped.join('\n')}` : '';
+  if (migrations.length === 0) {
+    ui.alert('Migrate Event Attendance', `Every '${EVENT_ATTENDANCE_TAB_NAME}' tab already follows the schema.${skippedNote}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const summaryLines = migrations.map(m => `- ${m.communityId}: ` +
+    `${m.problems.headerProblems.length} header cell(s)` +
+    (m.problems.misalignedRowNumbers.length > 0 ? `, rows ${describeRowNumbers(m.problems.misalignedRowNumbers)} (names moved from D:E to E:F)` : ''));
+  if (!confirmByTyping(ui, 'Migrate Event Attendance',
+    `The following '${EVENT_ATTENDANCE_TAB_NAME}' tabs will be realigned:\n\n${summaryLines.join('\n')}${skippedNote}`, 'MIGRATE')) {
+    return;
+  }
+
+  try {
+    withWriterLock(() => {
+      for (const migration of migrations) {
+        // Read again under the lock: rows may have been added or removed while the confirmation was open.
+        migration.eventData = migration.eventSheet.getDataRange().getValues();
+        migration.problems = findEventAttendanceSchemaProblems(migration.eventData);
+        const auditChanges = [];
+        for (const problem of migration.problems.headerProblems) {
+          migration.eventSheet.getRange(1, problem.column).setValue(problem.expected);
+          auditChanges.push({
+            spreadsheet: migration.statsSpreadsheet.getName(),
+            tab: EVENT_ATTENDANCE_TAB_NAME,
+            range: describeRangeA1(1, problem.column, 1, 1),
+            field: 'Header',
+            before: problem.actual,
+            after: problem.expected,
+            details: 'Header realigned with the Event Attendance schema'
+          });
+        }
+
+        const rowNumbers = migration.problems.misalignedRowNumbers;
+        if (rowNumbers.length > 0) {
+          // Only columns D:F of the misaligned rows are written, one call per run of adjacent rows.
+          const nameRows = [];
+          for (const rowNumber of rowNumbers) {
+            const row = migration.eventData[rowNumber - 1];
+            nameRows.push({ rowNumber: rowNumber, values: ['', row[EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN - 1], row[EVENT_COL_FIRST_NAME - 1]] });
+            auditChanges.push({
+              spreadsheet: migration.statsSpreadsheet.getName(),
+              tab: EVENT_ATTENDANCE_TAB_NAME,
+              range: describeRangeA1(rowNumber, EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN, 1, EVENT_COL_LAST_NAME - EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN + 1),
+              personId: row[EVENT_COL_PERSON_ID - 1],
+              field: 'First Name / Last Name',
+              before: `D: ${row[EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN - 1]}, E: ${row[EVENT_COL_FIRST_NAME - 1]}`,
+              after: `E: ${row[EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN - 1]}, F: ${row[EVENT_COL_FIRST_NAME - 1]}`,
+              details: 'Names moved to the schema columns'
+            });
+          }
+          writeRowRuns(migration.eventSheet, EVENT_SCHEMA_LEGACY_FIRST_NAME_COLUMN, nameRows);
+        }
+        recordAuditEntries('Migrate Event Attendance', migration.communityId, auditChanges);
+      }
+    });
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+
+  ui.alert('Migrate Event Attendance', `Realigned the '${EVENT_ATTENDANCE_TAB_NAME}' tab of ${migrations.map(m => m.communityId).join(', ')}.${skippedNote}`, ui.ButtonSet.OK);
+}
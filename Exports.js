@@ -0,0 +1,374 @@
+// --- Export Update Results and Attendance History as Reports ---
+
+// "Export Update Results" writes what one Update Activity Level run (or every run of a
+// quarter) did for the selected community: each person's level, prior and new score and the
+// 'Event Attendance' rows added. "Export Attendance History" writes every 'Event Attendance'
+// row of one person. Each export is saved as a CSV file, a Google Doc and a PDF in the Drive
+// folder of this spreadsheet.
+
+// One row per person per Update Activity Level run, manual or scheduled. The results alert
+// is gone once closed; this tab keeps what the exports need. Older runs only have their
+// 'Event Attendance' rows, so their level and scores are exported blank.
+const UPDATE_RESULTS_SHEET_NAME = 'Update Results';
+const UPDATE_RESULTS_HEADERS = ['Timestamp', 'Batch ID', 'Community ID', 'Person ID', 'Full Name', 'Activity Level', 'Prior Score', 'New Score', 'Score Written', 'Rows Logged'];
+const UPDATE_RESULTS_COL_BATCH_ID = 2; // Column B
+const UPDATE_RESULTS_COL_COMMUNITY_ID = 3; // Column C
+const UPDATE_RESULTS_COL_PERSON_ID = 4; // Column D
+const UPDATE_RESULTS_COL_FULL_NAME = 5; // Column E
+const UPDATE_RESULTS_COL_ACTIVITY_LEVEL = 6; // Column F
+const UPDATE_RESULTS_COL_PRIOR_SCORE = 7; // Column G
+const UPDATE_RESULTS_COL_NEW_SCORE = 8; // Column H
+const UPDATE_RESULTS_COL_SCORE_WRITTEN = 9; // Column I
+
+const EXPORT_FILE_PREFIX = 'Community Tools';
+const EXPORT_RUN_HEADERS = ['Community ID', 'Batch ID', 'Run Date', 'Person ID', 'Full Name', 'Activity Level', 'Prior Score', 'New Score', 'Score Written', 'Event Rows Added', 'Event Dates'];
+const EXPORT_HISTORY_HEADERS = ['Person ID', 'Full Name', 'Event Date', 'Event', 'Source', 'Batch ID'];
+
+/**
+ * Keeps the results of one community's Update Activity Level run for the exports.
+ * @param {object} communityPlan One entry of plan.communities, after its rows were written.
+ */
+function recordUpdateResults(communityPlan) {
+  if (communityPlan.entries.length === 0) return;
+  const timestamp = new Date();
+  const rows = communityPlan.entries.map(entry => [
+    timestamp, communityPlan.batchId, communityPlan.communityId, entry.personId, entry.fullName, entry.activityLevel,
+    entry.currentK, entry.newK, communityPlan.writeBackScores && entry.statsRowNumber ? 'yes' : 'no', entry.eventDates.length
+  ]);
+  const resultsSheet = getOrCreateToolsTab(UPDATE_RESULTS_SHEET_NAME, UPDATE_RESULTS_HEADERS);
+  resultsSheet.getRange(resultsSheet.getLastRow() + 1, 1, rows.length, UPDATE_RESULTS_HEADERS.length).setValues(rows);
+}
+
+/**
+ * @param {string} batchId A Batch ID ending in yyyyMMdd-HHmmss (see generateBatchId).
+ * @return {Date|null} The time of the run, or null if the ID does not end in one.
+ */
+function getBatchRunDate(batchId) {
+  const match = /(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})$/.exec(String(batchId));
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]), Number(match[6]));
+}
+
+/**
+ * Gathers what the Update Activity Level runs of a community did, from UPDATE_RESULTS_SHEET_NAME
+ * and the community's 'Event Attendance'.
+ * @param {string} communityId The community.
+ * @param {string} selection A Batch ID, a quarter such as "2026 Q4", or blank for the latest run.
+ * @param {Array<Array<*>>} eventData The values of the community's 'Event Attendance' tab.
+ * @param {Array<Array<*>>} resultsData The values of the UPDATE_RESULTS_SHEET_NAME tab, header row first.
+ * @return {object} { label, batches: [{ batchId, runDate, people: [{ personId, fullName, activityLevel,
+ *     priorScore, newScore, scoreWritten, eventDates }] }] }, oldest batch first.
+ * @throws {CommunityToolsError} If no run matches the selection.
+ */
+function collectRunExport(communityId, selection, eventData, resultsData) {
+  const batchesById = {};
+  const getPerson = (batchId, personId) => {
+    if (!batchesById[batchId]) batchesById[batchId] = { batchId: batchId, runDate: getBatchRunDate(batchId), peopleById: {} };
+    const peopleById = batchesById[batchId].peopleById;
+    if (!peopleById[personId]) {
+      peopleById[personId] = { personId: personId, fullName: '', activityLevel: '', priorScore: '', newScore: '', scoreWritten: '', eventDates: [] };
+    }
+    return peopleById[personId];
+  };
+
+  for (let i = 1; i < resultsData.length; i++) {
+    const row = resultsData[i];
+    if (String(row[UPDATE_RESULTS_COL_COMMUNITY_ID - 1]).trim() != String(communityId).trim()) continue;
+    const person = getPerson(String(row[UPDATE_RESULTS_COL_BATCH_ID - 1]).trim(), String(row[UPDATE_RESULTS_COL_PERSON_ID - 1]).trim());
+    person.fullName = row[UPDATE_RESULTS_COL_FULL_NAME - 1];
+    person.activityLevel = row[UPDATE_RESULTS_COL_ACTIVITY_LEVEL - 1];
+    person.priorScore = row[UPDATE_RESULTS_COL_PRIOR_SCORE - 1];
+    person.newScore = row[UPDATE_RESULTS_COL_NEW_SCORE - 1];
+    person.scoreWritten = row[UPDATE_RESULTS_COL_SCORE_WRITTEN - 1];
+  }
+  for (let i = 1; i < eventData.length; i++) {
+    const batchId = String(eventData[i][EVENT_COL_BATCH_ID - 1]).trim();
+    if (batchId.indexOf(BATCH_ID_PREFIX) !== 0) continue;
+    const person = getPerson(batchId, String(eventData[i][EVENT_COL_PERSON_ID - 1]).trim());
+    if (!person.fullName) person.fullName = eventData[i][EVENT_COL_FULL_NAME - 1];
+    person.eventDates.push(eventData[i][EVENT_COL_EVENT_DATE - 1]);
+  }
+
+  // Batch IDs end in their run time (yyyyMMdd-HHmmss), so they sort by time.
+  const allBatches = Object.keys(batchesById).map(id => batchesById[id])
+    .sort((a, b) => a.batchId.slice(-15).localeCompare(b.batchId.slice(-15)));
+  const text = String(selection === null || selection === undefined ? '' : selection).trim();
+  const quarterMatch = /^(\d{4})\s*Q([1-4])$/i.exec(text);
+  let label, batches;
+  if (text === '') {
+    batches = allBatches.slice(-1);
+    label = batches.length > 0 ? `run ${batches[0].batchId}` : '';
+  } else if (quarterMatch) {
+    label = `${quarterMatch[1]} Q${quarterMatch[2]}`;
+    batches = allBatches.filter(batch => batch.runDate && getQuarterLabel(batch.runDate) === label);
+  } else {
+    label = `run ${text}`;
+    batches = allBatches.filter(batch => batch.batchId.toLowerCase() === text.toLowerCase());
+  }
+  if (batches.length === 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT,
+      text === '' ? `No Update Activity Level runs were found for "${communityId}".` :
+        `No Update Activity Level runs of "${communityId}" match "${text}". Please enter a Batch ID (e.g. ${BATCH_ID_PREFIX}${communityId}-20261019-143005) or a quarter (e.g. 2026 Q4).`);
+  }
+
+  return {
+    label: label,
+    batches: batches.map(batch => ({
+      batchId: batch.batchId,
+      runDate: batch.runDate,
+      people: Object.keys(batch.peopleById).map(id => batch.peopleById[id])
+        .sort((a, b) => String(a.fullName).localeCompare(String(b.fullName)))
+    }))
+  };
+}
+
+/**
+ * Lists the 'Event Attendance' rows of one person, oldest first.
+ * @param {Array<Array<*>>} eventData The values of the community's 'Event Attendance' tab.
+ * @param {string} personId The person.
+ * @return {Array<object>} { fullName, eventDate, rawDate, event, source, batchId }; eventDate is null when
+ *     rawDate cannot be read as a date, and those rows come last.
+ */
+function collectAttendanceHistory(eventData, personId) {
+  const history = [];
+  for (let i = 1; i < eventData.length; i++) {
+    if (String(eventData[i][EVENT_COL_PERSON_ID - 1]).trim() !== String(personId).trim()) continue;
+    const event = String(eventData[i][EVENT_COL_EVENT - 1]).trim();
+    const batchId = String(eventData[i][EVENT_COL_BATCH_ID - 1]).trim();
+    let source = 'Logged';
+    if (event.indexOf(BASELINE_EVENT_PREFIX) === 0) source = 'Update Activity Level';
+    else if (batchId.indexOf(IMPORT_BATCH_ID_PREFIX) === 0) source = 'Import Attendance';
+    history.push({
+      fullName: eventData[i][EVENT_COL_FULL_NAME - 1],
+      eventDate: parseImportDate(eventData[i][EVENT_COL_EVENT_DATE - 1]),
+      rawDate: eventData[i][EVENT_COL_EVENT_DATE - 1],
+      event: event,
+      source: source,
+      batchId: batchId
+    });
+  }
+  return history.sort((a, b) => (a.eventDate ? a.eventDate.getTime() : Infinity) - (b.eventDate ? b.eventDate.getTime() : Infinity));
+}
+
+/**
+ * @param {Array<Array<*>>} rows The rows, header first.
+ * @return {string} The rows as CSV text.
+ */
+function toCsvText(rows) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+/**
+ * Saves an export as a CSV file, a Google Doc and a PDF of the Doc, next to this spreadsheet.
+ * @param {string} name The file name, without extension.
+ * @param {string} title The Doc title.
+ * @param {Array<Array<*>>} csvRows The CSV rows, header first.
+ * @param {Array<object>} sections { heading, lines, table } for each part of the Doc; table is rows of text, header first.
+ * @return {object} { csvUrl, docUrl, pdfUrl }
+ */
+function writeExportFiles(name, title, csvRows, sections) {
+  const parents = DriveApp.getFileById(SpreadsheetApp.getActiveSpreadsheet().getId()).getParents();
+  const folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+
+  const csvFile = folder.createFile(`${name}.csv`, toCsvText(csvRows), MimeType.CSV);
+
+  const doc = DocumentApp.create(name);
+  const body = doc.getBody();
+  body.appendParagraph(title).setHeading(DocumentApp.ParagraphHeading.TITLE);
+  for (const section of sections) {
+    body.appendParagraph(section.heading).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+    (section.lines || []).forEach(line => body.appendParagraph(line));
+    if (section.table && section.table.length > 1) {
+      const table = body.appendTable(section.table.map(row => row.map(value => (value === null || value === undefined ? '' : String(value)))));
+      table.getRow(0).editAsText().setBold(true);
+    }
+  }
+  doc.saveAndClose();
+  const docFile = DriveApp.getFileById(doc.getId());
+  docFile.moveTo(folder);
+  const pdfFile = folder.createFile(docFile.getAs(MimeType.PDF)).setName(`${name}.pdf`);
+
+  return { csvUrl: csvFile.getUrl(), docUrl: docFile.getUrl(), pdfUrl: pdfFile.getUrl() };
+}
+
+/**
+ * Menu wrapper of writeExportFiles: shows where the files went, or what went wrong.
+ * @param {Ui} ui The spreadsheet UI.
+ * @param {string} alertTitle The title of the alert.
+ * @param {string} name The file name, without extension.
+ * @param {string} title The Doc title.
+ * @param {Array<Array<*>>} csvRows The CSV rows, header first.
+ * @param {Array<object>} sections The Doc sections.
+ */
+function saveExportAndReport(ui, alertTitle, name, title, csvRows, sections) {
+  let files;
+  try {
+    files = writeExportFiles(name, title, csvRows, sections);
+  } catch (e) {
+    ui.alert('Error', `Could not create the export files in Drive. Error: ${e.message}`, ui.ButtonSet.OK);
+    return;
+  }
+  ui.alert(alertTitle,
+    `Saved "${name}" next to this spreadsheet in Drive:\n\nCSV: ${files.csvUrl}\nGoogle Doc: ${files.docUrl}\nPDF: ${files.pdfUrl}`,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Opens the 'Event Attendance' tab of a community for an export.
+ * @param {string} communityId The community.
+ * @return {object} { statsSheet, statsColumns, eventData }
+ * @throws {CommunityToolsError} If the community or its 'Attendance Stats' cannot be read.
+ */
+function loadExportSource(communityId) {
+  const config = loadCommunityConfig(communityId);
+  const statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+  const statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+  const eventSheet = statsSheet.getParent().getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  return { statsSheet: statsSheet, statsColumns: statsColumns, eventData: eventSheet ? eventSheet.getDataRange().getValues() : [] };
+}
+
+/**
+ * Menu item: exports one Update Activity Level run, or all runs of a quarter, of the community
+ * selected in UAT_CELL_COMMUNITY_ID.
+ */
+function exportUpdateResults() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  if (!selectedCommunityId) {
+    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt('Export Update Results',
+    `Which run of "${selectedCommunityId}" should be exported?\n\nEnter a Batch ID, or a quarter such as ${getQuarterLabel(new Date())}. Leave blank for the latest run.`,
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const timeZone = ss.getSpreadsheetTimeZone();
+  let runExport;
+  try {
+    const source = loadExportSource(selectedCommunityId);
+    const resultsSheet = ss.getSheetByName(UPDATE_RESULTS_SHEET_NAME);
+    runExport = collectRunExport(selectedCommunityId, response.getResponseText(), source.eventData,
+      resultsSheet ? resultsSheet.getDataRange().getValues() : []);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+
+  const formatDate = (value, pattern) => (value instanceof Date ? Utilities.formatDate(value, timeZone, pattern) : String(value));
+  const csvRows = [EXPORT_RUN_HEADERS];
+  const sections = [];
+  for (const batch of runExport.batches) {
+    const runDate = batch.runDate ? formatDate(batch.runDate, 'M/d/yyyy HH:mm') : '';
+    const table = [['Person ID', 'Full Name', 'Level', 'Prior Score', 'New Score', 'Rows Added', 'Event Dates']];
+    for (const person of batch.people) {
+      const eventDates = person.eventDates.map(date => formatDate(date, 'M/d/yyyy')).join('; ');
+      csvRows.push([selectedCommunityId, batch.batchId, runDate, person.personId, person.fullName, person.activityLevel,
+        person.priorScore, person.newScore, person.scoreWritten, person.eventDates.length, eventDates]);
+      table.push([person.personId, person.fullName, person.activityLevel, person.priorScore, person.newScore, person.eventDates.length, eventDates]);
+    }
+    const rowsAdded = batch.people.reduce((count, person) => count + person.eventDates.length, 0);
+    sections.push({
+      heading: `Batch ${batch.batchId}`,
+      lines: [`Run on ${runDate || 'an unknown date'}: ${batch.people.length} people, ${rowsAdded} '${EVENT_ATTENDANCE_TAB_NAME}' rows added.`],
+      table: table
+    });
+  }
+
+  const name = `${EXPORT_FILE_PREFIX} - ${selectedCommunityId} - Update Results ${runExport.label}`;
+  saveExportAndReport(ui, 'Export Update Results', name, `Update Activity Level results for ${selectedCommunityId}, ${runExport.label}`, csvRows, sections);
+}
+
+/**
+ * Menu item: exports the attendance history of one person of the community selected in
+ * UAT_CELL_COMMUNITY_ID. The Person ID of the selected tracker row is offered.
+ */
+function exportAttendanceHistory() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  if (!selectedCommunityId) {
+    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  let selectedPersonId = '';
+  const activeRange = ss.getActiveRange();
+  if (activeRange && activeRange.getSheet().getName() === UPDATE_TRACKER_SHEET_NAME && activeRange.getRow() >= UAT_START_DATA_ROW) {
+    selectedPersonId = String(uatSheet.getRange(activeRange.getRow(), UAT_COL_ID).getValue()).trim();
+  }
+  const response = ui.prompt('Export Attendance History',
+    `Person ID of the person in "${selectedCommunityId}"` + (selectedPersonId ? ` (leave blank for ${selectedPersonId}, the selected tracker row):` : ':'),
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const personId = response.getResponseText().trim() || selectedPersonId;
+  if (personId === '') {
+    ui.alert('Error', 'Please enter a Person ID.', ui.ButtonSet.OK);
+    return;
+  }
+
+  let source;
+  try {
+    source = loadExportSource(selectedCommunityId);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  const history = collectAttendanceHistory(source.eventData, personId);
+  const statsData = source.statsSheet.getDataRange().getValues();
+  const statsRow = statsData.slice(1).find(row => String(row[source.statsColumns.personId - 1]).trim() === personId);
+  const fullName = statsRow ?
+    `${String(statsRow[source.statsColumns.firstName - 1]).trim()} ${String(statsRow[source.statsColumns.lastName - 1]).trim()}` :
+    (history.length > 0 ? String(history[0].fullName) : '');
+  if (!statsRow && history.length === 0) {
+    ui.alert('Info', `Person ID ${personId} has no 'Attendance Stats' or '${EVENT_ATTENDANCE_TAB_NAME}' rows in "${selectedCommunityId}".`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const timeZone = ss.getSpreadsheetTimeZone();
+  const dateText = item => (item.eventDate ? Utilities.formatDate(item.eventDate, timeZone, 'M/d/yyyy') : String(item.rawDate));
+  const csvRows = [EXPORT_HISTORY_HEADERS].concat(history.map(item => [personId, fullName, dateText(item), item.event, item.source, item.batchId]));
+
+  const countsByQuarter = {};
+  history.filter(item => item.eventDate).forEach(item => {
+    const label = getQuarterLabel(item.eventDate);
+    countsByQuarter[label] = countsByQuarter[label] || { real: 0, baseline: 0 };
+    countsByQuarter[label][item.source === 'Update Activity Level' ? 'baseline' : 'real']++;
+  });
+  const lines = [`${history.length} '${EVENT_ATTENDANCE_TAB_NAME}' rows.`];
+  if (statsRow) {
+    lines.push(`Current activity score: ${statsRow[source.statsColumns.activityScore - 1]}; events this quarter: ${statsRow[source.statsColumns.quarterEvents - 1]}.`);
+  }
+  const sections = [
+    {
+      heading: 'By quarter',
+      lines: lines,
+      table: [['Quarter', 'Events', `${BASELINE_EVENT_PREFIX} rows`]].concat(Object.keys(countsByQuarter).sort()
+        .map(label => [label, countsByQuarter[label].real, countsByQuarter[label].baseline]))
+    },
+    {
+      heading: 'Events',
+      lines: [],
+      table: [['Date', 'Event', 'Source', 'Batch ID']].concat(history.map(item => [dateText(item), item.event, item.source, item.batchId]))
+    }
+  ];
+
+  const name = `${EXPORT_FILE_PREFIX} - ${selectedCommunityId} - Attendance History ${personId}`;
+  saveExportAndReport(ui, 'Export Attendance History', name, `Attendance history of ${fullName} (ID: ${personId}), ${selectedCommunityId}`, csvRows, sections);
+}
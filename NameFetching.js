@@ -0,0 +1,188 @@
+// --- Merge Modes and Filters for Get Names From Directory / Attendance Stats ---
+
+// 'replace': clear the tracker and write the fetched people (the original behaviour).
+// 'append':  keep the tracker as is and add only the people whose Person ID is not in it yet.
+// 'refresh': keep the tracker rows (and their Activity Level) and update the names of the
+//            people found in the source; nobody is added.
+const FETCH_MODES = ['replace', 'append', 'refresh'];
+const DEFAULT_FETCH_MODE = 'replace';
+
+// Filters typed in the "Get Names" prompt, separated by semicolons:
+//   <Directory column>=<value>   e.g. "Team=Youth" (case-insensitive, whole value)
+//   score <min>-<max>            current 'Attendance Stats' activity score, either end may be left out
+//   no events                    "Events This Quarter" is 0 or blank, or the person has no stats row
+const FETCH_FILTER_SEPARATOR = ';';
+
+/**
+ * @param {string} text The filters as typed by the user.
+ * @return {object} { filters: [{ type: 'directory-column'|'score-range'|'no-events', ... }], errors }
+ */
+function parseFetchFilters(text) {
+  const filters = [];
+  const errors = [];
+  for (const rawEntry of String(text === null || text === undefined ? '' : text).split(FETCH_FILTER_SEPARATOR)) {
+    const entry = rawEntry.trim();
+    if (entry === '') continue;
+
+    let match;
+    if (/^no\s*events$/i.test(entry)) {
+      filters.push({ type: 'no-events' });
+    } else if ((match = /^score\s*(\d+(?:\.\d+)?)?\s*-\s*(\d+(?:\.\d+)?)?$/i.exec(entry))) {
+      const min = match[1] === undefined ? null : Number(match[1]);
+      const max = match[2] === undefined ? null : Number(match[2]);
+      if (min !== null && max !== null && min > max) {
+        errors.push(`"${entry}": the lowest score is greater than the highest`);
+      } else {
+        filters.push({ type: 'score-range', min: min, max: max });
+      }
+    } else if ((match = /^([^=]+)=(.*)$/.exec(entry))) {
+      filters.push({ type: 'directory-column', header: match[1].trim(), value: match[2].trim() });
+    } else {
+      errors.push(`"${entry}" is not "<Directory column>=<value>", "score <min>-<max>" or "no events"`);
+    }
+  }
+  return { filters: filters, errors: errors };
+}
+
+/**
+ * @param {Array<object>} filters From parseFetchFilters.
+ * @return {object} { directory: whether the filters read the Directory, stats: whether they read Attendance Stats }
+ */
+function getFetchFilterSources(filters) {
+  return {
+    directory: filters.some(f => f.type === 'directory-column'),
+    stats: filters.some(f => f.type === 'score-range' || f.type === 'no-events')
+  };
+}
+
+/**
+ * Keeps the fetched people who pass every filter.
+ * @param {Array<Array<*>>} rows Tracker rows from buildTrackerRowsFromSource.
+ * @param {Array<object>} filters From parseFetchFilters.
+ * @param {object} lookups { directoryData, dirColumns } and/or { statsData, statsColumns }, as the filters need.
+ * @return {object} { rows, errors }; errors name Directory columns that do not exist.
+ */
+function applyFetchFilters(rows, filters, lookups) {
+  if (filters.length === 0) return { rows: rows, errors: [] };
+
+  const idKey = value => (value === null || value === undefined ? '' : String(value).trim());
+  const indexById = (data, idColumn) => {
+    const rowById = {};
+    for (let i = 1; i < data.length; i++) {
+      const id = idKey(data[i][idColumn - 1]);
+      if (id !== '' && !(id in rowById)) rowById[id] = data[i];
+    }
+    return rowById;
+  };
+  const directoryById = lookups.directoryData ? indexById(lookups.directoryData, lookups.dirColumns.personId) : {};
+  const statsById = lookups.statsData ? indexById(lookups.statsData, lookups.statsColumns.personId) : {};
+
+  const errors = [];
+  const directoryHeaderKeys = lookups.directoryData && lookups.directoryData.length > 0 ? lookups.directoryData[0].map(normalizeHeaderKey) : [];
+  const checks = filters.map(filter => {
+    if (filter.type === 'directory-column') {
+      const columnIndex = directoryHeaderKeys.indexOf(normalizeHeaderKey(filter.header));
+      if (columnIndex === -1) {
+        errors.push(`The 'Directory' has no "${filter.header}" column`);
+        return () => false;
+      }
+      const wanted = filter.value.toLowerCase();
+      return id => !!directoryById[id] && idKey(directoryById[id][columnIndex]).toLowerCase() === wanted;
+    }
+    if (filter.type === 'score-range') {
+      return id => {
+        if (!statsById[id]) return false;
+        const score = Number(statsById[id][lookups.statsColumns.activityScore - 1]) || 0;
+        return (filter.min === null || score >= filter.min) && (filter.max === null || score <= filter.max);
+      };
+    }
+    return id => !statsById[id] || !(Number(statsById[id][lookups.statsColumns.quarterEvents - 1]) > 0);
+  });
+
+  return {
+    rows: rows.filter(row => checks.every(check => check(idKey(row[UAT_COL_ID - 1])))),
+    errors: errors
+  };
+}
+
+/**
+ * Combines the tracker rows already present with the fetched ones.
+ * @param {Array<Array<*>>} existingRows The tracker rows A:F, from UAT_START_DATA_ROW down.
+ * @param {Array<Array<*>>} fetchedRows Tracker rows A:E from buildTrackerRowsFromSource.
+ * @param {string} mode One of FETCH_MODES.
+ * @param {string} communityId The community the names were fetched for; only its tracker rows are compared.
+ * @return {object} { rows: the new tracker rows A:F, added, refreshed }
+ */
+function mergeTrackerRows(existingRows, fetchedRows, mode, communityId) {
+  const idKey = value => (value === null || value === undefined ? '' : String(value).trim());
+  const padded = fetchedRows.map(row => row.concat(new Array(UAT_COL_COMMUNITY_ID - row.length).fill('')));
+  if (mode === 'replace') {
+    return { rows: padded, added: padded.length, refreshed: 0 };
+  }
+
+  const isThisCommunity = row => {
+    const rowCommunityId = idKey(row[UAT_COL_COMMUNITY_ID - 1]);
+    return rowCommunityId === '' || rowCommunityId == idKey(communityId);
+  };
+  let lastUsedIndex = -1;
+  const existingIds = {};
+  existingRows.forEach((row, index) => {
+    if (row.some(value => idKey(value) !== '')) lastUsedIndex = index;
+    if (isThisCommunity(row) && idKey(row[UAT_COL_ID - 1]) !== '') existingIds[idKey(row[UAT_COL_ID - 1])] = true;
+  });
+  const rows = existingRows.slice(0, lastUsedIndex + 1).map(row => row.slice());
+
+  if (mode === 'append') {
+    const added = padded.filter(row => !existingIds[idKey(row[UAT_COL_ID - 1])]);
+    return { rows: rows.concat(added), added: added.length, refreshed: 0 };
+  }
+
+  const fetchedById = {};
+  padded.forEach(row => { fetchedById[idKey(row[UAT_COL_ID - 1])] = row; });
+  let refreshed = 0;
+  for (const row of rows) {
+    const fetched = fetchedById[idKey(row[UAT_COL_ID - 1])];
+    if (!fetched || !isThisCommunity(row)) continue;
+    const nameColumns = [UAT_COL_FULL_NAME, UAT_COL_LAST_NAME, UAT_COL_FIRST_NAME];
+    if (nameColumns.some(column => idKey(row[column - 1]) !== idKey(fetched[column - 1]))) {
+      nameColumns.forEach(column => { row[column - 1] = fetched[column - 1]; });
+      refreshed++;
+    }
+  }
+  return { rows: rows, added: 0, refreshed: refreshed };
+}
+
+/**
+ * Asks how to merge the fetched names into the tracker and which people to fetch.
+ * @param {Ui} ui The spreadsheet UI.
+ * @param {string} sourceSheetFriendlyName "Directory" or "Attendance Stats".
+ * @return {object|null} { mode, filters }, or null if the user cancelled or made a mistake (already reported).
+ */
+function promptFetchOptions(ui, sourceSheetFriendlyName) {
+  const modeResponse = ui.prompt(`Get Names From ${sourceSheetFriendlyName}`,
+    `How should the names be added to the tracker? (leave blank for "${DEFAULT_FETCH_MODE}")\n\n` +
+    `replace - clear the tracker, then add everyone\n` +
+    `append - keep the tracker and add only people not in it yet\n` +
+    `refresh - keep the tracker and its activity levels, and only update the names of people already in it`,
+    ui.ButtonSet.OK_CANCEL);
+  if (modeResponse.getSelectedButton() !== ui.Button.OK) return null;
+  const mode = modeResponse.getResponseText().trim().toLowerCase() || DEFAULT_FETCH_MODE;
+  if (FETCH_MODES.indexOf(mode) === -1) {
+    ui.alert('Error', `"${mode}" is not one of ${FETCH_MODES.join(', ')}. Nothing was changed.`, ui.ButtonSet.OK);
+    return null;
+  }
+
+  const filterResponse = ui.prompt(`Get Names From ${sourceSheetFriendlyName}`,
+    `Only fetch some people? Enter filters separated by "${FETCH_FILTER_SEPARATOR}" (leave blank for everyone):\n\n` +
+    `<Directory column>=<value>   e.g. Team=Youth\n` +
+    `score <min>-<max>   current activity score, e.g. score 0-3\n` +
+    `no events   nobody with events this quarter`,
+    ui.ButtonSet.OK_CANCEL);
+  if (filterResponse.getSelectedButton() !== ui.Button.OK) return null;
+  const parsed = parseFetchFilters(filterResponse.getResponseText());
+  if (parsed.errors.length > 0) {
+    ui.alert('Error', `Please check the filters. Nothing was changed.\n\n${parsed.errors.join('\n')}`, ui.ButtonSet.OK);
+    return null;
+  }
+  return { mode: mode, filters: parsed.filters };
+}
@@ -0,0 +1,346 @@
+// --- Tolerant Name Matching for Load Data and the Attendance Stats Lookups ---
+
+// Optional tab in this (Tools) spreadsheet. Each row lists names that mean the same
+// person, one per cell starting in column A, e.g. | William | Bill | Will | Billy |
+const NAME_ALIASES_SHEET_NAME = 'Name Aliases';
+
+// Edit distance (summed over first and last name) still offered as a suggestion.
+const FUZZY_MATCH_MAX_DISTANCE = 3;
+// Only fuzzy suggestions are capped; every name, alias or order match is offered.
+const MAX_SUGGESTED_CANDIDATES = 3;
+
+// Separates the parts of a candidate label in the Person ID dropdown of ambiguous rows.
+const CANDIDATE_LABEL_SEPARATOR = ' | ';
+
+// How a Directory row matched the typed name, best first. Only the first four are
+// accepted automatically; 'fuzzy' matches are only ever suggested.
+const MATCH_TYPE_RANK = {
+  exact: 0,
+  normalized: 1,
+  alias: 2,
+  swapped: 3,
+  fuzzy: 4
+};
+
+/**
+ * Lower-cases a name and strips accents, punctuation and repeated whitespace,
+ * so that "García-López, Jr." and "garcia lopez jr" compare equal.
+ * @param {*} name The name as typed or read from a sheet.
+ * @return {string} The normalized name.
+ */
+function normalizeNameForMatching(name) {
+  return String(name === null || name === undefined ? '' : name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Reads the 'Name Aliases' tab of the Tools spreadsheet.
+ * @return {object} Map of normalized name -> array of alias group numbers. Empty if the tab does not exist.
+ */
+function loadNameAliases() {
+  const aliases = {};
+  const aliasSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(NAME_ALIASES_SHEET_NAME);
+  if (!aliasSheet) return aliases;
+
+  const aliasData = aliasSheet.getDataRange().getValues();
+  for (let i = 0; i < aliasData.length; i++) {
+    for (let j = 0; j < aliasData[i].length; j++) {
+      const name = normalizeNameForMatching(aliasData[i][j]);
+      if (name === '') continue;
+      if (!aliases[name]) aliases[name] = [];
+      aliases[name].push(i);
+    }
+  }
+  return aliases;
+}
+
+/**
+ * @param {string} normalizedA
+ * @param {string} normalizedB
+ * @param {object} aliases The map from loadNameAliases.
+ * @return {boolean} True if both names appear in the same alias group.
+ */
+function areNameAliases(normalizedA, normalizedB, aliases) {
+  const groupsA = aliases[normalizedA];
+  const groupsB = aliases[normalizedB];
+  if (!groupsA || !groupsB) return false;
+  return groupsA.some(group => groupsB.indexOf(group) !== -1);
+}
+
+/**
+ * Prepares the Directory rows for repeated matching.
+ * @param {Array<Array<*>>} directoryData The values of the 'Directory' data range (row 0 is the header).
+ * @param {object} dirColumns The 'Directory' columns from requireSheetLayout.
+ * @return {Array<object>} One entry per data row that has a Person ID; rowIndex is the index into directoryData.
+ */
+function buildDirectoryNameIndex(directoryData, dirColumns) {
+  const index = [];
+  for (let j = 1; j < directoryData.length; j++) {
+    const personId = directoryData[j][dirColumns.personId - 1];
+    if (personId === '' || personId === null) continue;
+    const firstName = String(directoryData[j][dirColumns.firstName - 1]).trim();
+    const lastName = String(directoryData[j][dirColumns.lastName - 1]).trim();
+    index.push({
+      rowIndex: j,
+      personId: personId,
+      firstName: firstName,
+      lastName: lastName,
+      normalizedFirst: normalizeNameForMatching(firstName),
+      normalizedLast: normalizeNameForMatching(lastName)
+    });
+  }
+  return index;
+}
+
+/**
+ * Indexes the Directory entries by normalized name and by Person ID, so that each tracker
+ * row is looked up instead of being compared with every entry. Built once per run.
+ * @param {Array<object>} directoryIndex The entries from buildDirectoryNameIndex.
+ * @return {object} { byName: Map of directoryNameKey -> entries, byLastName: Map of normalized
+ *     last name -> entries, byPersonId: Map of trimmed Person ID -> entry }
+ */
+function buildDirectoryLookup(directoryIndex) {
+  const lookup = { byName: new Map(), byLastName: new Map(), byPersonId: new Map() };
+  const addTo = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  for (const entry of directoryIndex) {
+    addTo(lookup.byName, directoryNameKey(entry.normalizedFirst, entry.normalizedLast), entry);
+    addTo(lookup.byLastName, entry.normalizedLast, entry);
+    lookup.byPersonId.set(String(entry.personId).trim(), entry);
+  }
+  return lookup;
+}
+
+/**
+ * @param {string} normalizedFirst A first name from normalizeNameForMatching.
+ * @param {string} normalizedLast A last name from normalizeNameForMatching.
+ * @return {string} The byName key of buildDirectoryLookup.
+ */
+function directoryNameKey(normalizedFirst, normalizedLast) {
+  return JSON.stringify([normalizedFirst, normalizedLast]);
+}
+
+/**
+ * Finds the Directory entries that could be the typed person, best match first.
+ * Fuzzy matches are only looked for when no entry matches by name, alias or order,
+ * since they are only offered then.
+ * @param {string} firstName The first name as typed.
+ * @param {string} lastName The last name as typed.
+ * @param {Array<object>} directoryIndex The index from buildDirectoryNameIndex.
+ * @param {object} aliases The map from loadNameAliases.
+ * @param {object=} directoryLookup The lookup from buildDirectoryLookup; built from directoryIndex if omitted.
+ * @return {Array<object>} Candidates as { entry, matchType, distance }.
+ */
+function findDirectoryCandidates(firstName, lastName, directoryIndex, aliases, directoryLookup) {
+  const lookup = directoryLookup || buildDirectoryLookup(directoryIndex);
+  const typedFirst = String(firstName).trim().toLowerCase();
+  const typedLast = String(lastName).trim().toLowerCase();
+  const normalizedFirst = normalizeNameForMatching(firstName);
+  const normalizedLast = normalizeNameForMatching(lastName);
+  const candidates = [];
+  const seen = new Set();
+  // Best match type first, so an entry found twice keeps the better one.
+  const add = (entry, matchType) => {
+    if (seen.has(entry)) return;
+    seen.add(entry);
+    candidates.push({ entry: entry, matchType: matchType, distance: 0 });
+  };
+
+  (lookup.byName.get(directoryNameKey(normalizedFirst, normalizedLast)) || []).forEach(entry =>
+    add(entry, entry.firstName.toLowerCase() === typedFirst && entry.lastName.toLowerCase() === typedLast ? 'exact' : 'normalized'));
+  (lookup.byLastName.get(normalizedLast) || []).forEach(entry => {
+    if (areNameAliases(entry.normalizedFirst, normalizedFirst, aliases)) add(entry, 'alias');
+  });
+  (lookup.byName.get(directoryNameKey(normalizedLast, normalizedFirst)) || []).forEach(entry => add(entry, 'swapped'));
+
+  if (candidates.length === 0) {
+    for (const entry of directoryIndex) {
+      // The edit distance is at least the difference in length, which rules out most entries cheaply.
+      if (Math.abs(entry.normalizedFirst.length - normalizedFirst.length) +
+        Math.abs(entry.normalizedLast.length - normalizedLast.length) > FUZZY_MATCH_MAX_DISTANCE) {
+        continue;
+      }
+      const distance = editDistance(entry.normalizedFirst, normalizedFirst) + editDistance(entry.normalizedLast, normalizedLast);
+      if (distance <= FUZZY_MATCH_MAX_DISTANCE) {
+        candidates.push({ entry: entry, matchType: 'fuzzy', distance: distance });
+      }
+    }
+  }
+
+  return candidates.sort((a, b) => (MATCH_TYPE_RANK[a.matchType] - MATCH_TYPE_RANK[b.matchType]) || (a.distance - b.distance));
+}
+
+/**
+ * Decides what Load Data should do with the candidates for one tracker row.
+ * @param {Array<object>} candidates The result of findDirectoryCandidates.
+ * @return {object} { status: 'matched'|'ambiguous'|'near-miss'|'not-found', match, candidates }
+ */
+function resolveDirectoryCandidates(candidates) {
+  if (candidates.length === 0) {
+    return { status: 'not-found', match: null, candidates: candidates };
+  }
+  const best = candidates[0];
+  if (best.matchType === 'fuzzy') {
+    return { status: 'near-miss', match: null, candidates: candidates };
+  }
+  const sameRank = candidates.filter(c => c.matchType === best.matchType);
+  if (sameRank.length > 1) {
+    return { status: 'ambiguous', match: null, candidates: sameRank };
+  }
+  return { status: 'matched', match: best, candidates: candidates };
+}
+
+/**
+ * Picks the candidates to offer for a row: all of the ones matched by name, alias or order,
+ * so that the right person can be picked however many share a name, and the best
+ * MAX_SUGGESTED_CANDIDATES fuzzy ones.
+ * @param {Array<object>} candidates Candidates from findDirectoryCandidates, best first.
+ * @return {Array<object>} The candidates to offer, in the same order.
+ */
+function selectOfferedCandidates(candidates) {
+  const fuzzy = candidates.filter(c => c.matchType === 'fuzzy');
+  return candidates.filter(c => c.matchType !== 'fuzzy').concat(fuzzy.slice(0, MAX_SUGGESTED_CANDIDATES));
+}
+
+/**
+ * Formats candidates for a cell note, e.g. "William García (ID: 104, alias)".
+ * @param {Array<object>} candidates
+ * @return {string}
+ */
+function describeDirectoryCandidates(candidates) {
+  return selectOfferedCandidates(candidates)
+    .map(c => `${c.entry.firstName} ${c.entry.lastName} (ID: ${c.entry.personId}, ${c.matchType === 'fuzzy' ? 'distance ' + c.distance : c.matchType})`)
+    .join('\n');
+}
+
+/**
+ * Builds the Person ID dropdown choices for a row with several candidates, e.g.
+ * "101 | Smith, John | Email: a@x; Phone: 111". Only the Directory columns whose
+ * values differ between the candidates are shown.
+ * @param {Array<object>} candidates The candidates to offer.
+ * @param {Array<Array<*>>} directoryData The values of the 'Directory' data range (row 0 is the header).
+ * @param {object} dirColumns The 'Directory' columns from requireSheetLayout.
+ * @return {Array<string>} One label per candidate.
+ */
+function buildCandidateLabels(candidates, directoryData, dirColumns) {
+  const headers = directoryData[0] || [];
+  const nameColumns = [dirColumns.personId - 1, dirColumns.firstName - 1, dirColumns.lastName - 1];
+  const distinguishingColumns = [];
+  for (let col = 0; col < headers.length; col++) {
+    if (nameColumns.indexOf(col) !== -1) continue;
+    const values = candidates.map(c => String(directoryData[c.entry.rowIndex][col]).trim());
+    if (values.some(v => v !== values[0])) {
+      distinguishingColumns.push(col);
+    }
+  }
+
+  return candidates.map(c => {
+    const row = directoryData[c.entry.rowIndex];
+    const details = distinguishingColumns
+      .filter(col => String(row[col]).trim() !== '')
+      .map(col => `${String(headers[col]).trim() || 'Column ' + (col + 1)}: ${String(row[col]).trim()}`)
+      .join('; ');
+    const parts = [c.entry.personId, `${c.entry.lastName}, ${c.entry.firstName}`];
+    if (details) parts.push(details);
+    return parts.join(CANDIDATE_LABEL_SEPARATOR);
+  });
+}
+
+/**
+ * Called from onEdit. When a candidate label is picked from the Person ID dropdown of an
+ * ambiguous row, replaces it with the bare Person ID and fills in the Directory names.
+ * @param {object} e The onEdit event object.
+ */
+function applyCandidateSelection(e) {
+  const range = e.range;
+  const sheet = range.getSheet();
+  if (sheet.getName() !== UPDATE_TRACKER_SHEET_NAME ||
+    range.getColumn() !== UAT_COL_ID || range.getNumColumns() !== 1 || range.getNumRows() !== 1 ||
+    range.getRow() < UAT_START_DATA_ROW) {
+    return;
+  }
+
+  const parts = String(e.value === undefined ? '' : e.value).split(CANDIDATE_LABEL_SEPARATOR);
+  if (parts.length < 2) return;
+  const commaIndex = parts[1].indexOf(', ');
+  if (commaIndex === -1) return;
+
+  const lastName = parts[1].substring(0, commaIndex);
+  const firstName = parts[1].substring(commaIndex + 2);
+  const rowRange = sheet.getRange(range.getRow(), UAT_COL_ID, 1, UAT_COL_FIRST_NAME);
+  rowRange.setValues([[parts[0], firstName + " " + lastName, lastName, firstName]]);
+  rowRange.setNotes([["", "", "", ""]]);
+  rowRange.setBackgrounds([[null, null, null, null]]);
+  range.clearDataValidations();
+}
+
+/**
+ * Indexes the 'Attendance Stats' rows by Person ID and name, so that each tracker row is
+ * looked up instead of scanning the tab. Built once per community and run.
+ * @param {Array<Array<*>>} statsData The values of the 'Attendance Stats' data range.
+ * @param {object} statsColumns The 'Attendance Stats' columns from requireSheetLayout.
+ * @return {Map} Map of statsRowKey -> 0-based indexes into statsData.
+ */
+function buildStatsRowIndex(statsData, statsColumns) {
+  const index = new Map();
+  for (let j = 0; j < statsData.length; j++) {
+    const key = statsRowKey(statsData[j][statsColumns.personId - 1], statsData[j][statsColumns.firstName - 1], statsData[j][statsColumns.lastName - 1]);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(j);
+  }
+  return index;
+}
+
+/**
+ * @param {*} personId
+ * @param {*} firstName
+ * @param {*} lastName
+ * @return {string} The key of buildStatsRowIndex: the trimmed ID and the trimmed, lower-case names.
+ */
+function statsRowKey(personId, firstName, lastName) {
+  return JSON.stringify([String(personId).trim(), String(firstName).trim().toLowerCase(), String(lastName).trim().toLowerCase()]);
+}
+
+/**
+ * Finds every 'Attendance Stats' row for a tracker person, so duplicates are reported
+ * instead of silently using the first one.
+ * @param {Map} statsIndex The index from buildStatsRowIndex.
+ * @param {*} personId
+ * @param {string} firstName
+ * @param {string} lastName
+ * @return {Array<number>} 0-based indexes into statsData.
+ */
+function findStatsRowIndexes(statsIndex, personId, firstName, lastName) {
+  return statsIndex.get(statsRowKey(personId, firstName, lastName)) || [];
+}
@@ -0,0 +1,211 @@
+// --- People Search Sidebar ---
+
+// The sidebar loads the selected community's Directory once and searches it as the user
+// types; only adding people goes back to the server, which re-reads the names from the
+// Directory so the tracker never gets a misspelled name.
+const PEOPLE_SEARCH_SIDEBAR_FILE = 'PeopleSearchSidebar';
+const PEOPLE_SEARCH_SIDEBAR_TITLE = 'Search People';
+
+/**
+ * Menu item: opens the search sidebar for the community selected in UAT_CELL_COMMUNITY_ID.
+ */
+function openPeopleSearchSidebar() {
+  const ui = SpreadsheetApp.getUi();
+  const uatSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  if (!selectedCommunityId) {
+    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const scoring = loadScoringRules(selectedCommunityId);
+  if (scoring.errors.length > 0) {
+    ui.alert('Scoring Rules Errors', `Please fix the following in the '${SCORING_RULES_SHEET_NAME}' tab:\n\n${scoring.errors.join('\n')}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const template = HtmlService.createTemplateFromFile(PEOPLE_SEARCH_SIDEBAR_FILE);
+  template.communityId = String(selectedCommunityId);
+  template.activityLevels = scoring.rules.map(r => r.level);
+  ui.showSidebar(template.evaluate().setTitle(`${PEOPLE_SEARCH_SIDEBAR_TITLE}: ${selectedCommunityId}`));
+}
+
+/**
+ * Called from the sidebar: lists everyone in a community's Directory.
+ * @param {string} communityId The community the sidebar was opened for.
+ * @return {Array<object>} { personId, fullName, firstName, lastName, details: [{ header, value }], inTracker }
+ */
+function getPeopleSearchDirectory(communityId) {
+  let directory;
+  try {
+    directory = loadCommunityDirectory(communityId);
+  } catch (e) {
+    throw toSidebarError(e);
+  }
+
+  const uatSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  const trackerRowNumbers = uatSheet ? getTrackerRowNumbersById(uatSheet, communityId) : {};
+  const headers = directory.directoryData.length > 0 ? directory.directoryData[0] : [];
+  const nameColumns = [directory.dirColumns.personId, directory.dirColumns.firstName, directory.dirColumns.lastName];
+  return directory.directoryIndex.map(entry => {
+    const row = directory.directoryData[entry.rowIndex];
+    const details = [];
+    headers.forEach((header, index) => {
+      if (nameColumns.indexOf(index + 1) !== -1 || String(header).trim() === '' || String(row[index]).trim() === '') return;
+      details.push({ header: String(header).trim(), value: String(row[index]).trim() });
+    });
+    return {
+      personId: String(entry.personId).trim(),
+      fullName: `${entry.firstName} ${entry.lastName}`,
+      firstName: entry.firstName,
+      lastName: entry.lastName,
+      details: details,
+      inTracker: !!trackerRowNumbers[String(entry.personId).trim()]
+    };
+  });
+}
+
+/**
+ * Called from the sidebar: adds the picked people to the tracker, or sets their activity
+ * level if they are already in it.
+ * @param {string} communityId The community the sidebar was opened for.
+ * @param {Array<object>} picks { personId, activityLevel } for each picked person; activityLevel may be blank.
+ * @return {string} The results message shown in the sidebar.
+ */
+function addPeopleToTracker(communityId, picks) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  if (!uatSheet) {
+    throw new Error(`Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`);
+  }
+  if (!picks || picks.length === 0) {
+    return 'Nobody was selected.';
+  }
+
+  const scoring = loadScoringRules(communityId);
+  if (scoring.errors.length > 0) {
+    throw new Error(`Please fix the '${SCORING_RULES_SHEET_NAME}' tab first:\n${scoring.errors.join('\n')}`);
+  }
+  const levelByKey = {};
+  scoring.rules.forEach(r => { levelByKey[r.level.toLowerCase()] = r.level; });
+
+  let directory;
+  try {
+    directory = loadCommunityDirectory(communityId);
+  } catch (e) {
+    throw toSidebarError(e);
+  }
+
+  const selectedCommunityId = String(uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue()).trim();
+  const rowCommunityId = selectedCommunityId == String(communityId).trim() ? '' : communityId;
+  const firstNewRow = Math.max(UAT_START_DATA_ROW, uatSheet.getLastRow() + 1);
+  const rowNumberById = getTrackerRowNumbersById(uatSheet, communityId);
+
+  const newRows = [];
+  const problems = [];
+  const auditChanges = [];
+  let levelsSet = 0;
+  for (const pick of picks) {
+    const personId = String(pick.personId).trim();
+    const entry = directory.directoryLookup.byPersonId.get(personId);
+    if (!entry) {
+      problems.push(`ID ${personId} is no longer in the Directory`);
+      continue;
+    }
+    const typedLevel = String(pick.activityLevel || '').trim();
+    const level = typedLevel === '' ? '' : levelByKey[typedLevel.toLowerCase()];
+    if (level === undefined) {
+      problems.push(`${entry.firstName} ${entry.lastName}: "${typedLevel}" is not an activity level`);
+      continue;
+    }
+
+    const existingRowNumber = rowNumberById[personId];
+    if (existingRowNumber) {
+      const before = uatSheet.getRange(existingRowNumber, UAT_COL_ACTIVITY_LEVEL).getValue();
+      if (level === '' || String(before) === level) continue;
+      uatSheet.getRange(existingRowNumber, UAT_COL_ACTIVITY_LEVEL).setValue(level);
+      levelsSet++;
+      auditChanges.push({
+        spreadsheet: ss.getName(),
+        tab: UPDATE_TRACKER_SHEET_NAME,
+        range: describeRangeA1(existingRowNumber, UAT_COL_ACTIVITY_LEVEL, 1, 1),
+        personId: personId,
+        field: 'Activity Level',
+        before: before,
+        after: level,
+        details: 'Set from the search sidebar'
+      });
+      continue;
+    }
+
+    newRows.push([entry.personId, `${entry.firstName} ${entry.lastName}`, entry.lastName, entry.firstName, level, rowCommunityId]);
+    rowNumberById[personId] = firstNewRow + newRows.length - 1;
+  }
+
+  if (newRows.length > 0) {
+    uatSheet.getRange(firstNewRow, UAT_COL_ID, newRows.length, UAT_COL_COMMUNITY_ID).setValues(newRows);
+    newRows.forEach((row, index) => auditChanges.push({
+      spreadsheet: ss.getName(),
+      tab: UPDATE_TRACKER_SHEET_NAME,
+      range: describeRangeA1(firstNewRow + index, UAT_COL_ID, 1, UAT_COL_COMMUNITY_ID),
+      personId: row[UAT_COL_ID - 1],
+      field: 'Tracker row',
+      before: '',
+      after: row.filter(value => value !== '').join(', '),
+      details: 'Added from the search sidebar'
+    }));
+  }
+  recordAuditEntries('Add People', communityId, auditChanges);
+
+  let message = `Added ${newRows.length} people to "${UPDATE_TRACKER_SHEET_NAME}".`;
+  if (levelsSet > 0) message += ` Set the activity level of ${levelsSet} people already in it.`;
+  if (problems.length > 0) message += `\n\nNot added:\n${problems.join('\n')}`;
+  return message;
+}
+
+/**
+ * @param {Sheet} uatSheet The 'Update Attendance Tracker' sheet.
+ * @param {string} communityId A community.
+ * @return {object} The sheet row number of each Person ID in that community's tracker rows, keyed by ID.
+ */
+function getTrackerRowNumbersById(uatSheet, communityId) {
+  const rowNumberById = {};
+  if (uatSheet.getLastRow() < UAT_START_DATA_ROW) return rowNumberById;
+
+  const selectedCommunityId = String(uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue()).trim();
+  const rows = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, uatSheet.getLastRow() - UAT_START_DATA_ROW + 1, UAT_COL_COMMUNITY_ID).getValues();
+  rows.forEach((row, index) => {
+    const personId = String(row[UAT_COL_ID - 1]).trim();
+    const rowCommunity = String(row[UAT_COL_COMMUNITY_ID - 1]).trim() || selectedCommunityId;
+    if (personId !== '' && rowCommunity == String(communityId).trim() && !(personId in rowNumberById)) {
+      rowNumberById[personId] = UAT_START_DATA_ROW + index;
+    }
+  });
+  return rowNumberById;
+}
+
+/**
+ * google.script.run only passes an error's message to the sidebar, so the details of a
+ * CommunityToolsError are folded into it.
+ * @param {Error} error The caught error.
+ * @return {Error} The error to throw.
+ */
+function toSidebarError(error) {
+  return error instanceof CommunityToolsError ? new Error(describeToolsError(error)) : error;
+}
+
+/**
+ * For values printed into a template's <script> with <?!= ?>: JSON with every "<" escaped, so
+ * that a value holding "</script>" cannot end the script early.
+ * @param {*} value The value.
+ * @return {string} A JavaScript literal of the value.
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,228 @@
+// --- Role-Based Permissions ---
+
+// Optional table in the 'Settings' tab, found by its "User Email" header, with "Communities"
+// and "Actions" headers in the same row and one grant per row below it, down to the first
+// blank email. Keep it to the right of the community columns so column B only holds Community IDs.
+//   User Email          | Communities | Actions
+//   coordinator@org.org | C01, C02    | update, import
+//   admin@org.org       | *           | *
+// Without the table everyone may run everything. With it, the commands in PERMISSION_ACTIONS
+// are only shown to, and only run for, the users and communities listed; the other commands
+// only read community sheets or change this spreadsheet and stay open to everyone, except
+// that the web API only reads communities its key's user has a grant for.
+const PERMISSIONS_HEADER_USER_EMAIL = 'User Email';
+const PERMISSIONS_HEADER_COMMUNITIES = 'Communities';
+const PERMISSIONS_HEADER_ACTIONS = 'Actions';
+const PERMISSION_WILDCARD = '*';
+const PERMISSION_ACTIONS = {
+  UPDATE: 'update',
+  IMPORT: 'import',
+  RESET: 'reset',
+  UNDO: 'undo',
+  RECONCILE: 'reconcile',
+  MIGRATE: 'migrate',
+  SCHEDULE: 'schedule',
+  API: 'api'
+};
+// The command each action stands for, as named in the menu and in error messages.
+const PERMISSION_ACTION_COMMANDS = {
+  'update': 'Update Activity Level',
+  'import': 'Import Attendance',
+  'reset': 'Reset Activity Level',
+  'undo': 'Undo Last Update',
+  'reconcile': 'Apply Selected Reconcile Fixes',
+  'migrate': 'Migrate Event Attendance',
+  'schedule': 'Scheduled Updates',
+  'api': 'Web API Keys'
+};
+
+/**
+ * Reads the permissions table of the 'Settings' tab.
+ * @return {Array<object>|null} Grants as { email, communityIds, actions } (lower-case email; '*' kept
+ *     as is), or null if there is no table.
+ * @throws {CommunityToolsError} If the 'Settings' tab is missing or the table has invalid rows.
+ */
+function loadPermissionGrants() {
+  const settingsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SETTINGS_SHEET_NAME);
+  if (!settingsSheet) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_SHEET, 'The "Settings" tab could not be found.');
+  }
+
+  const settingsData = settingsSheet.getDataRange().getValues();
+  let headerRowIndex = -1;
+  let emailColumn = -1;
+  for (let i = 0; i < settingsData.length && headerRowIndex === -1; i++) {
+    emailColumn = settingsData[i].findIndex(cell => normalizeHeaderKey(cell) === normalizeHeaderKey(PERMISSIONS_HEADER_USER_EMAIL));
+    if (emailColumn !== -1) headerRowIndex = i;
+  }
+  if (headerRowIndex === -1) return null;
+
+  const headerKeys = settingsData[headerRowIndex].map(normalizeHeaderKey);
+  const communitiesColumn = headerKeys.indexOf(normalizeHeaderKey(PERMISSIONS_HEADER_COMMUNITIES), emailColumn + 1);
+  const actionsColumn = headerKeys.indexOf(normalizeHeaderKey(PERMISSIONS_HEADER_ACTIONS), emailColumn + 1);
+  const errors = [];
+  if (communitiesColumn === -1 || actionsColumn === -1) {
+    errors.push(`The "${PERMISSIONS_HEADER_COMMUNITIES}" and "${PERMISSIONS_HEADER_ACTIONS}" headers must follow "${PERMISSIONS_HEADER_USER_EMAIL}" in the same row.`);
+  }
+
+  const splitList = value => String(value === null || value === undefined ? '' : value).split(/[,;\n]/).map(item => item.trim()).filter(item => item !== '');
+  const knownActions = Object.keys(PERMISSION_ACTION_COMMANDS);
+  const grants = [];
+  // Without both headers the grants cannot be read at all.
+  const lastRowIndex = errors.length > 0 ? headerRowIndex : settingsData.length - 1;
+  for (let i = headerRowIndex + 1; i <= lastRowIndex; i++) {
+    const email = String(settingsData[i][emailColumn]).trim().toLowerCase();
+    if (email === '') break;
+
+    const communityIds = splitList(settingsData[i][communitiesColumn]);
+    const actions = splitList(settingsData[i][actionsColumn]).map(action => action.toLowerCase());
+    actions.filter(action => action !== PERMISSION_WILDCARD && knownActions.indexOf(action) === -1).forEach(action =>
+      errors.push(`Row ${i + 1}: "${action}" is not an action. Use ${knownActions.join(', ')} or ${PERMISSION_WILDCARD}.`));
+    if (communityIds.length === 0 || actions.length === 0) {
+      errors.push(`Row ${i + 1}: ${email} needs at least one community and one action (or ${PERMISSION_WILDCARD}).`);
+    }
+    grants.push({ email: email, communityIds: communityIds, actions: actions });
+  }
+
+  if (errors.length > 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_SETTING,
+      'The permissions table in the "Settings" tab has errors. Restricted commands are blocked until it is fixed.', errors);
+  }
+  return grants;
+}
+
+/**
+ * @param {Array<object>|null} grants The grants from loadPermissionGrants.
+ * @param {string} email The user.
+ * @param {string} action One of PERMISSION_ACTIONS.
+ * @param {string|null} communityId The community, or null for "any community".
+ * @return {boolean} Whether the user may run the action for the community.
+ */
+function isActionAllowed(grants, email, action, communityId) {
+  if (!grants) return true;
+  const userEmail = String(email).trim().toLowerCase();
+  return grants.some(grant => grant.email === userEmail &&
+    (grant.actions.indexOf(PERMISSION_WILDCARD) !== -1 || grant.actions.indexOf(action) !== -1) &&
+    (communityId === null || grant.communityIds.indexOf(PERMISSION_WILDCARD) !== -1 || grant.communityIds.indexOf(String(communityId).trim()) !== -1));
+}
+
+/**
+ * @param {string} action One of PERMISSION_ACTIONS.
+ * @param {Array<string>} communityIds The communities the action would change.
+ * @param {string=} email The user; defaults to the current user.
+ * @return {Array<string>} The communities the user may not run the action for.
+ * @throws {CommunityToolsError} If the permissions table cannot be read.
+ */
+function findDeniedCommunities(action, communityIds, email) {
+  const grants = loadPermissionGrants();
+  const userEmail = email || getCurrentUserEmail();
+  return communityIds.map(id => String(id).trim()).filter(id => !isActionAllowed(grants, userEmail, action, id));
+}
+
+/**
+ * @param {string} action One of PERMISSION_ACTIONS.
+ * @param {string|Array<string>} communityIds The community, or communities, the action would change.
+ * @param {string=} email The user; defaults to the current user.
+ * @throws {CommunityToolsError} If the user may not run the action for one of them.
+ */
+function requirePermission(action, communityIds, email) {
+  const userEmail = email || getCurrentUserEmail();
+  const denied = findDeniedCommunities(action, [].concat(communityIds), userEmail);
+  if (denied.length > 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.PERMISSION_DENIED,
+      `${userEmail} may not run "${PERMISSION_ACTION_COMMANDS[action]}" for ${denied.map(id => `"${id}"`).join(', ')}. ` +
+      `Please ask an administrator to add it to the "${PERMISSIONS_HEADER_USER_EMAIL}" table in Settings. Nothing was changed.`);
+  }
+}
+
+/**
+ * For commands that are not tied to one community, such as making web API keys.
+ * @param {string} action One of PERMISSION_ACTIONS.
+ * @param {boolean} everyCommunity Whether a grant for every community (*) is needed rather than one for any community.
+ * @param {string=} email The user; defaults to the current user.
+ * @throws {CommunityToolsError} If the user has no such grant.
+ */
+function requireActionGrant(action, everyCommunity, email) {
+  const userEmail = email || getCurrentUserEmail();
+  if (!isActionAllowed(loadPermissionGrants(), userEmail, action, everyCommunity ? PERMISSION_WILDCARD : null)) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.PERMISSION_DENIED,
+      `${userEmail} may not run "${PERMISSION_ACTION_COMMANDS[action]}"${everyCommunity ? ` for every community (${PERMISSION_WILDCARD})` : ''}. ` +
+      `Please ask an administrator to add it to the "${PERMISSIONS_HEADER_USER_EMAIL}" table in Settings. Nothing was changed.`);
+  }
+}
+
+/**
+ * For reads that leave the spreadsheet, such as the web API: with a permissions table, the user
+ * needs a grant, for any action, that covers the community.
+ * @param {string} communityId The community to read.
+ * @param {string=} email The user; defaults to the current user.
+ * @throws {CommunityToolsError} If no grant of the user covers the community.
+ */
+function requireCommunityGrant(communityId, email) {
+  const grants = loadPermissionGrants();
+  const userEmail = email || getCurrentUserEmail();
+  if (!grants) return;
+  const id = String(communityId).trim();
+  const granted = grants.some(grant => grant.email === String(userEmail).trim().toLowerCase() &&
+    (grant.communityIds.indexOf(PERMISSION_WILDCARD) !== -1 || grant.communityIds.indexOf(id) !== -1));
+  if (!granted) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.PERMISSION_DENIED,
+      `${userEmail} has no grant for "${id}" and may not read it. ` +
+      `Please ask an administrator to add it to the "${PERMISSIONS_HEADER_USER_EMAIL}" table in Settings.`);
+  }
+}
+
+/**
+ * Menu wrapper of requirePermission: shows an alert and returns false if the user may not run the action.
+ * @param {Ui} ui The spreadsheet UI.
+ * @param {string} action One of PERMISSION_ACTIONS.
+ * @param {string|Array<string>} communityIds The community, or communities, the action would change.
+ * @return {boolean}
+ */
+function checkPermission(ui, action, communityIds) {
+  try {
+    requirePermission(action, communityIds);
+    return true;
+  } catch (e) {
+    reportToolsError(ui, e);
+    return false;
+  }
+}
+
+/**
+ * For onOpen: tells which restricted commands to show. A simple trigger does not always know
+ * the user's email (e.g. for users outside the owner's domain); the menu then shows every
+ * command, and the commands still check the permissions when they run.
+ * @return {function(string): boolean} Whether to show the command of an action.
+ */
+function getMenuPermissionFilter() {
+  let grants;
+  try {
+    grants = loadPermissionGrants();
+  } catch (e) {
+    return () => true;
+  }
+  const email = Session.getActiveUser().getEmail();
+  if (!grants || !email) return () => true;
+  return action => isActionAllowed(grants, email, action, null);
+}
+
+/**
+ * Asks the user to type a word before a destructive action, so it is not confirmed by reflex.
+ * @param {Ui} ui The spreadsheet UI.
+ * @param {string} title The dialog title.
+ * @param {string} message What will change.
+ * @param {string} expected The text to type, e.g. the Community ID.
+ * @return {boolean} Whether the user typed it (case does not matter).
+ */
+function confirmByTyping(ui, title, message, expected) {
+  const response = ui.prompt(title, `${message}\n\nType ${expected} to confirm:`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return false;
+
+  const typed = response.getResponseText().trim();
+  if (typed.toLowerCase() !== String(expected).trim().toLowerCase()) {
+    ui.alert(title, `You typed "${typed}" instead of ${expected}. Nothing was changed.`, ui.ButtonSet.OK);
+    return false;
+  }
+  return true;
+}
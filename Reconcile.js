@@ -0,0 +1,327 @@
+// --- Reconciliation of Directory, Attendance Stats and Event Attendance ---
+
+// "Reconcile Community" writes one report tab per community in this (Tools) spreadsheet:
+// row 1 holds the Community ID and the report time, row RECONCILE_HEADER_ROW the headers.
+// Rows with a suggested fix get an "Apply" checkbox; "Apply Selected Reconcile Fixes"
+// applies the ticked ones after checking that the data has not changed since the report.
+const RECONCILE_SHEET_PREFIX = 'Reconcile ';
+const RECONCILE_HEADER_ROW = 3;
+const RECONCILE_HEADERS = ['Type', 'Person ID', 'Source', 'Rows', 'Details', 'Suggested Fix', 'Apply', 'Status', 'Fix Data'];
+const RECONCILE_COL_APPLY = 7; // Column G
+const RECONCILE_COL_STATUS = 8; // Column H
+const RECONCILE_COL_FIX_DATA = 9; // Column I (hidden; what the fix changes, as JSON)
+
+const RECONCILE_TYPES = {
+  MISSING_FROM_DIRECTORY: 'Missing from Directory',
+  NAME_MISMATCH: 'Name mismatch',
+  DUPLICATE_ID: 'Duplicate ID',
+  BASELINE_WITHOUT_STATS: 'Baseline rows without stats row',
+  UNKNOWN_PERSON_EVENTS: 'Event rows for unknown person'
+};
+
+/**
+ * Cross-checks the three community tabs.
+ * @param {Array<Array<*>>} directoryData The values of the 'Directory' tab.
+ * @param {object} dirColumns The 'Directory' layout from loadSheetLayout.
+ * @param {Array<Array<*>>} statsData The values of the 'Attendance Stats' tab.
+ * @param {object} statsColumns The 'Attendance Stats' layout from loadSheetLayout.
+ * @param {Array<Array<*>>} eventData The values of the 'Event Attendance' tab; empty if it does not exist.
+ * @return {Array<object>} Discrepancies as { type, personId, source, rowNumbers, details, fix },
+ *     where fix is null or { action, description, ... } for applyReconcileFix.
+ */
+function findCommunityDiscrepancies(directoryData, dirColumns, statsData, statsColumns, eventData) {
+  const idKey = value => (value === null || value === undefined ? '' : String(value).trim());
+  const indexRows = (data, idColumn) => {
+    const rowsById = {};
+    for (let i = 1; i < data.length; i++) {
+      const id = idKey(data[i][idColumn - 1]);
+      if (id === '') continue;
+      (rowsById[id] = rowsById[id] || []).push(i + 1);
+    }
+    return rowsById;
+  };
+  const directoryRows = indexRows(directoryData, dirColumns.personId);
+  const statsRows = indexRows(statsData, statsColumns.personId);
+  const eventRows = indexRows(eventData, EVENT_COL_PERSON_ID);
+  const discrepancies = [];
+
+  const tabs = [
+    { name: DIRECTORY_TAB_NAME, rowsById: directoryRows },
+    { name: ATTENDANCE_STATS_TAB_NAME, rowsById: statsRows }
+  ];
+  for (const tab of tabs) {
+    for (const id in tab.rowsById) {
+      if (tab.rowsById[id].length > 1) {
+        discrepancies.push({
+          type: RECONCILE_TYPES.DUPLICATE_ID, personId: id, source: tab.name, rowNumbers: tab.rowsById[id],
+          details: `Person ID ${id} is used by ${tab.rowsById[id].length} rows.`, fix: null
+        });
+      }
+    }
+  }
+
+  for (const id in statsRows) {
+    const statsRow = statsData[statsRows[id][0] - 1];
+    const statsName = `${statsRow[statsColumns.firstName - 1]} ${statsRow[statsColumns.lastName - 1]}`;
+    if (!directoryRows[id]) {
+      discrepancies.push({
+        type: RECONCILE_TYPES.MISSING_FROM_DIRECTORY, personId: id, source: ATTENDANCE_STATS_TAB_NAME, rowNumbers: statsRows[id],
+        details: `${statsName} has an 'Attendance Stats' row but no 'Directory' row.`, fix: null
+      });
+      continue;
+    }
+    if (statsRows[id].length > 1 || directoryRows[id].length > 1) continue;
+
+    const directoryRow = directoryData[directoryRows[id][0] - 1];
+    const directoryFirst = directoryRow[dirColumns.firstName - 1];
+    const directoryLast = directoryRow[dirColumns.lastName - 1];
+    if (normalizeNameForMatching(statsRow[statsColumns.firstName - 1]) !== normalizeNameForMatching(directoryFirst) ||
+      normalizeNameForMatching(statsRow[statsColumns.lastName - 1]) !== normalizeNameForMatching(directoryLast)) {
+      discrepancies.push({
+        type: RECONCILE_TYPES.NAME_MISMATCH, personId: id, source: ATTENDANCE_STATS_TAB_NAME, rowNumbers: statsRows[id],
+        details: `'Attendance Stats' says "${statsName}", 'Directory' (row ${directoryRows[id][0]}) says "${directoryFirst} ${directoryLast}".`,
+        fix: {
+          action: 'use-directory-name',
+          description: `Rename to "${directoryFirst} ${directoryLast}" in 'Attendance Stats'`,
+          statsRowNumber: statsRows[id][0],
+          oldFirstName: statsRow[statsColumns.firstName - 1],
+          oldLastName: statsRow[statsColumns.lastName - 1],
+          firstName: directoryFirst,
+          lastName: directoryLast
+        }
+      });
+    }
+  }
+
+  for (const id in eventRows) {
+    if (statsRows[id]) continue;
+    const baselineRowNumbers = eventRows[id].filter(rowNumber =>
+      String(eventData[rowNumber - 1][EVENT_COL_EVENT - 1]).trim().indexOf(BASELINE_EVENT_PREFIX) === 0);
+
+    if (!directoryRows[id]) {
+      discrepancies.push({
+        type: RECONCILE_TYPES.UNKNOWN_PERSON_EVENTS, personId: id, source: EVENT_ATTENDANCE_TAB_NAME, rowNumbers: eventRows[id],
+        details: `${eventRows[id].length} 'Event Attendance' row(s) (${baselineRowNumbers.length} baseline) point to a Person ID that is in neither 'Directory' nor 'Attendance Stats'.`,
+        fix: baselineRowNumbers.length === 0 ? null : {
+          action: 'delete-baseline-rows',
+          description: `Delete the ${baselineRowNumbers.length} "${BASELINE_EVENT_PREFIX}" row(s)`,
+          rowNumbers: baselineRowNumbers
+        }
+      });
+    } else if (baselineRowNumbers.length > 0) {
+      discrepancies.push({
+        type: RECONCILE_TYPES.BASELINE_WITHOUT_STATS, personId: id, source: EVENT_ATTENDANCE_TAB_NAME, rowNumbers: baselineRowNumbers,
+        details: `${baselineRowNumbers.length} "${BASELINE_EVENT_PREFIX}" row(s) for a person in the 'Directory' who has no 'Attendance Stats' row.`,
+        fix: null
+      });
+    }
+  }
+
+  return discrepancies;
+}
+
+/**
+ * @param {Array<number>} rowNumbers 1-based row numbers.
+ * @return {string} e.g. "4, 7-9, 12"
+ */
+function describeRowNumbers(rowNumbers) {
+  const sorted = rowNumbers.slice().sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    let end = i;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] + 1) end++;
+    parts.push(end > i ? `${sorted[i]}-${sorted[end]}` : String(sorted[i]));
+    i = end;
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Menu item: cross-checks the selected community's 'Directory', 'Attendance Stats' and
+ * 'Event Attendance' tabs and writes the discrepancies to a "Reconcile <Community ID>" tab.
+ */
+function reconcileCommunity() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  let directory, statsSheet, statsColumns;
+  try {
+    directory = loadCommunityDirectory(selectedCommunityId);
+    statsSheet = openCommunityTab(directory.config, ATTENDANCE_STATS_TAB_NAME);
+    statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, directory.config);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  const eventSheet = statsSheet.getParent().getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  const eventData = eventSheet ? eventSheet.getDataRange().getValues() : [];
+
+  const discrepancies = findCommunityDiscrepancies(directory.directoryData, directory.dirColumns,
+    statsSheet.getDataRange().getValues(), statsColumns, eventData);
+
+  const reportName = RECONCILE_SHEET_PREFIX + selectedCommunityId;
+  let reportSheet = ss.getSheetByName(reportName);
+  if (reportSheet) {
+    reportSheet.clear();
+  } else {
+    reportSheet = ss.insertSheet(reportName);
+  }
+  reportSheet.getRange(1, 1, 1, 4).setValues([['Community ID', selectedCommunityId, 'Generated',
+    Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'M/d/yyyy HH:mm')]]);
+  reportSheet.getRange(RECONCILE_HEADER_ROW, 1, 1, RECONCILE_HEADERS.length).setValues([RECONCILE_HEADERS]).setFontWeight('bold');
+  reportSheet.setFrozenRows(RECONCILE_HEADER_ROW);
+
+  if (discrepancies.length > 0) {
+    const rows = discrepancies.map(d => [
+      d.type, d.personId, d.source, describeRowNumbers(d.rowNumbers), d.details,
+      d.fix ? d.fix.description : '', false, '', d.fix ? JSON.stringify(d.fix) : ''
+    ]);
+    reportSheet.getRange(RECONCILE_HEADER_ROW + 1, 1, rows.length, RECONCILE_HEADERS.length).setValues(rows);
+    discrepancies.forEach((d, index) => {
+      if (d.fix) reportSheet.getRange(RECONCILE_HEADER_ROW + 1 + index, RECONCILE_COL_APPLY).insertCheckboxes();
+    });
+  }
+  reportSheet.hideColumns(RECONCILE_COL_FIX_DATA);
+  ss.setActiveSheet(reportSheet);
+
+  const countsByType = {};
+  discrepancies.forEach(d => { countsByType[d.type] = (countsByType[d.type] || 0) + 1; });
+  const fixable = discrepancies.filter(d => d.fix).length;
+  ui.alert(`Reconcile "${selectedCommunityId}"`,
+    discrepancies.length === 0 ?
+      `No discrepancies were found between 'Directory', 'Attendance Stats' and '${EVENT_ATTENDANCE_TAB_NAME}'.` :
+      `Found ${discrepancies.length} discrepancies, listed in the "${reportName}" tab:\n\n` +
+      Object.keys(countsByType).map(type => `- ${type}: ${countsByType[type]}`).join('\n') +
+      (fixable > 0 ? `\n\n${fixable} can be fixed: tick "Apply" and run "Apply Selected Reconcile Fixes".` : ''),
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Menu item: applies the ticked fixes of the active "Reconcile <Community ID>" tab.
+ */
+function applyReconcileFixes() {
+  const ui = SpreadsheetApp.getUi();
+  const reportSheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  if (reportSheet.getName().indexOf(RECONCILE_SHEET_PREFIX) !== 0) {
+    ui.alert('Error', `Please open a "${RECONCILE_SHEET_PREFIX}<Community ID>" tab (made by "Reconcile Community") first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const communityId = reportSheet.getRange(1, 2).getValue();
+  if (!checkPermission(ui, PERMISSION_ACTIONS.RECONCILE, communityId)) return;
+  const lastRow = reportSheet.getLastRow();
+  const reportRows = lastRow > RECONCILE_HEADER_ROW ?
+    reportSheet.getRange(RECONCILE_HEADER_ROW + 1, 1, lastRow - RECONCILE_HEADER_ROW, RECONCILE_HEADERS.length).getValues() : [];
+  const selected = [];
+  // Ticked rows whose "Fix Data" was edited into something unreadable only get an error Status.
+  const unreadable = [];
+  reportRows.forEach((row, index) => {
+    if (row[RECONCILE_COL_APPLY - 1] === true && row[RECONCILE_COL_STATUS - 1] === '' && row[RECONCILE_COL_FIX_DATA - 1] !== '') {
+      const reportRowNumber = RECONCILE_HEADER_ROW + 1 + index;
+      let fix = null;
+      try {
+        fix = JSON.parse(row[RECONCILE_COL_FIX_DATA - 1]);
+      } catch (e) {
+        // fix stays null, and the row is reported below.
+      }
+      if (fix === null || typeof fix !== 'object' || typeof fix.action !== 'string') {
+        unreadable.push({ rowNumber: reportRowNumber, value: 'Error: the "Fix Data" of this row is not a fix; please reconcile again.' });
+        return;
+      }
+      selected.push({ reportRowNumber: reportRowNumber, personId: row[1], fix: fix });
+    }
+  });
+  writeColumnCells(reportSheet, RECONCILE_COL_STATUS, unreadable);
+  const unreadableNote = unreadable.length > 0 ? `\n\n${unreadable.length} ticked row(s) could not be read; see their "Status".` : '';
+  if (selected.length === 0) {
+    ui.alert('Info', `No fixes are ticked in the "Apply" column (or they were already applied).${unreadableNote}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (!confirmByTyping(ui, 'Apply Reconcile Fixes',
+    `${selected.length} fix(es) will be applied to the community sheets of "${communityId}":\n\n` + selected.map(s => `- ${s.personId}: ${s.fix.description}`).join('\n'),
+    String(communityId).trim())) {
+    return;
+  }
+
+  let statsSheet, statsColumns;
+  try {
+    const config = loadCommunityConfig(communityId);
+    statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+    statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  // The sheets are read under the writer lock, so the checks below still hold when the fixes are written.
+  const statusUpdates = [];
+  try {
+    withWriterLock(() => {
+      const statsSpreadsheet = statsSheet.getParent();
+      const eventSheet = statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+      const statsData = statsSheet.getDataRange().getValues();
+      const eventData = eventSheet ? eventSheet.getDataRange().getValues() : [];
+
+      const auditChanges = [];
+      const rowsToDelete = [];
+      const firstNameCells = [];
+      const lastNameCells = [];
+      for (const item of selected) {
+        const fix = item.fix;
+        let status = 'Skipped: the sheet changed since the report; please reconcile again.';
+        if (fix.action === 'use-directory-name') {
+          const statsRow = statsData[fix.statsRowNumber - 1];
+          if (statsRow && String(statsRow[statsColumns.personId - 1]).trim() === String(item.personId).trim() &&
+            statsRow[statsColumns.firstName - 1] === fix.oldFirstName && statsRow[statsColumns.lastName - 1] === fix.oldLastName) {
+            firstNameCells.push({ rowNumber: fix.statsRowNumber, value: fix.firstName });
+            lastNameCells.push({ rowNumber: fix.statsRowNumber, value: fix.lastName });
+            auditChanges.push({
+              spreadsheet: statsSpreadsheet.getName(), tab: ATTENDANCE_STATS_TAB_NAME, personId: item.personId,
+              range: `row ${fix.statsRowNumber}`, field: 'First Name / Last Name',
+              before: `${fix.oldFirstName} ${fix.oldLastName}`, after: `${fix.firstName} ${fix.lastName}`
+            });
+            status = 'Applied';
+          }
+        } else if (fix.action === 'delete-baseline-rows') {
+          const stillMatching = fix.rowNumbers.every(rowNumber => eventData[rowNumber - 1] &&
+            String(eventData[rowNumber - 1][EVENT_COL_PERSON_ID - 1]).trim() === String(item.personId).trim() &&
+            String(eventData[rowNumber - 1][EVENT_COL_EVENT - 1]).trim().indexOf(BASELINE_EVENT_PREFIX) === 0);
+          if (stillMatching) {
+            Array.prototype.push.apply(rowsToDelete, fix.rowNumbers);
+            auditChanges.push({
+              spreadsheet: statsSpreadsheet.getName(), tab: EVENT_ATTENDANCE_TAB_NAME, personId: item.personId,
+              range: `rows ${describeRowNumbers(fix.rowNumbers)}`, field: 'BASELINE ADJUSTMENT rows',
+              before: `${fix.rowNumbers.length} rows`, after: 'deleted'
+            });
+            status = 'Applied';
+          }
+        }
+        statusUpdates.push({ rowNumber: item.reportRowNumber, value: status });
+      }
+
+      writeColumnCells(statsSheet, statsColumns.firstName, firstNameCells);
+      writeColumnCells(statsSheet, statsColumns.lastName, lastNameCells);
+      if (rowsToDelete.length > 0) {
+        // All deletions in one pass so that earlier deletions do not shift the rows of later ones.
+        deleteRowNumbers(eventSheet, rowsToDelete);
+      }
+      recordAuditEntries('Reconcile Fix', communityId, auditChanges);
+    });
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  writeColumnCells(reportSheet, RECONCILE_COL_STATUS, statusUpdates);
+
+  const appliedCount = statusUpdates.filter(update => update.value === 'Applied').length;
+  ui.alert('Apply Reconcile Fixes',
+    `Applied ${appliedCount} of ${statusUpdates.length} fix(es). See the "Status" column for details.${unreadableNote}`,
+    ui.ButtonSet.OK);
+}
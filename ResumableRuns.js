@@ -0,0 +1,167 @@
+// --- Resumable Update Activity Level Runs ---
+
+// Apps Script stops a run after 6 minutes. Update Activity Level writes the people of a
+// community RUN_CHUNK_SIZE at a time and records its progress in the Script Properties, so
+// that a run which is stopped (or stops itself between chunks when RUN_TIME_BUDGET_SECONDS
+// is used up) can be started again from the same tracker: the people already written are
+// skipped instead of being logged twice, and the rest go into the same batch.
+// Each user has a checkpoint of their own (RUN_CHECKPOINT_PROPERTY_PREFIX + email), so one
+// user's stopped run is never resumed, or overwritten, by another's.
+const RUN_CHECKPOINT_PROPERTY_PREFIX = 'updateActivityLevel.checkpoint.';
+const RUN_CHECKPOINT_MAX_AGE_HOURS = 24;
+const RUN_TIME_BUDGET_SECONDS = 270; // Leaves time for the results message and the last writes.
+const RUN_CHUNK_SIZE = 100; // People written between two looks at the time budget.
+const RUN_STATUS = {
+  STARTED: 'started', // A chunk was being written.
+  PAUSED: 'paused', // Stopped between chunks; donePersonIds lists the people written.
+  DONE: 'done'
+};
+
+/**
+ * @param {*} selectedCommunityId The Community ID in UAT_CELL_COMMUNITY_ID.
+ * @param {Array<Array<*>>} uatData The tracker rows.
+ * @return {string} A digest that changes whenever the tracker does.
+ */
+function getTrackerFingerprint(selectedCommunityId, uatData) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, JSON.stringify([selectedCommunityId, uatData]));
+  return Utilities.base64Encode(digest);
+}
+
+/**
+ * @return {string} The Script Property holding the current user's checkpoint.
+ */
+function getRunCheckpointProperty() {
+  return RUN_CHECKPOINT_PROPERTY_PREFIX + getCurrentUserEmail().toLowerCase();
+}
+
+/**
+ * @param {string} fingerprint The tracker fingerprint of the run about to start.
+ * @return {object|null} The checkpoint { fingerprint, startedAt, communities: map of Community ID ->
+ *     { batchId, status, donePersonIds } } of the current user's unfinished run of the same
+ *     tracker, or null if there is none.
+ */
+function loadRunCheckpoint(fingerprint) {
+  const json = PropertiesService.getScriptProperties().getProperty(getRunCheckpointProperty());
+  if (!json) return null;
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  const ageHours = (Date.now() - new Date(checkpoint.startedAt).getTime()) / 3600000;
+  if (checkpoint.fingerprint !== fingerprint || !(ageHours < RUN_CHECKPOINT_MAX_AGE_HOURS)) return null;
+  return checkpoint;
+}
+
+/**
+ * @param {object} checkpoint The checkpoint to keep until the run finishes.
+ */
+function saveRunCheckpoint(checkpoint) {
+  PropertiesService.getScriptProperties().setProperty(getRunCheckpointProperty(), JSON.stringify(checkpoint));
+}
+
+/**
+ * Forgets the current user's checkpoint once every community of the run has been written.
+ */
+function clearRunCheckpoint() {
+  PropertiesService.getScriptProperties().deleteProperty(getRunCheckpointProperty());
+}
+
+/**
+ * Called by Undo Last Update: an undone batch is written again by the next run instead of
+ * being skipped as done, whichever user's run wrote it.
+ * @param {string} batchId The batch that was undone.
+ */
+function forgetRunCheckpointBatch(batchId) {
+  const properties = PropertiesService.getScriptProperties();
+  properties.getKeys().filter(key => key.indexOf(RUN_CHECKPOINT_PROPERTY_PREFIX) === 0).forEach(key => {
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(properties.getProperty(key));
+    } catch (e) {
+      properties.deleteProperty(key);
+      return;
+    }
+    const communityIds = Object.keys(checkpoint.communities || {}).filter(id => checkpoint.communities[id].batchId === batchId);
+    if (communityIds.length === 0) return;
+    communityIds.forEach(id => { delete checkpoint.communities[id]; });
+    properties.setProperty(key, JSON.stringify(checkpoint));
+  });
+}
+
+/**
+ * Continues a community that an earlier run stopped between chunks: the plan takes over that
+ * run's Batch ID, and the people it already wrote move from entries (or baselineSkipped, as
+ * their rows now count as logged this quarter) to resumedEntries.
+ * @param {object} communityPlan The community's fresh plan; changed in place.
+ * @param {object} earlier The community's record in the checkpoint, with status RUN_STATUS.PAUSED.
+ */
+function resumeCommunityPlan(communityPlan, earlier) {
+  const done = {};
+  (earlier.donePersonIds || []).forEach(personId => { done[personId] = true; });
+  const isDone = entry => done[String(entry.personId).trim()] === true;
+  communityPlan.batchId = earlier.batchId;
+  communityPlan.resumedEntries = communityPlan.entries.concat(communityPlan.baselineSkipped || []).filter(isDone);
+  communityPlan.entries = communityPlan.entries.filter(entry => !isDone(entry));
+  communityPlan.baselineSkipped = (communityPlan.baselineSkipped || []).filter(entry => !isDone(entry));
+}
+
+/**
+ * Writes one community's plan RUN_CHUNK_SIZE people at a time, saving the checkpoint around
+ * each chunk, and stops between chunks once the deadline has passed. Written entries get
+ * written: true, as do the ones that failed (see deleteReplacedBaselineRows).
+ * @param {object} communityPlan One entry of plan.communities.
+ * @param {string} formattedExecutionDate The "Update Timestamp" written on every row.
+ * @param {object} checkpoint The run's checkpoint; changed and saved.
+ * @param {number} deadline The time (ms since the epoch) after which no chunk is started.
+ * @return {object} { logged, scoresWritten, finished }
+ */
+function writeCommunityPlanInChunks(communityPlan, formattedExecutionDate, checkpoint, deadline) {
+  const communityId = communityPlan.communityId;
+  const earlier = checkpoint.communities[communityId];
+  const record = earlier && earlier.status === RUN_STATUS.PAUSED && earlier.batchId === communityPlan.batchId ?
+    earlier : { batchId: communityPlan.batchId, status: RUN_STATUS.PAUSED, donePersonIds: [] };
+  checkpoint.communities[communityId] = record;
+
+  const result = { logged: 0, scoresWritten: 0, finished: false };
+  for (let start = 0; start < communityPlan.entries.length; start += RUN_CHUNK_SIZE) {
+    if (Date.now() > deadline) {
+      saveRunCheckpoint(checkpoint);
+      return result;
+    }
+    const chunkEntries = communityPlan.entries.slice(start, start + RUN_CHUNK_SIZE);
+    const chunkPlan = Object.assign({}, communityPlan, { entries: chunkEntries.slice() });
+    record.status = RUN_STATUS.STARTED;
+    saveRunCheckpoint(checkpoint);
+    result.logged += appendBaselineAdjustments(chunkPlan, formattedExecutionDate);
+    result.scoresWritten += writeBackPlannedScores(chunkPlan);
+    recordUpdateResults(chunkPlan);
+    chunkEntries.forEach(entry => {
+      entry.written = true;
+      record.donePersonIds.push(String(entry.personId).trim());
+    });
+    record.status = RUN_STATUS.PAUSED;
+    saveRunCheckpoint(checkpoint);
+  }
+  record.status = RUN_STATUS.DONE;
+  saveRunCheckpoint(checkpoint);
+  result.finished = true;
+  return result;
+}
+
+/**
+ * Tells whether a run that was stopped while writing a community got as far as writing
+ * anything for it.
+ * @param {object} communityPlan One entry of plan.communities.
+ * @param {string} batchId The Batch ID the stopped run used for the community.
+ * @return {boolean} Whether 'Event Attendance' or SCORE_HISTORY_SHEET_NAME has rows of the batch.
+ */
+function isRunBatchWritten(communityPlan, batchId) {
+  const eventSheet = communityPlan.statsSpreadsheet.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  if (eventSheet && eventSheet.getLastRow() > 1) {
+    const batchIds = eventSheet.getRange(2, EVENT_COL_BATCH_ID, eventSheet.getLastRow() - 1, 1).getValues();
+    if (batchIds.some(row => String(row[0]).trim() === batchId)) return true;
+  }
+  return collectScoreHistoryBatches(communityPlan.communityId)[batchId] !== undefined;
+}
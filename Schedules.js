@@ -0,0 +1,454 @@
+// --- Scheduled Update Activity Level Runs ---
+
+// Tab in this (Tools) spreadsheet holding the activity levels a schedule applies, header in row 1.
+// "Save Activity Levels for Schedule" replaces the rows of every community it saves.
+const SAVED_ASSIGNMENTS_SHEET_NAME = 'Saved Assignments';
+const SAVED_ASSIGNMENTS_HEADERS = ['Community ID', 'Person ID', 'Full Name', 'Last Name', 'First Name', 'Activity Level', 'Saved On', 'Saved By'];
+const SAVED_COL_COMMUNITY_ID = 1; // Column A
+const SAVED_COL_PERSON_ID = 2; // Column B
+
+// One row per scheduled run, including runs that failed.
+const SCHEDULE_LOG_SHEET_NAME = 'Schedule Log';
+const SCHEDULE_LOG_HEADERS = ['Timestamp', 'Schedule', 'Communities', 'Status', 'Entries Logged', 'Details'];
+
+// Each installed trigger's settings are kept in the Script Properties under this prefix + its unique ID.
+// A trigger is visible only to the user who installed it, so the schedules are listed from these settings.
+const SCHEDULE_PROPERTY_PREFIX = 'schedule.';
+const SCHEDULE_HANDLER_FUNCTION = 'runScheduledActivityUpdate';
+const SCHEDULE_FREQUENCIES = ['quarterly', 'monthly', 'weekly'];
+const SCHEDULE_RUN_HOUR = 6; // Between 6 and 7 am in the script time zone.
+const QUARTER_START_MONTHS = [0, 3, 6, 9]; // January, April, July, October
+
+/**
+ * Returns a log tab of this spreadsheet, creating it with a bold, frozen header if needed.
+ * @param {string} sheetName The tab name.
+ * @param {Array<string>} headers The header row.
+ * @return {Sheet}
+ */
+function getOrCreateToolsTab(sheetName, headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Menu item: saves the activity levels currently in the tracker so that scheduled runs
+ * can apply them. The saved rows of every community in the tracker are replaced.
+ */
+function saveActivityLevelsForSchedule() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const uatLastRow = uatSheet.getLastRow();
+  if (uatLastRow < UAT_START_DATA_ROW) {
+    ui.alert('Info', "No data rows to save in 'Update Attendance Tracker'.", ui.ButtonSet.OK);
+    return;
+  }
+  const uatData = uatSheet.getRange(UAT_START_DATA_ROW, 1, uatLastRow - UAT_START_DATA_ROW + 1, UAT_COL_COMMUNITY_ID).getValues();
+  const rowsByCommunity = groupTrackerRowsByCommunity(uatData, uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue());
+  if (!checkPermission(ui, PERMISSION_ACTIONS.SCHEDULE, rowsByCommunity.communityIds)) return;
+
+  const savedOn = Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'M/d/yyyy HH:mm');
+  const savedBy = getCurrentUserEmail();
+  const newRows = [];
+  const countsByCommunity = {};
+  for (const communityId of rowsByCommunity.communityIds) {
+    for (const row of rowsByCommunity.rows[communityId]) {
+      if (String(row[UAT_COL_ID - 1]).trim() === '' || String(row[UAT_COL_ACTIVITY_LEVEL - 1]).trim() === '') continue;
+      newRows.push([
+        communityId, row[UAT_COL_ID - 1], row[UAT_COL_FULL_NAME - 1], row[UAT_COL_LAST_NAME - 1],
+        row[UAT_COL_FIRST_NAME - 1], row[UAT_COL_ACTIVITY_LEVEL - 1], savedOn, savedBy
+      ]);
+      countsByCommunity[communityId] = (countsByCommunity[communityId] || 0) + 1;
+    }
+  }
+
+  if (newRows.length === 0) {
+    ui.alert('Info', 'No tracker rows have both a Person ID and an Activity Level. Nothing was saved.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const savedSheet = getOrCreateToolsTab(SAVED_ASSIGNMENTS_SHEET_NAME, SAVED_ASSIGNMENTS_HEADERS);
+  const savedData = savedSheet.getDataRange().getValues();
+  const keptRows = savedData.slice(1).filter(row =>
+    String(row[SAVED_COL_PERSON_ID - 1]).trim() !== '' && !(String(row[SAVED_COL_COMMUNITY_ID - 1]).trim() in countsByCommunity));
+  const allRows = keptRows.concat(newRows);
+
+  if (savedData.length > 1) {
+    savedSheet.getRange(2, 1, savedData.length - 1, SAVED_ASSIGNMENTS_HEADERS.length).clearContent();
+  }
+  savedSheet.getRange(2, 1, allRows.length, SAVED_ASSIGNMENTS_HEADERS.length).setValues(allRows);
+
+  recordAuditEntries('Save Activity Levels', '', Object.keys(countsByCommunity).map(communityId => ({
+    spreadsheet: ss.getName(),
+    tab: SAVED_ASSIGNMENTS_SHEET_NAME,
+    range: describeRangeA1(2, 1, allRows.length, SAVED_ASSIGNMENTS_HEADERS.length),
+    field: 'Saved assignments',
+    after: `${countsByCommunity[communityId]} rows for ${communityId}`
+  })));
+
+  const summary = Object.keys(countsByCommunity).map(communityId => `- ${communityId}: ${countsByCommunity[communityId]} people`);
+  ui.alert('Activity Levels Saved',
+    `Saved to the "${SAVED_ASSIGNMENTS_SHEET_NAME}" tab (earlier saved rows of these communities were replaced):\n\n${summary.join('\n')}\n\n` +
+    `Scheduled runs will apply these levels until they are saved again.`,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Reads the saved assignments, shaped like tracker rows so they can be planned like the tracker.
+ * @return {object} { communityIds (in order of first appearance), rows: map of ID -> tracker-shaped rows }
+ */
+function loadSavedAssignments() {
+  const savedSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SAVED_ASSIGNMENTS_SHEET_NAME);
+  const saved = { communityIds: [], rows: {} };
+  if (!savedSheet) return saved;
+
+  const savedData = savedSheet.getDataRange().getValues();
+  for (let i = 1; i < savedData.length; i++) {
+    const row = savedData[i];
+    const communityId = String(row[SAVED_COL_COMMUNITY_ID - 1]).trim();
+    if (communityId === '' || String(row[SAVED_COL_PERSON_ID - 1]).trim() === '') continue;
+    if (!saved.rows[communityId]) {
+      saved.rows[communityId] = [];
+      saved.communityIds.push(communityId);
+    }
+    const trackerRow = new Array(UAT_COL_COMMUNITY_ID).fill('');
+    trackerRow[UAT_COL_ID - 1] = row[1];
+    trackerRow[UAT_COL_FULL_NAME - 1] = row[2];
+    trackerRow[UAT_COL_LAST_NAME - 1] = row[3];
+    trackerRow[UAT_COL_FIRST_NAME - 1] = row[4];
+    trackerRow[UAT_COL_ACTIVITY_LEVEL - 1] = row[5];
+    trackerRow[UAT_COL_COMMUNITY_ID - 1] = communityId;
+    saved.rows[communityId].push(trackerRow);
+  }
+  return saved;
+}
+
+/**
+ * @param {object} schedule The settings of a schedule.
+ * @return {string} e.g. "quarterly for C01, C02, emailing lead@example.org"
+ */
+function describeSchedule(schedule) {
+  let description = schedule.frequency === 'quarterly' ? 'quarterly (1st of Jan, Apr, Jul, Oct)' :
+    schedule.frequency === 'monthly' ? 'monthly (1st of the month)' : 'weekly (Mondays)';
+  description += schedule.communityIds.length > 0 ? ` for ${schedule.communityIds.join(', ')}` : ' for every community with saved assignments';
+  if (schedule.email) description += `, emailing ${schedule.email}`;
+  return description;
+}
+
+/**
+ * @param {string} triggerUid The unique ID of an installed trigger.
+ * @return {object|null} The schedule settings saved for the trigger, or null if there are none.
+ */
+function getScheduleSettings(triggerUid) {
+  const json = PropertiesService.getScriptProperties().getProperty(SCHEDULE_PROPERTY_PREFIX + triggerUid);
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @return {Array<Trigger>} The current user's installed triggers that run scheduled activity updates.
+ */
+function getActivityUpdateTriggers() {
+  return ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === SCHEDULE_HANDLER_FUNCTION);
+}
+
+/**
+ * Lists the schedules of every user. ScriptApp only returns the current user's triggers, so
+ * the schedules are read from the settings in the Script Properties; the current user's
+ * triggers without settings are added at the end.
+ * @return {Array<object>} { triggerUid, schedule (null if no settings are saved), trigger (null
+ *     unless it is one of the current user's), isOwn }, oldest first.
+ */
+function listActivityUpdateScheduleEntries() {
+  const triggers = getActivityUpdateTriggers();
+  const currentUser = getCurrentUserEmail().toLowerCase();
+  const entries = Object.keys(PropertiesService.getScriptProperties().getProperties())
+    .filter(key => key.indexOf(SCHEDULE_PROPERTY_PREFIX) === 0)
+    .map(key => {
+      const triggerUid = key.substring(SCHEDULE_PROPERTY_PREFIX.length);
+      const schedule = getScheduleSettings(triggerUid);
+      return {
+        triggerUid: triggerUid,
+        schedule: schedule,
+        trigger: triggers.filter(trigger => trigger.getUniqueId() === triggerUid)[0] || null,
+        isOwn: !!schedule && String(schedule.installedBy).toLowerCase() === currentUser
+      };
+    })
+    .sort((a, b) => String(a.schedule ? a.schedule.installedOn : '').localeCompare(String(b.schedule ? b.schedule.installedOn : '')));
+  triggers
+    .filter(trigger => !entries.some(entry => entry.triggerUid === trigger.getUniqueId()))
+    .forEach(trigger => entries.push({ triggerUid: trigger.getUniqueId(), schedule: null, trigger: trigger, isOwn: true }));
+  return entries;
+}
+
+/**
+ * @param {object} entry An entry from listActivityUpdateScheduleEntries.
+ * @return {string} e.g. "weekly (Mondays) for C01 - owned by lead@example.org"
+ */
+function describeScheduleEntry(entry) {
+  if (!entry.schedule) {
+    return `Trigger ${entry.triggerUid} has no saved settings and will do nothing; please remove it.`;
+  }
+  const description = describeSchedule(entry.schedule);
+  if (entry.trigger) return `${description} - installed by you`;
+  if (entry.isOwn) return `${description} - installed by you, but its trigger no longer exists; please remove it`;
+  return `${description} - owned by ${entry.schedule.installedBy}`;
+}
+
+/**
+ * Menu item: asks how often to run and for which communities, then installs a time-driven
+ * trigger that applies the saved assignments on that schedule.
+ */
+function installActivityUpdateSchedule() {
+  const ui = SpreadsheetApp.getUi();
+
+  const frequencyResponse = ui.prompt('Install Schedule',
+    `How often should the saved activity levels be applied? Enter one of: ${SCHEDULE_FREQUENCIES.join(', ')}.\n` +
+    `(Runs happen between ${SCHEDULE_RUN_HOUR} and ${SCHEDULE_RUN_HOUR + 1} am; quarterly runs on the first day of each quarter.)`,
+    ui.ButtonSet.OK_CANCEL);
+  if (frequencyResponse.getSelectedButton() !== ui.Button.OK) return;
+  const frequency = frequencyResponse.getResponseText().trim().toLowerCase();
+  if (SCHEDULE_FREQUENCIES.indexOf(frequency) === -1) {
+    ui.alert('Error', `"${frequency}" is not one of ${SCHEDULE_FREQUENCIES.join(', ')}. No schedule was installed.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const communitiesResponse = ui.prompt('Install Schedule',
+    'Community IDs to update, separated by commas (leave blank for every community in the "' + SAVED_ASSIGNMENTS_SHEET_NAME + '" tab):',
+    ui.ButtonSet.OK_CANCEL);
+  if (communitiesResponse.getSelectedButton() !== ui.Button.OK) return;
+  const communityIds = communitiesResponse.getResponseText().split(',').map(id => id.trim()).filter(id => id !== '');
+  for (const communityId of communityIds) {
+    if (!getCommunityConfig(communityId)) return;
+  }
+  let scheduledIds;
+  try {
+    scheduledIds = communityIds.length > 0 ? communityIds : listCommunityIds();
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  if (!checkPermission(ui, PERMISSION_ACTIONS.SCHEDULE, scheduledIds)) return;
+
+  const emailResponse = ui.prompt('Install Schedule', 'Email address for a summary of each run (leave blank for none):', ui.ButtonSet.OK_CANCEL);
+  if (emailResponse.getSelectedButton() !== ui.Button.OK) return;
+  const email = emailResponse.getResponseText().trim();
+
+  let triggerBuilder = ScriptApp.newTrigger(SCHEDULE_HANDLER_FUNCTION).timeBased().atHour(SCHEDULE_RUN_HOUR);
+  triggerBuilder = frequency === 'weekly' ? triggerBuilder.onWeekDay(ScriptApp.WeekDay.MONDAY) : triggerBuilder.onMonthDay(1);
+  const trigger = triggerBuilder.create();
+
+  const schedule = {
+    frequency: frequency,
+    communityIds: communityIds,
+    email: email,
+    installedBy: getCurrentUserEmail(),
+    installedOn: new Date().toISOString()
+  };
+  PropertiesService.getScriptProperties().setProperty(SCHEDULE_PROPERTY_PREFIX + trigger.getUniqueId(), JSON.stringify(schedule));
+  recordAuditEntries('Install Schedule', communityIds.join(', '), [{ field: 'Schedule', after: describeSchedule(schedule), details: `Trigger ${trigger.getUniqueId()}` }]);
+
+  ui.alert('Schedule Installed',
+    `Saved activity levels will be applied ${describeSchedule(schedule)}.\n\n` +
+    `Each run is recorded in the "${SCHEDULE_LOG_SHEET_NAME}" tab. Use "Save Activity Levels for Schedule" to change what is applied.`,
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Menu item: lists the installed schedules of every user.
+ */
+function listActivityUpdateSchedules() {
+  const ui = SpreadsheetApp.getUi();
+  const entries = listActivityUpdateScheduleEntries();
+  if (entries.length === 0) {
+    ui.alert('Schedules', 'No schedules are installed.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const lines = entries.map((entry, index) => `${index + 1}) ${describeScheduleEntry(entry)}`);
+  if (entries.some(entry => entry.schedule && !entry.trigger && !entry.isOwn)) {
+    lines.push('', 'A schedule owned by another user runs from their trigger, which only they can see or delete.');
+  }
+  ui.alert('Schedules', lines.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Menu item: removes one of the installed schedules, or all of them. Another user's trigger
+ * cannot be deleted, so removing their schedule deletes its settings: the trigger then does
+ * nothing but log a failure until its owner removes it.
+ */
+function removeActivityUpdateSchedule() {
+  const ui = SpreadsheetApp.getUi();
+  const entries = listActivityUpdateScheduleEntries();
+  if (entries.length === 0) {
+    ui.alert('Remove Schedule', 'No schedules are installed.', ui.ButtonSet.OK);
+    return;
+  }
+
+  let promptText = 'Installed schedules:\n\n';
+  entries.forEach((entry, index) => {
+    promptText += `${index + 1}) ${describeScheduleEntry(entry)}\n`;
+  });
+  promptText += '\nEnter the number of the schedule to remove, or "all":';
+
+  const response = ui.prompt('Remove Schedule', promptText, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const choiceText = response.getResponseText().trim().toLowerCase();
+  const choice = parseInt(choiceText, 10);
+  let toRemove;
+  if (choiceText === 'all') {
+    toRemove = entries;
+  } else if (choice >= 1 && choice <= entries.length) {
+    toRemove = [entries[choice - 1]];
+  } else {
+    ui.alert('Error', `"${choiceText}" is not one of the listed schedule numbers. Nothing was removed.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  let removedIds = [];
+  try {
+    for (const entry of toRemove) {
+      removedIds = removedIds.concat(entry.schedule && entry.schedule.communityIds.length > 0 ? entry.schedule.communityIds : listCommunityIds());
+    }
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  if (!checkPermission(ui, PERMISSION_ACTIONS.SCHEDULE, removedIds.filter((id, index) => removedIds.indexOf(id) === index))) return;
+
+  const properties = PropertiesService.getScriptProperties();
+  const auditChanges = [];
+  const otherOwners = [];
+  for (const entry of toRemove) {
+    auditChanges.push({
+      field: 'Schedule',
+      before: entry.schedule ? `${describeSchedule(entry.schedule)}, installed by ${entry.schedule.installedBy}` : '',
+      after: 'removed',
+      details: `Trigger ${entry.triggerUid}` + (entry.trigger ? '' : ' (settings only; the trigger belongs to another user or no longer exists)')
+    });
+    if (entry.trigger) {
+      ScriptApp.deleteTrigger(entry.trigger);
+    } else if (entry.schedule && !entry.isOwn && otherOwners.indexOf(entry.schedule.installedBy) === -1) {
+      otherOwners.push(entry.schedule.installedBy);
+    }
+    properties.deleteProperty(SCHEDULE_PROPERTY_PREFIX + entry.triggerUid);
+  }
+  recordAuditEntries('Remove Schedule', '', auditChanges);
+
+  ui.alert('Remove Schedule', `Removed ${toRemove.length} schedule(s).` + (otherOwners.length > 0 ?
+    `\n\nThe triggers of ${otherOwners.join(', ')} will no longer apply anything, but only their owners can delete them ` +
+    `(Extensions > Apps Script > Triggers); until then each run logs a failure in the "${SCHEDULE_LOG_SHEET_NAME}" tab.` : ''),
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Time-driven trigger handler. Applies the saved assignments of the schedule's communities,
+ * like a confirmed Update Activity Level, without any dialogs. The outcome goes to the
+ * 'Schedule Log' tab and, if the schedule has one, to its email address.
+ * @param {object} e The time-driven trigger event.
+ */
+function runScheduledActivityUpdate(e) {
+  const triggerUid = e && e.triggerUid ? String(e.triggerUid) : '';
+  const schedule = getScheduleSettings(triggerUid);
+  const today = new Date();
+  if (schedule && schedule.frequency === 'quarterly' && QUARTER_START_MONTHS.indexOf(today.getMonth()) === -1) {
+    return;
+  }
+
+  const messages = [];
+  const logRow = { schedule: schedule ? describeSchedule(schedule) : `trigger ${triggerUid}`, communities: '', status: '', logged: 0, details: '' };
+  try {
+    if (!schedule) {
+      throw new Error(`No settings are saved for this trigger. Remove it with "Remove Schedule" and install it again.`);
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const timeZone = ss.getSpreadsheetTimeZone();
+    const saved = loadSavedAssignments();
+    const communityIds = schedule.communityIds.length > 0 ? schedule.communityIds : saved.communityIds;
+    logRow.communities = communityIds.join(', ');
+    if (communityIds.length === 0) {
+      throw new Error(`The "${SAVED_ASSIGNMENTS_SHEET_NAME}" tab has no saved assignments.`);
+    }
+
+    const plan = {
+      formattedExecutionDate: Utilities.formatDate(today, timeZone, "M/d/yyyy"),
+      communities: [],
+      failedCommunities: [],
+      recordsMissingDetailsUAT: 0,
+      recordsMissingCommunityUAT: 0
+    };
+    const loggedByCommunity = {};
+    const scoresWrittenByCommunity = {};
+    // The run acts for whoever installed it, so it keeps to that user's current permissions:
+    // both 'schedule' and 'update', as it performs an update.
+    const deniedIds = findDeniedCommunities(PERMISSION_ACTIONS.SCHEDULE, communityIds, schedule.installedBy)
+      .concat(findDeniedCommunities(PERMISSION_ACTIONS.UPDATE, communityIds, schedule.installedBy));
+    for (const communityId of communityIds) {
+      if (deniedIds.indexOf(communityId) !== -1) {
+        messages.push(`${schedule.installedBy} no longer has both the schedule and update permissions for ${communityId}; it was skipped.`);
+        plan.failedCommunities.push(communityId);
+        continue;
+      }
+      const savedRows = saved.rows[communityId] || [];
+      if (savedRows.length === 0) {
+        messages.push(`No saved assignments for ${communityId}.`);
+        continue;
+      }
+      let communityPlan;
+      try {
+        communityPlan = withWriterLock(() => {
+          const built = buildCommunityActivityLevelPlan(communityId, savedRows, today, timeZone);
+          loggedByCommunity[communityId] = appendBaselineAdjustments(built, plan.formattedExecutionDate, 'Scheduled Update Activity Level');
+          scoresWrittenByCommunity[communityId] = writeBackPlannedScores(built, 'Scheduled Update Activity Level');
+          return built;
+        });
+      } catch (error) {
+        if (!(error instanceof CommunityToolsError)) throw error;
+        messages.push(describeToolsError(error));
+        plan.failedCommunities.push(communityId);
+        continue;
+      }
+      plan.communities.push(communityPlan);
+      plan.recordsMissingDetailsUAT += communityPlan.recordsMissingDetailsUAT;
+      recordUpdateResults(communityPlan);
+      logRow.logged += loggedByCommunity[communityId];
+    }
+
+    logRow.status = plan.failedCommunities.length > 0 || messages.length > 0 ? 'Completed with problems' : 'Completed';
+    logRow.details = formatActivityLevelUpdateMessage(plan, loggedByCommunity, scoresWrittenByCommunity) + (messages.length > 0 ? '\nProblems:\n' + messages.join('\n') : '');
+  } catch (error) {
+    logRow.status = 'Failed';
+    logRow.details = error.message + (messages.length > 0 ? '\n' + messages.join('\n') : '');
+  }
+
+  const logSheet = getOrCreateToolsTab(SCHEDULE_LOG_SHEET_NAME, SCHEDULE_LOG_HEADERS);
+  logSheet.appendRow([today, logRow.schedule, logRow.communities, logRow.status, logRow.logged, logRow.details]);
+
+  if (schedule && schedule.email) {
+    try {
+      MailApp.sendEmail(schedule.email,
+        `[Community Tools] Scheduled activity update: ${logRow.status}`,
+        `Schedule: ${logRow.schedule}\nCommunities: ${logRow.communities}\nEntries logged: ${logRow.logged}\n\n${logRow.details}`);
+    } catch (error) {
+      console.log(`Could not email the scheduled run summary to ${schedule.email}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,231 @@
+// --- Opt-in Activity Score Write-Back ---
+
+// Optional 'Settings' column, found by its header. When it is "yes" (or a ticked checkbox),
+// Update Activity Level writes the new score to the community's 'Attendance Stats' alongside
+// the logged events; otherwise it only logs the events. Reset Activity Level sets the scores
+// to 0 either way, as it always has. Every written score is kept in SCORE_HISTORY_SHEET_NAME
+// with its old value, so "Undo Last Update" can put it back.
+const SETTINGS_HEADER_WRITE_BACK_SCORES = 'Write Back Scores';
+const WRITE_BACK_ON_VALUES = ['yes', 'y', 'true', 'on', '1'];
+const WRITE_BACK_OFF_VALUES = ['', 'no', 'n', 'false', 'off', '0'];
+const RESET_BATCH_ID_PREFIX = 'RS-';
+
+const SCORE_HISTORY_SHEET_NAME = 'Score History';
+const SCORE_HISTORY_HEADERS = ['Timestamp', 'Batch ID', 'Community ID', 'Spreadsheet', 'Person ID', 'Stats Row', 'Before', 'After', 'Restored'];
+const SCORE_HISTORY_COL_BATCH_ID = 2; // Column B
+const SCORE_HISTORY_COL_COMMUNITY_ID = 3; // Column C
+const SCORE_HISTORY_COL_PERSON_ID = 5; // Column E
+const SCORE_HISTORY_COL_STATS_ROW = 6; // Column F
+const SCORE_HISTORY_COL_BEFORE = 7; // Column G
+const SCORE_HISTORY_COL_AFTER = 8; // Column H
+const SCORE_HISTORY_COL_RESTORED = 9; // Column I
+
+/**
+ * @param {object} config A config from loadCommunityConfig.
+ * @return {boolean} Whether scores are written back to the community's 'Attendance Stats'.
+ * @throws {CommunityToolsError} If the "Write Back Scores" setting is not a yes/no value.
+ */
+function isScoreWriteBackEnabled(config) {
+  const value = getCommunitySetting(config, SETTINGS_HEADER_WRITE_BACK_SCORES);
+  if (value === true || value === false) return value;
+
+  const text = String(value).trim().toLowerCase();
+  if (WRITE_BACK_ON_VALUES.indexOf(text) !== -1) return true;
+  if (WRITE_BACK_OFF_VALUES.indexOf(text) !== -1) return false;
+  throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_SETTING,
+    `The "${SETTINGS_HEADER_WRITE_BACK_SCORES}" of community "${config.communityId}" is "${value}". Please use yes or no (or a checkbox).`);
+}
+
+/**
+ * Writes new activity scores to a community's 'Attendance Stats' and keeps the old values in
+ * SCORE_HISTORY_SHEET_NAME. Only the changed cells are written (see writeColumnCells).
+ * @param {Sheet} statsSheet The community's 'Attendance Stats' tab.
+ * @param {object} statsColumns The 'Attendance Stats' layout from loadSheetLayout.
+ * @param {Array<object>} changes { statsRowNumber, personId, after } for each score to write.
+ * @param {string} batchId The Batch ID the scores belong to, used by Undo Last Update.
+ * @param {string} communityId The community.
+ * @param {string} auditAction The action recorded in the 'Audit Log'.
+ * @return {number} The number of scores that changed.
+ */
+function writeActivityScores(statsSheet, statsColumns, changes, batchId, communityId, auditAction) {
+  const lastRow = statsSheet.getLastRow();
+  if (changes.length === 0 || lastRow < 2) return 0;
+
+  const scoreRange = statsSheet.getRange(2, statsColumns.activityScore, lastRow - 1, 1);
+  const values = scoreRange.getValues();
+  const formulas = scoreRange.getFormulas();
+  const block = values.map((row, index) => [formulas[index][0] || row[0]]);
+
+  const timestamp = new Date();
+  const spreadsheetName = statsSheet.getParent().getName();
+  const historyRows = [];
+  const auditChanges = [];
+  const scoreCells = [];
+  for (const change of changes) {
+    const index = change.statsRowNumber - 2;
+    if (index < 0 || index >= block.length) continue;
+    const before = block[index][0];
+    if (String(before) === String(change.after)) continue;
+
+    block[index][0] = change.after;
+    scoreCells.push({ rowNumber: change.statsRowNumber, value: change.after });
+    historyRows.push([timestamp, batchId, communityId, spreadsheetName, change.personId, change.statsRowNumber, before, change.after, '']);
+    auditChanges.push({
+      spreadsheet: spreadsheetName,
+      tab: ATTENDANCE_STATS_TAB_NAME,
+      range: describeRangeA1(change.statsRowNumber, statsColumns.activityScore, 1, 1),
+      personId: change.personId,
+      field: 'Activity Score',
+      before: before,
+      after: change.after,
+      details: `Batch ${batchId}`
+    });
+  }
+  if (historyRows.length === 0) return 0;
+
+  writeColumnCells(statsSheet, statsColumns.activityScore, scoreCells);
+  const historySheet = getOrCreateToolsTab(SCORE_HISTORY_SHEET_NAME, SCORE_HISTORY_HEADERS);
+  historySheet.getRange(historySheet.getLastRow() + 1, 1, historyRows.length, SCORE_HISTORY_HEADERS.length).setValues(historyRows);
+  recordAuditEntries(auditAction, communityId, auditChanges);
+  return historyRows.length;
+}
+
+/**
+ * Writes scattered cells of one column, one range write per run of adjacent rows. The cells
+ * in between are not written, so edits made to them meanwhile are kept.
+ * @param {Sheet} sheet The sheet to write to.
+ * @param {number} column The column number.
+ * @param {Array<object>} cells { rowNumber, value } for each cell to write.
+ */
+function writeColumnCells(sheet, column, cells) {
+  writeRowRuns(sheet, column, cells.map(cell => ({ rowNumber: cell.rowNumber, values: [cell.value] })));
+}
+
+/**
+ * Writes the same columns of scattered rows, one range write per run of adjacent rows.
+ * A row listed twice gets the values listed last.
+ * @param {Sheet} sheet The sheet to write to.
+ * @param {number} column The first column written.
+ * @param {Array<object>} rows { rowNumber, values } for each row, values being as wide for every row.
+ */
+function writeRowRuns(sheet, column, rows) {
+  const sorted = rows.slice().sort((a, b) => a.rowNumber - b.rowNumber);
+  let i = 0;
+  while (i < sorted.length) {
+    let runLength = 1;
+    while (i + runLength < sorted.length && sorted[i + runLength].rowNumber === sorted[i].rowNumber + runLength) {
+      runLength++;
+    }
+    const run = sorted.slice(i, i + runLength);
+    sheet.getRange(run[0].rowNumber, column, runLength, run[0].values.length).setValues(run.map(row => row.values));
+    i += runLength;
+  }
+}
+
+/**
+ * Writes the new scores of one community's Update Activity Level plan, if the community opted in.
+ * @param {object} communityPlan One entry of plan.communities.
+ * @param {string=} auditAction The action recorded in the 'Audit Log'; defaults to 'Update Activity Level'.
+ * @return {number} The number of scores written.
+ */
+function writeBackPlannedScores(communityPlan, auditAction) {
+  if (!communityPlan.writeBackScores) return 0;
+  const changes = communityPlan.entries
+    .filter(entry => entry.statsRowNumber)
+    .map(entry => ({ statsRowNumber: entry.statsRowNumber, personId: entry.personId, after: entry.newK }));
+  return writeActivityScores(communityPlan.statsSheet, communityPlan.statsColumns, changes,
+    communityPlan.batchId, communityPlan.communityId, auditAction || 'Update Activity Level');
+}
+
+/**
+ * Lists the score write-backs of a community that have not been undone, by Batch ID.
+ * @param {string} communityId The community.
+ * @return {object} Map of Batch ID -> { count, personIds }.
+ */
+function collectScoreHistoryBatches(communityId) {
+  const historySheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCORE_HISTORY_SHEET_NAME);
+  const batches = {};
+  if (!historySheet) return batches;
+
+  const historyData = historySheet.getDataRange().getValues();
+  for (let i = 1; i < historyData.length; i++) {
+    const row = historyData[i];
+    if (String(row[SCORE_HISTORY_COL_COMMUNITY_ID - 1]).trim() != String(communityId).trim()) continue;
+    if (String(row[SCORE_HISTORY_COL_RESTORED - 1]).trim() !== '') continue;
+    const batchId = String(row[SCORE_HISTORY_COL_BATCH_ID - 1]).trim();
+    if (!batches[batchId]) batches[batchId] = { count: 0, personIds: {} };
+    batches[batchId].count++;
+    batches[batchId].personIds[String(row[SCORE_HISTORY_COL_PERSON_ID - 1]).trim()] = true;
+  }
+  return batches;
+}
+
+/**
+ * Puts back the scores a batch wrote, writing only those cells. Each score goes back to the row that
+ * now holds its Person ID, as the tab may have been sorted since. A score that was changed
+ * again since, or whose person no longer has exactly one row, is left alone and reported.
+ * @param {string} communityId The community.
+ * @param {string} batchId The batch to undo.
+ * @param {Sheet} statsSheet The community's 'Attendance Stats' tab.
+ * @param {object} statsColumns The 'Attendance Stats' layout from loadSheetLayout.
+ * @return {object} { restored, changedSince: ["<Person ID> (row <n>)"] }
+ */
+function restoreActivityScores(communityId, batchId, statsSheet, statsColumns) {
+  const result = { restored: 0, changedSince: [] };
+  const historySheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCORE_HISTORY_SHEET_NAME);
+  const lastRow = statsSheet.getLastRow();
+  if (!historySheet || lastRow < 2) return result;
+
+  const historyData = historySheet.getDataRange().getValues();
+  const scoreRange = statsSheet.getRange(2, statsColumns.activityScore, lastRow - 1, 1);
+  const values = scoreRange.getValues();
+  const formulas = scoreRange.getFormulas();
+  const block = values.map((row, index) => [formulas[index][0] || row[0]]);
+  const statsPersonIds = statsSheet.getRange(2, statsColumns.personId, lastRow - 1, 1).getValues().map(row => String(row[0]).trim());
+  const restoredOn = Utilities.formatDate(new Date(), SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'M/d/yyyy HH:mm');
+
+  const auditChanges = [];
+  const marks = [];
+  const restoredByIndex = {};
+  // Newest first, so a score written twice in the batch ends up with its oldest value.
+  for (let i = historyData.length - 1; i >= 1; i--) {
+    const row = historyData[i];
+    if (String(row[SCORE_HISTORY_COL_BATCH_ID - 1]).trim() !== batchId) continue;
+    if (String(row[SCORE_HISTORY_COL_COMMUNITY_ID - 1]).trim() != String(communityId).trim()) continue;
+    if (String(row[SCORE_HISTORY_COL_RESTORED - 1]).trim() !== '') continue;
+
+    const statsRowNumber = Number(row[SCORE_HISTORY_COL_STATS_ROW - 1]);
+    const personId = row[SCORE_HISTORY_COL_PERSON_ID - 1];
+    let index = statsRowNumber - 2;
+    if (statsPersonIds[index] !== String(personId).trim()) {
+      const personRows = [];
+      statsPersonIds.forEach((id, j) => { if (id === String(personId).trim()) personRows.push(j); });
+      index = personRows.length === 1 ? personRows[0] : -1;
+    }
+    if (index < 0 || String(block[index][0]) !== String(row[SCORE_HISTORY_COL_AFTER - 1])) {
+      result.changedSince.push(`${personId} (row ${statsRowNumber})`);
+      marks.push({ rowNumber: i + 1, value: `Not restored: changed since (${restoredOn})` });
+      continue;
+    }
+    block[index][0] = row[SCORE_HISTORY_COL_BEFORE - 1];
+    restoredByIndex[index] = block[index][0];
+    result.restored++;
+    marks.push({ rowNumber: i + 1, value: restoredOn });
+    auditChanges.push({
+      spreadsheet: statsSheet.getParent().getName(),
+      tab: ATTENDANCE_STATS_TAB_NAME,
+      range: describeRangeA1(index + 2, statsColumns.activityScore, 1, 1),
+      personId: personId,
+      field: 'Activity Score',
+      before: row[SCORE_HISTORY_COL_AFTER - 1],
+      after: row[SCORE_HISTORY_COL_BEFORE - 1],
+      details: `Batch ${batchId} undone`
+    });
+  }
+
+  writeColumnCells(statsSheet, statsColumns.activityScore,
+    Object.keys(restoredByIndex).map(index => ({ rowNumber: Number(index) + 2, value: restoredByIndex[index] })));
+  writeColumnCells(historySheet, SCORE_HISTORY_COL_RESTORED, marks);
+  recordAuditEntries('Undo Last Update', communityId, auditChanges);
+  return result;
+}
@@ -0,0 +1,200 @@
+// --- Configurable Activity-Level Scoring Rules ---
+
+// Optional tab in this (Tools) spreadsheet, header in row 1:
+// | Community ID | Level | Formula | Value | Min Sum | Max Sum |
+// Rows with a blank Community ID are the defaults; if a community has rows of its own,
+// they replace the defaults for that community.
+const SCORING_RULES_SHEET_NAME = 'Scoring Rules';
+const RULES_COL_COMMUNITY_ID = 1; // Column A
+const RULES_COL_LEVEL = 2; // Column B
+const RULES_COL_FORMULA = 3; // Column C
+const RULES_COL_VALUE = 4; // Column D
+const RULES_COL_MIN_SUM = 5; // Column E
+const RULES_COL_MAX_SUM = 6; // Column F
+
+// 'fixed': the new score is Value.
+// 'additive-with-clamp': Value points are added to the current score, then the score is
+// moved so that "Events This Quarter" + score stays between Min Sum and Max Sum (blank = no bound).
+const SCORING_FORMULAS = ['fixed', 'additive-with-clamp'];
+
+// Used when the 'Scoring Rules' tab is missing or has no rows that apply.
+const DEFAULT_SCORING_RULES = [
+  { level: 'inactive', formula: 'fixed', value: 1, minSum: null, maxSum: null },
+  { level: 'active', formula: 'additive-with-clamp', value: 3, minSum: 3, maxSum: 11 },
+  { level: 'core', formula: 'fixed', value: 12, minSum: null, maxSum: null }
+];
+
+/**
+ * Reads and validates the scoring rules that apply to a community.
+ * @param {string} communityId The community the rules are for.
+ * @return {object} { rules: Array<object>, errors: Array<string>, source: string }
+ */
+function loadScoringRules(communityId) {
+  const rulesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCORING_RULES_SHEET_NAME);
+  if (!rulesSheet) {
+    return { rules: DEFAULT_SCORING_RULES, errors: [], source: 'built-in defaults' };
+  }
+
+  const rulesData = rulesSheet.getDataRange().getValues();
+  const defaultRows = [];
+  const communityRows = [];
+  for (let i = 1; i < rulesData.length; i++) {
+    const row = rulesData[i];
+    if (String(row[RULES_COL_LEVEL - 1]).trim() === '') continue;
+    const rowCommunityId = String(row[RULES_COL_COMMUNITY_ID - 1]).trim();
+    if (rowCommunityId === '') {
+      defaultRows.push({ rowNumber: i + 1, values: row });
+    } else if (rowCommunityId == String(communityId).trim()) {
+      communityRows.push({ rowNumber: i + 1, values: row });
+    }
+  }
+
+  const rowsToUse = communityRows.length > 0 ? communityRows : defaultRows;
+  if (rowsToUse.length === 0) {
+    return { rules: DEFAULT_SCORING_RULES, errors: [], source: 'built-in defaults' };
+  }
+
+  const rules = [];
+  const errors = [];
+  const seenLevels = {};
+  for (const row of rowsToUse) {
+    const rule = parseScoringRuleRow(row.values);
+    const rowErrors = validateScoringRule(rule);
+    if (seenLevels[rule.level.toLowerCase()]) {
+      rowErrors.push(`level "${rule.level}" is defined more than once`);
+    }
+    seenLevels[rule.level.toLowerCase()] = true;
+
+    if (rowErrors.length > 0) {
+      errors.push(`'${SCORING_RULES_SHEET_NAME}' row ${row.rowNumber}: ${rowErrors.join(', ')}.`);
+    } else {
+      rules.push(rule);
+    }
+  }
+
+  const source = communityRows.length > 0 ? `'${SCORING_RULES_SHEET_NAME}' rows for ${communityId}` : `default rows of '${SCORING_RULES_SHEET_NAME}'`;
+  return { rules: rules, errors: errors, source: source };
+}
+
+/**
+ * @param {Array<*>} row A 'Scoring Rules' data row.
+ * @return {object} The rule as { level, formula, value, minSum, maxSum }.
+ */
+function parseScoringRuleRow(row) {
+  const toNumberOrNull = value => (value === '' || value === null ? null : Number(value));
+  let formula = String(row[RULES_COL_FORMULA - 1]).trim().toLowerCase().replace(/\s+/g, '-');
+  if (formula === 'additive-clamp' || formula === 'additive') {
+    formula = 'additive-with-clamp';
+  }
+  return {
+    level: String(row[RULES_COL_LEVEL - 1]).trim(),
+    formula: formula,
+    value: toNumberOrNull(row[RULES_COL_VALUE - 1]),
+    minSum: toNumberOrNull(row[RULES_COL_MIN_SUM - 1]),
+    maxSum: toNumberOrNull(row[RULES_COL_MAX_SUM - 1])
+  };
+}
+
+/**
+ * @param {object} rule A rule from parseScoringRuleRow.
+ * @return {Array<string>} Problems with the rule; empty if it is valid.
+ */
+function validateScoringRule(rule) {
+  const errors = [];
+  if (SCORING_FORMULAS.indexOf(rule.formula) === -1) {
+    errors.push(`formula "${rule.formula}" is not one of ${SCORING_FORMULAS.join(', ')}`);
+  }
+  if (rule.value === null || isNaN(rule.value)) {
+    errors.push('Value must be a number');
+  } else if (rule.formula === 'fixed' && rule.value < 0) {
+    errors.push('Value of a fixed rule cannot be negative');
+  }
+  if (rule.minSum !== null && isNaN(rule.minSum)) errors.push('Min Sum must be a number or blank');
+  if (rule.maxSum !== null && isNaN(rule.maxSum)) errors.push('Max Sum must be a number or blank');
+  if (rule.minSum !== null && rule.maxSum !== null && rule.minSum > rule.maxSum) {
+    errors.push('Min Sum is greater than Max Sum');
+  }
+  return errors;
+}
+
+/**
+ * Computes the new activity score (K) for an activity level.
+ * @param {string} activityLevel The level chosen in the tracker.
+ * @param {number} currentE The person's "Events This Quarter" value from 'Attendance Stats'.
+ * @param {number} currentK The person's current activity score from 'Attendance Stats'.
+ * @param {Array<object>} rules The rules from loadScoringRules.
+ * @return {number|null} The new score, or null if no rule defines the level.
+ */
+function calculateActivityScore(activityLevel, currentE, currentK, rules) {
+  const levelKey = String(activityLevel).trim().toLowerCase();
+  const rule = rules.filter(r => r.level.toLowerCase() === levelKey)[0];
+  if (!rule) return null;
+
+  if (rule.formula === 'fixed') {
+    return rule.value;
+  }
+
+  let targetSum = currentE + currentK + rule.value;
+  if (rule.minSum !== null) targetSum = Math.max(rule.minSum, targetSum);
+  if (rule.maxSum !== null) targetSum = Math.min(rule.maxSum, targetSum);
+  return Math.max(0, targetSum - currentE);
+}
+
+/**
+ * Restricts the "Activity Level" column of the tracker to the level names in the rules. A row
+ * with its own "Community ID" gets the levels of that community; a community whose rules have
+ * errors gets no dropdown, as Update Activity Level reports them.
+ * @param {Sheet} uatSheet The 'Update Attendance Tracker' sheet.
+ * @param {Array<object>} rules The rules from loadScoringRules for the community in UAT_CELL_COMMUNITY_ID.
+ */
+function applyActivityLevelDropdown(uatSheet, rules) {
+  const rowCount = uatSheet.getMaxRows() - UAT_START_DATA_ROW + 1;
+  const lastRow = uatSheet.getLastRow();
+  const rowCommunityIds = lastRow >= UAT_START_DATA_ROW ?
+    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_COMMUNITY_ID, lastRow - UAT_START_DATA_ROW + 1, 1).getValues() : [];
+  const buildValidation = levelRules => (levelRules.length === 0 ? null : SpreadsheetApp.newDataValidation()
+    .requireValueInList(levelRules.map(r => r.level), true)
+    .setAllowInvalid(false)
+    .build());
+
+  const validationsByCommunity = { '': buildValidation(rules) };
+  const validations = [];
+  for (let i = 0; i < rowCount; i++) {
+    const rowCommunityId = i < rowCommunityIds.length ? String(rowCommunityIds[i][0]).trim() : '';
+    if (!(rowCommunityId in validationsByCommunity)) {
+      const scoring = loadScoringRules(rowCommunityId);
+      validationsByCommunity[rowCommunityId] = scoring.errors.length > 0 ? null : buildValidation(scoring.rules);
+    }
+    validations.push([validationsByCommunity[rowCommunityId]]);
+  }
+  uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ACTIVITY_LEVEL, rowCount, 1).setDataValidations(validations);
+}
+
+/**
+ * Menu item: checks the 'Scoring Rules' for the selected community and refreshes the
+ * "Activity Level" dropdown from them.
+ */
+function refreshActivityLevelChoices() {
+  const ui = SpreadsheetApp.getUi();
+  const uatSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  const scoring = loadScoringRules(selectedCommunityId);
+  if (scoring.errors.length > 0) {
+    ui.alert('Scoring Rules Errors', `Please fix the following in the '${SCORING_RULES_SHEET_NAME}' tab:\n\n${scoring.errors.join('\n')}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  applyActivityLevelDropdown(uatSheet, scoring.rules);
+  const ruleLines = scoring.rules.map(r => r.formula === 'fixed' ?
+    `- ${r.level}: score set to ${r.value}` :
+    `- ${r.level}: add ${r.value} points, Events + score kept between ${r.minSum === null ? '-' : r.minSum} and ${r.maxSum === null ? '-' : r.maxSum}`);
+  ui.alert('Activity Levels Updated',
+    `Using ${scoring.source}:\n\n${ruleLines.join('\n')}`,
+    ui.ButtonSet.OK);
+}
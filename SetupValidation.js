@@ -0,0 +1,188 @@
+// --- Validate Setup ---
+
+// "Validate Setup" checks every community in 'Settings' before a run and writes one row per
+// check to the SETUP_STATUS_SHEET_NAME tab, so all problems can be fixed in one go instead
+// of surfacing one alert at a time in the middle of an update.
+const SETUP_STATUS_SHEET_NAME = 'Setup Status';
+const SETUP_STATUS_HEADER_ROW = 3;
+const SETUP_STATUS_HEADERS = ['Community ID', 'Spreadsheet', 'Check', 'Status', 'Details'];
+const SETUP_STATUS_COL_STATUS = 4; // Column D
+const SETUP_STATUS = { OK: 'OK', WARNING: 'WARNING', ERROR: 'ERROR' };
+const SETUP_STATUS_BACKGROUNDS = { OK: '#d9ead3', WARNING: '#fce8b2', ERROR: '#f4c7c3' };
+
+/**
+ * Checks that the current user can edit a spreadsheet. Owners and editors are listed by
+ * getEditors; viewers cannot call it at all.
+ * @param {Spreadsheet} spreadsheet An opened community spreadsheet.
+ * @param {string} userEmail The current user.
+ * @return {object} { status, details }
+ */
+function checkEditAccess(spreadsheet, userEmail) {
+  let editors;
+  try {
+    editors = spreadsheet.getEditors().map(user => String(user.getEmail()).toLowerCase());
+  } catch (e) {
+    return { status: SETUP_STATUS.ERROR, details: `${userEmail} cannot edit this spreadsheet (${e.message}).` };
+  }
+  if (editors.indexOf(String(userEmail).toLowerCase()) !== -1) {
+    return { status: SETUP_STATUS.OK, details: `${userEmail} is an editor.` };
+  }
+  return { status: SETUP_STATUS.WARNING, details: `${userEmail} is not listed as an editor; edit access may come from link or domain sharing.` };
+}
+
+/**
+ * Runs every check for one community.
+ * @param {string} communityId A Community ID from 'Settings'.
+ * @param {string} userEmail The current user, for the edit access check.
+ * @return {Array<object>} { communityId, spreadsheet, check, status, details } for each check.
+ */
+function validateCommunitySetup(communityId, userEmail) {
+  const results = [];
+  const add = (spreadsheet, check, status, details) =>
+    results.push({ communityId: communityId, spreadsheet: spreadsheet, check: check, status: status, details: details });
+
+  let config;
+  try {
+    config = loadCommunityConfig(communityId);
+  } catch (e) {
+    add('Settings', 'Community row', SETUP_STATUS.ERROR, describeToolsError(e));
+    return results;
+  }
+  config.overrideErrors.forEach(error => add('Settings', SETTINGS_HEADER_COLUMN_OVERRIDES, SETUP_STATUS.ERROR, error));
+  try {
+    getCommunityDateStrategy(config);
+  } catch (e) {
+    add('Settings', SETTINGS_HEADER_DATE_STRATEGY, SETUP_STATUS.ERROR, e.message);
+  }
+  try {
+    getCommunityBaselinePolicy(config);
+  } catch (e) {
+    add('Settings', SETTINGS_HEADER_BASELINE_POLICY, SETUP_STATUS.ERROR, e.message);
+  }
+  try {
+    isScoreWriteBackEnabled(config);
+  } catch (e) {
+    add('Settings', SETTINGS_HEADER_WRITE_BACK_SCORES, SETUP_STATUS.ERROR, e.message);
+  }
+
+  const spreadsheets = [
+    { name: 'Directory', openAs: DIRECTORY_TAB_NAME, tabs: [DIRECTORY_TAB_NAME] },
+    { name: 'Attendance Stats', openAs: ATTENDANCE_STATS_TAB_NAME, tabs: [ATTENDANCE_STATS_TAB_NAME, EVENT_ATTENDANCE_TAB_NAME] }
+  ];
+  for (const target of spreadsheets) {
+    let spreadsheet;
+    try {
+      spreadsheet = openCommunitySpreadsheet(config, target.openAs);
+    } catch (e) {
+      add(target.name, 'URL opens', SETUP_STATUS.ERROR, e.message);
+      continue;
+    }
+    add(target.name, 'URL opens', SETUP_STATUS.OK, spreadsheet.getName());
+
+    const access = checkEditAccess(spreadsheet, userEmail);
+    add(target.name, 'Edit access', access.status, access.details);
+
+    for (const tabName of target.tabs) {
+      const sheet = spreadsheet.getSheetByName(tabName);
+      if (!sheet) {
+        if (tabName === EVENT_ATTENDANCE_TAB_NAME) {
+          add(target.name, `Tab "${tabName}"`, SETUP_STATUS.WARNING, 'Not found; it will be created by the first Update Activity Level.');
+        } else {
+          add(target.name, `Tab "${tabName}"`, SETUP_STATUS.ERROR, 'Not found.');
+        }
+        continue;
+      }
+      add(target.name, `Tab "${tabName}"`, SETUP_STATUS.OK, `${Math.max(sheet.getLastRow() - 1, 0)} data rows.`);
+
+      const headerRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+      if (tabName === EVENT_ATTENDANCE_TAB_NAME) {
+        const schemaProblems = findEventAttendanceSchemaProblems(sheet.getDataRange().getValues());
+        const problems = schemaProblems.headerProblems.map(problem => problem.expected === '' ?
+          `Column ${columnNumberToLetter(problem.column)} should not be "${problem.actual}".` :
+          `Column ${columnNumberToLetter(problem.column)} should be "${problem.expected}" but is "${problem.actual}".`);
+        add(target.name, `Headers of "${tabName}"`, problems.length > 0 ? SETUP_STATUS.ERROR : SETUP_STATUS.OK,
+          problems.length > 0 ? `${problems.join('\n')}\nRun "Migrate Event Attendance" to fix.` : 'All expected headers found.');
+        if (schemaProblems.misalignedRowNumbers.length > 0) {
+          add(target.name, `Rows of "${tabName}"`, SETUP_STATUS.ERROR,
+            `Rows ${describeRowNumbers(schemaProblems.misalignedRowNumbers)} have the names in columns D:E instead of E:F. Run "Migrate Event Attendance" to fix.`);
+        }
+        continue;
+      }
+
+      const layout = resolveSheetLayout(headerRow, tabName, config);
+      if (layout.errors.length > 0) {
+        add(target.name, `Headers of "${tabName}"`, SETUP_STATUS.ERROR, layout.errors.join('\n'));
+      } else if (layout.warnings.length > 0) {
+        add(target.name, `Headers of "${tabName}"`, SETUP_STATUS.WARNING, layout.warnings.join('\n'));
+      } else {
+        add(target.name, `Headers of "${tabName}"`, SETUP_STATUS.OK, 'All expected headers found in the expected columns.');
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Menu item: validates every community in 'Settings' and writes the results to the
+ * SETUP_STATUS_SHEET_NAME tab.
+ */
+function validateSetup() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  let communityIds;
+  try {
+    communityIds = listCommunityIds();
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  if (communityIds.length === 0) {
+    ui.alert('Error', 'No Community IDs were found in the "Settings" tab.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const userEmail = getCurrentUserEmail();
+  let results = [];
+  for (const communityId of communityIds) {
+    results = results.concat(validateCommunitySetup(communityId, userEmail));
+  }
+  // The permissions table (see Permissions.js) is shared by all communities, so it gets one row.
+  const permissionsCheck = { communityId: '', spreadsheet: 'Settings', check: 'Permissions table' };
+  try {
+    const grants = loadPermissionGrants();
+    permissionsCheck.status = SETUP_STATUS.OK;
+    permissionsCheck.details = grants ?
+      `${grants.length} grants. ${userEmail} may run: ${Object.keys(PERMISSION_ACTION_COMMANDS).filter(action => isActionAllowed(grants, userEmail, action, null))
+        .map(action => PERMISSION_ACTION_COMMANDS[action]).join(', ') || 'none of the restricted commands'}.` :
+      `No "${PERMISSIONS_HEADER_USER_EMAIL}" table: everyone may run every command.`;
+  } catch (e) {
+    permissionsCheck.status = SETUP_STATUS.ERROR;
+    permissionsCheck.details = describeToolsError(e);
+  }
+  results.unshift(permissionsCheck);
+
+  let statusSheet = ss.getSheetByName(SETUP_STATUS_SHEET_NAME);
+  if (statusSheet) {
+    statusSheet.clear();
+  } else {
+    statusSheet = ss.insertSheet(SETUP_STATUS_SHEET_NAME);
+  }
+  statusSheet.getRange(1, 1, 1, 4).setValues([['Validated', Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'M/d/yyyy HH:mm'), 'By', userEmail]]);
+  statusSheet.getRange(SETUP_STATUS_HEADER_ROW, 1, 1, SETUP_STATUS_HEADERS.length).setValues([SETUP_STATUS_HEADERS]).setFontWeight('bold');
+  statusSheet.setFrozenRows(SETUP_STATUS_HEADER_ROW);
+  statusSheet.getRange(SETUP_STATUS_HEADER_ROW + 1, 1, results.length, SETUP_STATUS_HEADERS.length)
+    .setValues(results.map(r => [r.communityId, r.spreadsheet, r.check, r.status, r.details]));
+  statusSheet.getRange(SETUP_STATUS_HEADER_ROW + 1, SETUP_STATUS_COL_STATUS, results.length, 1)
+    .setBackgrounds(results.map(r => [SETUP_STATUS_BACKGROUNDS[r.status]]));
+  ss.setActiveSheet(statusSheet);
+
+  const countStatus = status => results.filter(r => r.status === status).length;
+  const failedCommunities = communityIds.filter(id => results.some(r => r.communityId === id && r.status === SETUP_STATUS.ERROR));
+  ui.alert('Validate Setup',
+    `Checked ${communityIds.length} communities: ${countStatus(SETUP_STATUS.ERROR)} errors, ${countStatus(SETUP_STATUS.WARNING)} warnings. ` +
+    `The results are in the "${SETUP_STATUS_SHEET_NAME}" tab.` +
+    (failedCommunities.length > 0 ? `\n\nPlease fix before the next run: ${failedCommunities.join(', ')}` : '\n\nEverything needed for a run is in place.') +
+    (permissionsCheck.status === SETUP_STATUS.ERROR ? '\n\nThe permissions table in Settings has errors, so restricted commands are blocked.' : ''),
+    ui.ButtonSet.OK);
+}
@@ -0,0 +1,206 @@
+// --- Tracker Row Status Column ---
+
+// Load Data, Update Activity Level and Reset Activity Level write the outcome of each tracker
+// row to its "Status" cell (UAT_COL_STATUS), e.g. "Not found: ..." or "Logged: 12 events ...",
+// so the rows needing attention can be found without reading the results message. Outcomes
+// starting with one of TRACKER_PROBLEM_STATUSES highlight the whole row; "Show Only Problems"
+// sets the tracker's filter to those rows (a filter view would need the advanced Sheets service).
+const TRACKER_STATUS_HEADER = 'Status';
+const TRACKER_STATUS = {
+  MATCHED: 'Matched',
+  LOGGED: 'Logged',
+  SCORE_RESET: 'Score reset',
+  LEVEL_CLEARED: 'Level cleared',
+  UNCHANGED: 'Unchanged',
+  CLOSE_MATCH: 'Close match',
+  AMBIGUOUS: 'Ambiguous',
+  NOT_FOUND: 'Not found',
+  SKIPPED: 'Skipped',
+  STOPPED: 'Stopped',
+  FAILED: 'Failed'
+};
+const TRACKER_OK_STATUSES = ['Matched', 'Logged', 'Score reset', 'Level cleared', 'Unchanged'];
+const TRACKER_PROBLEM_STATUSES = ['Close match', 'Ambiguous', 'Not found', 'Skipped', 'Stopped', 'Failed'];
+const TRACKER_OK_BACKGROUND = '#d9ead3';
+const TRACKER_PROBLEM_BACKGROUND = '#f4cccc';
+
+/**
+ * @param {string} status One of TRACKER_STATUS.
+ * @param {string=} detail What happened, e.g. "12 events (score 4 -> 12)".
+ * @return {string} The text of a Status cell.
+ */
+function formatTrackerStatus(status, detail) {
+  return detail ? `${status}: ${detail}` : status;
+}
+
+/**
+ * @param {Array<string>} statuses TRACKER_OK_STATUSES or TRACKER_PROBLEM_STATUSES.
+ * @return {string} A formula, relative to the first data row, telling whether the row's status is one of them.
+ */
+function buildTrackerStatusFormula(statuses) {
+  return `=REGEXMATCH($${columnNumberToLetter(UAT_COL_STATUS)}${UAT_START_DATA_ROW}, "^(${statuses.join('|')})")`;
+}
+
+/**
+ * Adds the "Status" header and the highlighting rules to the tracker, unless they are already there.
+ * @param {Sheet} uatSheet The 'Update Attendance Tracker' tab.
+ */
+function prepareTrackerStatusColumn(uatSheet) {
+  const headerCell = uatSheet.getRange(UAT_HEADER_ROW, UAT_COL_STATUS);
+  if (String(headerCell.getValue()).trim() === '') {
+    headerCell.setValue(TRACKER_STATUS_HEADER);
+  }
+
+  const problemFormula = buildTrackerStatusFormula(TRACKER_PROBLEM_STATUSES);
+  const rules = uatSheet.getConditionalFormatRules();
+  const hasRules = rules.some(rule => {
+    const condition = rule.getBooleanCondition();
+    return condition !== null && String(condition.getCriteriaValues()[0]) === problemFormula;
+  });
+  if (hasRules) return;
+
+  const rowCount = uatSheet.getMaxRows() - UAT_START_DATA_ROW + 1;
+  rules.push(
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(problemFormula)
+      .setBackground(TRACKER_PROBLEM_BACKGROUND)
+      .setRanges([uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_ID, rowCount, UAT_COL_STATUS)])
+      .build(),
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(buildTrackerStatusFormula(TRACKER_OK_STATUSES))
+      .setBackground(TRACKER_OK_BACKGROUND)
+      .setRanges([uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_STATUS, rowCount, 1)])
+      .build());
+  uatSheet.setConditionalFormatRules(rules);
+}
+
+/**
+ * Writes the outcome of each tracker row in one call.
+ * @param {Sheet} uatSheet The 'Update Attendance Tracker' tab.
+ * @param {Array<string|null|undefined>} statuses One per tracker row from UAT_START_DATA_ROW on;
+ *     null or undefined keeps the row's current status.
+ */
+function writeTrackerStatuses(uatSheet, statuses) {
+  if (statuses.length === 0) return;
+  prepareTrackerStatusColumn(uatSheet);
+  const statusRange = uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_STATUS, statuses.length, 1);
+  const current = statusRange.getValues();
+  statusRange.setValues(statuses.map((status, index) => [status === null || status === undefined ? current[index][0] : status]));
+}
+
+/**
+ * Clears the Status column, for commands that replace the tracker rows.
+ * @param {Sheet} uatSheet The 'Update Attendance Tracker' tab.
+ */
+function clearTrackerStatuses(uatSheet) {
+  const lastRow = uatSheet.getLastRow();
+  if (lastRow >= UAT_START_DATA_ROW) {
+    uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_STATUS, lastRow - UAT_START_DATA_ROW + 1, 1).clearContent();
+  }
+}
+
+/**
+ * The Status of a tracker row that Update Activity Level planned for a person.
+ * @param {object} entry One of communityPlan.entries, baselineSkipped or baselineFailed.
+ * @return {string} The status.
+ */
+function describeTrackerEntryOutcome(entry) {
+  if (entry.baselineFailure) {
+    return formatTrackerStatus(TRACKER_STATUS.FAILED, entry.baselineFailure);
+  }
+  if (entry.baselineAction === 'skip') {
+    return formatTrackerStatus(TRACKER_STATUS.SKIPPED, `${entry.existingBaselineRows.length} baseline rows already logged this quarter`);
+  }
+  let detail = `${entry.eventDates.length} events (score ${entry.currentK} -> ${entry.newK})`;
+  if (entry.baselineAction === 'top-up') detail += `, ${entry.keptBaselineCount} kept from earlier this quarter`;
+  if (entry.baselineAction === 'replace') detail += `, replacing ${entry.existingBaselineRows.length}`;
+  if (entry.shortfall > 0) detail += `, ${entry.shortfall} could not be dated`;
+  return formatTrackerStatus(TRACKER_STATUS.LOGGED, detail);
+}
+
+/**
+ * Works out the Status of every tracker row of an Update Activity Level run.
+ * @param {object} plan The plan from buildActivityLevelUpdatePlan, after the run (or when it had nothing to write).
+ * @return {Array<string|null>} One per tracker row, as for writeTrackerStatuses.
+ */
+function buildUpdateTrackerStatuses(plan) {
+  const statuses = new Array(plan.trackerRowCount).fill(null);
+  const setAll = (communityId, status) => (plan.trackerRowIndexes[communityId] || []).forEach(index => { statuses[index] = status; });
+
+  plan.trackerRowIndexesWithoutCommunity.forEach(index => {
+    statuses[index] = formatTrackerStatus(TRACKER_STATUS.SKIPPED, `no Community ID (cell ${UAT_CELL_COMMUNITY_ID} or the "Community ID" column)`);
+  });
+  plan.failedCommunities.forEach(communityId =>
+    setAll(communityId, formatTrackerStatus(TRACKER_STATUS.FAILED, `community "${communityId}" could not be processed; see the errors reported`)));
+  plan.resumedCommunities.forEach(c =>
+    setAll(c.communityId, `${TRACKER_STATUS.UNCHANGED} (already written by an earlier run, batch ${c.batchId})`));
+  plan.stoppedCommunities.forEach(communityId =>
+    setAll(communityId, formatTrackerStatus(TRACKER_STATUS.STOPPED, 'not written before the time limit; run "Update Activity Level" again')));
+  plan.partlyWrittenCommunities.forEach(c =>
+    setAll(c.communityId, formatTrackerStatus(TRACKER_STATUS.FAILED, `an earlier run stopped while writing batch ${c.batchId}; undo it and run again`)));
+
+  for (const communityPlan of plan.communities) {
+    const communityId = communityPlan.communityId;
+    if (plan.partlyWrittenCommunities.some(c => c.communityId === communityId)) continue;
+    const rowIndexes = plan.trackerRowIndexes[communityId];
+    if (plan.stoppedCommunities.indexOf(communityId) !== -1) {
+      // The people written before the run stopped get their outcome; the others stay "Stopped".
+      communityPlan.entries.filter(entry => entry.written).forEach(entry => {
+        statuses[rowIndexes[entry.rowIndex]] = describeTrackerEntryOutcome(entry);
+      });
+    } else {
+      communityPlan.rowStatuses.forEach((status, i) => { statuses[rowIndexes[i]] = status; });
+      communityPlan.entries.concat(communityPlan.baselineSkipped || [], communityPlan.baselineFailed || []).forEach(entry => {
+        statuses[rowIndexes[entry.rowIndex]] = describeTrackerEntryOutcome(entry);
+      });
+    }
+    (communityPlan.resumedEntries || []).forEach(entry => {
+      statuses[rowIndexes[entry.rowIndex]] = `${TRACKER_STATUS.UNCHANGED} (already written by an earlier run, batch ${communityPlan.batchId})`;
+    });
+  }
+  return statuses;
+}
+
+/**
+ * Menu item: filters the tracker down to the rows whose Status is a problem.
+ */
+function showOnlyTrackerProblems() {
+  const ui = SpreadsheetApp.getUi();
+  const uatSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const lastRow = uatSheet.getLastRow();
+  const statuses = lastRow >= UAT_START_DATA_ROW ? uatSheet.getRange(UAT_START_DATA_ROW, UAT_COL_STATUS, lastRow - UAT_START_DATA_ROW + 1, 1).getValues() : [];
+  const problemCount = statuses.filter(row => TRACKER_PROBLEM_STATUSES.some(status => String(row[0]).indexOf(status) === 0)).length;
+  if (problemCount === 0) {
+    ui.alert('Info', `No tracker rows have a problem in the "${TRACKER_STATUS_HEADER}" column. Run "Load Data" or "Update Activity Level" first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  prepareTrackerStatusColumn(uatSheet);
+  let filter = uatSheet.getFilter();
+  if (filter && filter.getRange().getLastColumn() < UAT_COL_STATUS) {
+    filter.remove();
+    filter = null;
+  }
+  if (!filter) {
+    filter = uatSheet.getRange(UAT_HEADER_ROW, UAT_COL_ID, uatSheet.getMaxRows() - UAT_HEADER_ROW + 1, UAT_COL_STATUS).createFilter();
+  }
+  filter.setColumnFilterCriteria(UAT_COL_STATUS,
+    SpreadsheetApp.newFilterCriteria().whenFormulaSatisfied(buildTrackerStatusFormula(TRACKER_PROBLEM_STATUSES)).build());
+  SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(uatSheet);
+}
+
+/**
+ * Menu item: removes the "Show Only Problems" filter.
+ */
+function showAllTrackerRows() {
+  const uatSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+  const filter = uatSheet ? uatSheet.getFilter() : null;
+  if (filter && filter.getRange().getLastColumn() >= UAT_COL_STATUS) {
+    filter.removeColumnFilterCriteria(UAT_COL_STATUS);
+  }
+}
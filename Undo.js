@@ -0,0 +1,212 @@
+// --- Batch Tagging and Undo for Update Activity Level ---
+
+const BATCH_ID_PREFIX = 'BA-';
+const UNDO_MAX_BATCHES_LISTED = 5;
+
+/**
+ * Builds the Batch ID written to column M of every row logged by one
+ * Update Activity Level run, e.g. "BA-C01-20261019-143005".
+ * @param {string} communityId The Community ID the run was made for.
+ * @param {Date} runDate The time of the run.
+ * @param {string} timeZone The spreadsheet time zone.
+ * @param {string=} prefix Defaults to BATCH_ID_PREFIX; Reset Activity Level uses RESET_BATCH_ID_PREFIX.
+ * @return {string} The Batch ID.
+ */
+function generateBatchId(communityId, runDate, timeZone, prefix) {
+  return (prefix || BATCH_ID_PREFIX) + String(communityId).trim() + '-' + Utilities.formatDate(runDate, timeZone, 'yyyyMMdd-HHmmss');
+}
+
+/**
+ * Groups the tagged rows of an 'Event Attendance' sheet by Batch ID: Update Activity Level
+ * batches and Import Attendance batches (IMPORT_BATCH_ID_PREFIX).
+ * @param {Array<Array<*>>} eventData The values of the 'Event Attendance' data range.
+ * @return {Array<object>} Batches as { batchId, rowNumbers, personIds, loggedOn }, most recent first.
+ */
+function collectEventAttendanceBatches(eventData) {
+  const batchesById = {};
+  for (let i = 1; i < eventData.length; i++) {
+    const batchId = String(eventData[i][EVENT_COL_BATCH_ID - 1]).trim();
+    if (batchId.indexOf(BATCH_ID_PREFIX) !== 0 && batchId.indexOf(IMPORT_BATCH_ID_PREFIX) !== 0) continue;
+
+    if (!batchesById[batchId]) {
+      batchesById[batchId] = { batchId: batchId, rowNumbers: [], personIds: {}, loggedOn: '' };
+    }
+    const batch = batchesById[batchId];
+    batch.rowNumbers.push(i + 1);
+    batch.personIds[String(eventData[i][EVENT_COL_PERSON_ID - 1]).trim()] = true;
+    batch.loggedOn = eventData[i][EVENT_COL_UPDATE_TIMESTAMP - 1];
+  }
+
+  return Object.keys(batchesById)
+    .map(id => batchesById[id])
+    .sort((a, b) => b.rowNumbers[b.rowNumbers.length - 1] - a.rowNumbers[a.rowNumbers.length - 1]);
+}
+
+/**
+ * Deletes the given rows from a sheet, bottom-up, one call per contiguous run of rows.
+ * @param {Sheet} sheet The sheet to delete rows from.
+ * @param {Array<number>} rowNumbers 1-based row numbers to delete.
+ */
+function deleteRowNumbers(sheet, rowNumbers) {
+  const sorted = rowNumbers.slice().sort((a, b) => b - a);
+  let i = 0;
+  while (i < sorted.length) {
+    let runStart = sorted[i];
+    let runLength = 1;
+    while (i + runLength < sorted.length && sorted[i + runLength] === runStart - 1) {
+      runStart--;
+      runLength++;
+    }
+    sheet.deleteRows(runStart, runLength);
+    i += runLength;
+  }
+}
+
+/**
+ * Lists the most recent Update Activity Level (and Reset Activity Level or Import Attendance) batches for the
+ * community selected in UAT_CELL_COMMUNITY_ID. For the one the user picks, removes its
+ * 'Event Attendance' rows, puts back any rows it replaced and any 'Attendance Stats' scores it wrote.
+ */
+function undoLastActivityUpdate() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const uatSheet = ss.getSheetByName(UPDATE_TRACKER_SHEET_NAME);
+
+  if (!uatSheet) {
+    ui.alert('Error', `Sheet "${UPDATE_TRACKER_SHEET_NAME}" not found.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const selectedCommunityId = uatSheet.getRange(UAT_CELL_COMMUNITY_ID).getValue();
+  if (!selectedCommunityId) {
+    ui.alert('Error', `Please select a Community ID in cell ${UAT_CELL_COMMUNITY_ID}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (!checkPermission(ui, PERMISSION_ACTIONS.UNDO, selectedCommunityId)) return;
+
+  const config = getCommunityConfig(selectedCommunityId);
+  if (!config || !config.statsUrl) {
+    if (config && !config.statsUrl) {
+      ui.alert('Error', `URL for 'Attendance Stats' of community "${selectedCommunityId}" is missing in Settings.`, ui.ButtonSet.OK);
+    }
+    return;
+  }
+
+  let statsSpreadsheets;
+  try {
+    statsSpreadsheets = SpreadsheetApp.openByUrl(config.statsUrl);
+  } catch (e) {
+    ui.alert('Error', `Could not open the Attendance Stats spreadsheet for "${selectedCommunityId}". Error: ${e.message}`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const eventAttendanceSheet = statsSpreadsheets.getSheetByName(EVENT_ATTENDANCE_TAB_NAME);
+  const batches = eventAttendanceSheet ? collectEventAttendanceBatches(eventAttendanceSheet.getDataRange().getValues()) : [];
+  // Scores written back to 'Attendance Stats' (see ScoreWriteBack.js) are undone with their batch;
+  // a Reset Activity Level batch has scores only.
+  const scoreBatches = collectScoreHistoryBatches(selectedCommunityId);
+  batches.forEach(batch => { batch.scoreCount = scoreBatches[batch.batchId] ? scoreBatches[batch.batchId].count : 0; });
+  Object.keys(scoreBatches)
+    .filter(batchId => !batches.some(batch => batch.batchId === batchId))
+    .forEach(batchId => batches.push({ batchId: batchId, rowNumbers: [], personIds: scoreBatches[batchId].personIds, loggedOn: '', scoreCount: scoreBatches[batchId].count }));
+  // Rows deleted under the 'replace' baseline policy (see BaselinePolicies.js) are put back too.
+  const replacedBatches = collectReplacedBaselineBatches(selectedCommunityId);
+  batches.forEach(batch => { batch.replacedCount = replacedBatches[batch.batchId] ? replacedBatches[batch.batchId].count : 0; });
+  Object.keys(replacedBatches)
+    .filter(batchId => !batches.some(batch => batch.batchId === batchId))
+    .forEach(batchId => batches.push({ batchId: batchId, rowNumbers: [], personIds: replacedBatches[batchId].personIds, loggedOn: '', scoreCount: 0, replacedCount: replacedBatches[batchId].count }));
+  // Batch IDs end in their run time (yyyyMMdd-HHmmss), so they sort by time.
+  batches.sort((a, b) => b.batchId.slice(-15).localeCompare(a.batchId.slice(-15)));
+  if (batches.length === 0) {
+    ui.alert('Info', `No tagged Update Activity Level, Reset Activity Level or Import Attendance batches were found for ${selectedCommunityId}. There is nothing to undo.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const listedBatches = batches.slice(0, UNDO_MAX_BATCHES_LISTED);
+  let promptText = `Recent batches for community "${selectedCommunityId}" (most recent first):\n\n`;
+  listedBatches.forEach((batch, index) => {
+    const parts = [];
+    if (batch.rowNumbers.length > 0) parts.push(`${batch.rowNumbers.length} entries`);
+    if (batch.scoreCount > 0) parts.push(`${batch.scoreCount} scores`);
+    if (batch.replacedCount > 0) parts.push(`${batch.replacedCount} replaced rows`);
+    promptText += `${index + 1}) ${batch.batchId} - ${parts.join(' and ')} for ${Object.keys(batch.personIds).length} people` +
+      (batch.loggedOn ? `, logged ${batch.loggedOn}` : '') + '\n';
+  });
+  promptText += `\nEnter the number of the batch to remove (leave blank for 1):`;
+
+  const response = ui.prompt('Undo Last Update', promptText, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const choiceText = response.getResponseText().trim();
+  const choice = choiceText === "" ? 1 : parseInt(choiceText, 10);
+  if (!(choice >= 1 && choice <= listedBatches.length)) {
+    ui.alert('Error', `"${choiceText}" is not one of the listed batch numbers. Nothing was removed.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const batch = listedBatches[choice - 1];
+  let statsSheet, statsColumns;
+  if (batch.scoreCount > 0) {
+    try {
+      statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+      statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+    } catch (e) {
+      reportToolsError(ui, e);
+      return;
+    }
+  }
+
+  const confirmParts = [];
+  if (batch.rowNumbers.length > 0) confirmParts.push(`remove all ${batch.rowNumbers.length} "${EVENT_ATTENDANCE_TAB_NAME}" entries`);
+  if (batch.scoreCount > 0) confirmParts.push(`put back the old value of ${batch.scoreCount} 'Attendance Stats' scores`);
+  if (batch.replacedCount > 0) confirmParts.push(`put back the ${batch.replacedCount} earlier "${EVENT_ATTENDANCE_TAB_NAME}" rows it replaced`);
+  if (!confirmByTyping(ui, 'Confirm Undo', `For batch ${batch.batchId}: ${confirmParts.join(' and ')}.`, String(selectedCommunityId).trim())) return;
+
+  // Rows may have moved while the confirmation was open, e.g. through another update or an
+  // import, so the batch is read again under the writer lock and only then deleted.
+  let message = '';
+  try {
+    withWriterLock(() => {
+      const currentBatch = eventAttendanceSheet ?
+        collectEventAttendanceBatches(eventAttendanceSheet.getDataRange().getValues()).filter(b => b.batchId === batch.batchId)[0] : null;
+      const rowNumbers = currentBatch ? currentBatch.rowNumbers : [];
+      if (rowNumbers.length > 0) {
+        deleteRowNumbers(eventAttendanceSheet, rowNumbers);
+        recordAuditEntries('Undo Last Update', selectedCommunityId, Object.keys(currentBatch.personIds).map(personId => ({
+          spreadsheet: statsSpreadsheets.getName(),
+          tab: EVENT_ATTENDANCE_TAB_NAME,
+          personId: personId,
+          field: batch.batchId.indexOf(IMPORT_BATCH_ID_PREFIX) === 0 ? 'Imported event rows' : 'BASELINE ADJUSTMENT rows',
+          before: `batch ${batch.batchId}`,
+          after: 'deleted',
+          details: `${rowNumbers.length} rows of the batch removed`
+        })));
+        message += `Removed ${rowNumbers.length} entries of batch ${batch.batchId} from the "${EVENT_ATTENDANCE_TAB_NAME}" tab for ${selectedCommunityId}.`;
+      } else if (batch.rowNumbers.length > 0) {
+        message += `The "${EVENT_ATTENDANCE_TAB_NAME}" entries of batch ${batch.batchId} were already removed.`;
+      }
+      if (batch.replacedCount > 0 && eventAttendanceSheet) {
+        const putBack = restoreReplacedBaselineRows(selectedCommunityId, batch.batchId, eventAttendanceSheet);
+        message += `${message ? '\n\n' : ''}Put back ${putBack} earlier "${EVENT_ATTENDANCE_TAB_NAME}" rows that batch ${batch.batchId} had replaced.`;
+      } else if (batch.replacedCount > 0) {
+        message += `${message ? '\n\n' : ''}The "${EVENT_ATTENDANCE_TAB_NAME}" tab is missing, so the ${batch.replacedCount} rows replaced by batch ` +
+          `${batch.batchId} were not put back; they are kept in the '${REPLACED_BASELINE_SHEET_NAME}' tab.`;
+      }
+      if (batch.scoreCount > 0) {
+        const restore = restoreActivityScores(selectedCommunityId, batch.batchId, statsSheet, statsColumns);
+        message += `${message ? '\n\n' : ''}Put back ${restore.restored} 'Attendance Stats' scores of batch ${batch.batchId}.`;
+        if (restore.changedSince.length > 0) {
+          message += `\nLeft alone because they were changed after the batch: ${restore.changedSince.join(', ')}.`;
+        }
+      }
+    });
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+
+  forgetRunCheckpointBatch(batch.batchId);
+
+  ui.alert('Undo Complete', message, ui.ButtonSet.OK);
+}
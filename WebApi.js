@@ -0,0 +1,416 @@
+// --- Web App JSON API ---
+
+// Lets other tools, such as sign-up forms or a check-in kiosk, run tracker operations once
+// the script is deployed as a web app (Deploy > New deployment > Web app). Every request is a
+// POST whose JSON body carries an API key made with "Create Web API Key"; keys are never read
+// from the URL, which ends up in logs and browser history. A key acts for the user who made it,
+// so the permissions table in Settings applies to it as it does to that user's menu commands,
+// and reads need a grant for the community.
+//   POST { "key": "...", "action": "lookupPerson", "communityId": "C01", "firstName": "Ann", "lastName": "Lee" }
+//   POST { "key": "...", "action": "getStats", "communityId": "C01", "personId": "105" }
+//   POST { "key": "...", "action": "submitAssignments", "communityId": "C01", "dryRun": false,
+//          "assignments": [{ "personId": "105", "activityLevel": "core" }, { "firstName": "Ann", "lastName": "Lee", "activityLevel": "active" }] }
+//   POST { "key": "...", "action": "logAttendance", "communityId": "C01", "defaultDate": "2026-10-19", "defaultEvent": "Sunday Service",
+//          "rows": [{ "name": "Ann Lee" }, { "personId": "101", "date": "2026-10-18", "event": "Picnic" }] }
+// Every response is JSON: { "ok": true, ... } or { "ok": false, "error": { "code", "message", "details" } },
+// code being one of TOOLS_ERROR_CODES or 'internal-error'.
+const WEB_API_KEY_PROPERTY_PREFIX = 'webApi.key.';
+const WEB_API_READ_ACTIONS = ['lookupPerson', 'getStats'];
+const WEB_API_WRITE_ACTIONS = ['submitAssignments', 'logAttendance'];
+
+/**
+ * Web app GET entry point: refuses every request, as the key must not be sent in the URL.
+ * @param {object} e The request event.
+ * @return {TextOutput} The JSON response.
+ */
+function doGet(e) {
+  return handleWebApiRequest(() => {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_REQUEST,
+      'Send every request as a POST with a JSON body holding the "key"; keys in the URL are not accepted.');
+  });
+}
+
+/**
+ * Web app entry point for every action. The request is the JSON object in the body; URL
+ * parameters are ignored.
+ * @param {object} e The request event.
+ * @return {TextOutput} The JSON response.
+ */
+function doPost(e) {
+  return handleWebApiRequest(() => {
+    const contents = e && e.postData ? e.postData.contents : '';
+    let body = {};
+    if (String(contents).trim() !== '') {
+      try {
+        body = JSON.parse(contents);
+      } catch (error) {
+        throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_REQUEST, `The request body is not valid JSON: ${error.message}`);
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_REQUEST, 'The request body must be a JSON object.');
+      }
+    }
+    return body;
+  });
+}
+
+/**
+ * Authenticates a request, runs its action and turns the result or the error into JSON.
+ * @param {function(): object} readRequest Returns the request fields; may throw a CommunityToolsError.
+ * @return {TextOutput} The JSON response.
+ */
+function handleWebApiRequest(readRequest) {
+  let response;
+  try {
+    const request = readRequest();
+    const client = authenticateWebApiKey(request.key);
+    const action = String(request.action || '').trim();
+    const isWrite = WEB_API_WRITE_ACTIONS.indexOf(action) !== -1;
+    if (!isWrite && WEB_API_READ_ACTIONS.indexOf(action) === -1) {
+      throw new CommunityToolsError(TOOLS_ERROR_CODES.INVALID_REQUEST,
+        `"${action}" is not an action. Use one of: ${WEB_API_READ_ACTIONS.concat(WEB_API_WRITE_ACTIONS).join(', ')}.`);
+    }
+    response = Object.assign({ ok: true }, runWebApiAction(client, action, request, isWrite));
+  } catch (e) {
+    if (e instanceof CommunityToolsError) {
+      response = { ok: false, error: { code: e.code, message: e.message, details: e.details } };
+    } else {
+      console.error(`Web API request failed: ${e.stack || e.message}`);
+      response = { ok: false, error: { code: 'internal-error', message: e.message, details: [] } };
+    }
+  }
+  return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Runs one action. Writes hold the shared writer lock (see WriterLock.js), so that they never
+ * change a community's sheets at the same time as another request, a menu item or a trigger.
+ * @param {object} client The key's { name, email } from authenticateWebApiKey.
+ * @param {string} action One of WEB_API_READ_ACTIONS or WEB_API_WRITE_ACTIONS.
+ * @param {object} request The request fields.
+ * @param {boolean} isWrite Whether the action is one of WEB_API_WRITE_ACTIONS.
+ * @return {object} The fields of the response.
+ */
+function runWebApiAction(client, action, request, isWrite) {
+  if (!isWrite) {
+    return action === 'lookupPerson' ? apiLookupPerson(client, request) : apiGetStats(client, request);
+  }
+  return withWriterLock(() =>
+    (action === 'submitAssignments' ? apiSubmitAssignments(client, request) : apiLogAttendance(client, request)));
+}
+
+/**
+ * @param {string} key An API key.
+ * @return {string} The name of the Script Property that holds the key's client.
+ */
+function getWebApiKeyProperty(key) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(key), Utilities.Charset.UTF_8);
+  return WEB_API_KEY_PROPERTY_PREFIX + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * @param {*} key The key sent with the request.
+ * @return {object} The client { name, email, createdAt } the key was made for.
+ * @throws {CommunityToolsError} If the key is missing or unknown.
+ */
+function authenticateWebApiKey(key) {
+  const text = String(key === null || key === undefined ? '' : key).trim();
+  const json = text === '' ? null : PropertiesService.getScriptProperties().getProperty(getWebApiKeyProperty(text));
+  if (!json) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.UNAUTHORIZED, 'A valid API key is required. Ask a coordinator to run "Create Web API Key".');
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * @param {object} request The request fields.
+ * @param {string} name A required field.
+ * @return {string} Its trimmed text.
+ * @throws {CommunityToolsError} If it is missing or blank.
+ */
+function requireApiField(request, name) {
+  const value = request[name];
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (text === '') {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, `"${name}" is required.`);
+  }
+  return text;
+}
+
+/**
+ * @param {object} entry A Directory entry from buildDirectoryNameIndex.
+ * @return {object} The entry as returned by the API.
+ */
+function describeApiPerson(entry) {
+  return { personId: String(entry.personId).trim(), firstName: entry.firstName, lastName: entry.lastName };
+}
+
+/**
+ * lookupPerson: matches a name against a community Directory, as Load Data does.
+ * @param {object} client The key's client.
+ * @param {object} request { communityId, firstName, lastName }
+ * @return {object} { status, matchType, person, candidates, note }; person is null unless status is 'matched'.
+ */
+function apiLookupPerson(client, request) {
+  const communityId = requireApiField(request, 'communityId');
+  requireCommunityGrant(communityId, client.email);
+  const firstName = requireApiField(request, 'firstName');
+  const lastName = requireApiField(request, 'lastName');
+  const match = matchTrackerRow(firstName, lastName, '', loadCommunityDirectory(communityId), loadNameAliases());
+  return {
+    status: match.status,
+    matchType: match.matchType,
+    person: match.entry ? describeApiPerson(match.entry) : null,
+    candidates: match.status === 'matched' ? [] : selectOfferedCandidates(match.candidates).map(candidate =>
+      Object.assign(describeApiPerson(candidate.entry), { matchType: candidate.matchType, distance: candidate.distance })),
+    note: match.note
+  };
+}
+
+/**
+ * getStats: reads a person's 'Attendance Stats' row.
+ * @param {object} client The key's client.
+ * @param {object} request { communityId, personId }
+ * @return {object} { person: { personId, firstName, lastName, eventsThisQuarter (E), activityScore (K), rowNumber } }
+ * @throws {CommunityToolsError} If the person has no row, or several.
+ */
+function apiGetStats(client, request) {
+  const communityId = requireApiField(request, 'communityId');
+  requireCommunityGrant(communityId, client.email);
+  const personId = requireApiField(request, 'personId');
+  const config = loadCommunityConfig(communityId);
+  const statsSheet = openCommunityTab(config, ATTENDANCE_STATS_TAB_NAME);
+  const statsColumns = loadSheetLayout(statsSheet, ATTENDANCE_STATS_TAB_NAME, config);
+  const statsData = statsSheet.getDataRange().getValues();
+
+  const rowNumbers = [];
+  for (let i = 1; i < statsData.length; i++) {
+    if (String(statsData[i][statsColumns.personId - 1]).trim() === personId) rowNumbers.push(i + 1);
+  }
+  if (rowNumbers.length === 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.NOT_FOUND, `Person ID ${personId} has no 'Attendance Stats' row in "${communityId}".`);
+  }
+  if (rowNumbers.length > 1) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.AMBIGUOUS, `Person ID ${personId} has ${rowNumbers.length} 'Attendance Stats' rows in "${communityId}".`,
+      rowNumbers.map(rowNumber => `Row ${rowNumber}`));
+  }
+  const row = statsData[rowNumbers[0] - 1];
+  return {
+    person: {
+      personId: personId,
+      firstName: row[statsColumns.firstName - 1],
+      lastName: row[statsColumns.lastName - 1],
+      eventsThisQuarter: parseInt(row[statsColumns.quarterEvents - 1], 10) || 0,
+      activityScore: parseInt(row[statsColumns.activityScore - 1], 10) || 0,
+      rowNumber: rowNumbers[0]
+    }
+  };
+}
+
+/**
+ * submitAssignments: sets activity levels like Update Activity Level does for tracker rows.
+ * Each assignment names the person by personId, or by firstName and lastName matched as in Load Data.
+ * @param {object} client The key's client.
+ * @param {object} request { communityId, assignments: [{ personId, firstName, lastName, activityLevel }], dryRun }
+ * @return {object} { communityId, dryRun, batchId, logged, scoresWritten, entries, baselinePolicy, baselineOutcomes,
+ *     skipped, rejected }; people who already have baseline rows this quarter are handled as in BaselinePolicies.js.
+ */
+function apiSubmitAssignments(client, request) {
+  const communityId = requireApiField(request, 'communityId');
+  const assignments = request.assignments;
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, '"assignments" must be a non-empty array.');
+  }
+  const dryRun = request.dryRun === true || String(request.dryRun).trim().toLowerCase() === 'true';
+  if (dryRun) {
+    requireCommunityGrant(communityId, client.email);
+  } else {
+    requirePermission(PERMISSION_ACTIONS.UPDATE, communityId, client.email);
+  }
+
+  const directory = loadCommunityDirectory(communityId);
+  const aliases = loadNameAliases();
+  const text = value => (value === null || value === undefined ? '' : String(value).trim());
+  const uatRows = [];
+  const rejected = [];
+  assignments.forEach((assignment, index) => {
+    const personId = text(assignment && assignment.personId);
+    const firstName = text(assignment && assignment.firstName);
+    const lastName = text(assignment && assignment.lastName);
+    const activityLevel = text(assignment && assignment.activityLevel);
+    let entry = null;
+    let note = '';
+    if (activityLevel === '') {
+      note = '"activityLevel" is required.';
+    } else if (personId !== '') {
+      entry = directory.directoryLookup.byPersonId.get(personId) || null;
+      if (!entry) note = `Person ID ${personId} is not in the Directory.`;
+    } else if (firstName !== '' && lastName !== '') {
+      const match = matchTrackerRow(firstName, lastName, '', directory, aliases);
+      entry = match.entry;
+      note = match.note;
+    } else {
+      note = 'Each assignment needs a "personId", or a "firstName" and "lastName".';
+    }
+    if (!entry) {
+      rejected.push({ index: index, note: note });
+      return;
+    }
+    uatRows.push([entry.personId, `${entry.firstName} ${entry.lastName}`, entry.lastName, entry.firstName, activityLevel, communityId]);
+  });
+
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const today = new Date();
+  const communityPlan = buildCommunityActivityLevelPlan(communityId, uatRows, today, timeZone);
+  const result = {
+    communityId: communityId,
+    dryRun: dryRun,
+    batchId: null,
+    logged: 0,
+    scoresWritten: 0,
+    entries: communityPlan.entries.map(entry => ({
+      personId: String(entry.personId).trim(), fullName: entry.fullName, activityLevel: entry.activityLevel,
+      currentE: entry.currentE, currentK: entry.currentK, newK: entry.newK, eventDates: entry.eventDates,
+      baselineAction: entry.baselineAction, existingBaselineRows: entry.existingBaselineRows.length
+    })),
+    baselinePolicy: communityPlan.baselinePolicy,
+    baselineOutcomes: describeBaselinePolicyOutcomes(communityPlan),
+    skipped: communityPlan.recordsSkippedOrFailed,
+    rejected: rejected
+  };
+  if (dryRun || communityPlan.entries.length === 0) return result;
+
+  const auditAction = `Update Activity Level (Web API: ${client.name})`;
+  result.batchId = communityPlan.batchId;
+  result.logged = appendBaselineAdjustments(communityPlan, Utilities.formatDate(today, timeZone, "M/d/yyyy"), auditAction);
+  result.scoresWritten = writeBackPlannedScores(communityPlan, auditAction);
+  recordUpdateResults(communityPlan);
+  // Again, now that it includes the people whose replaced rows were gone (see deleteReplacedBaselineRows).
+  result.baselineOutcomes = describeBaselinePolicyOutcomes(communityPlan);
+  return result;
+}
+
+/**
+ * logAttendance: appends real event rows like Import Attendance does for a sign-in list.
+ * Each row names the person by personId, by name ("First Last" or "Last, First"), or by firstName and lastName.
+ * @param {object} client The key's client.
+ * @param {object} request { communityId, rows: [{ personId, name, firstName, lastName, date, event }], defaultDate, defaultEvent }
+ * @return {object} { communityId, batchId, imported, rows }; rows as in planAttendanceImport, lineNumber being the 1-based index.
+ */
+function apiLogAttendance(client, request) {
+  const communityId = requireApiField(request, 'communityId');
+  if (!Array.isArray(request.rows) || request.rows.length === 0) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.MISSING_INPUT, '"rows" must be a non-empty array.');
+  }
+  requirePermission(PERMISSION_ACTIONS.IMPORT, communityId, client.email);
+
+  const text = value => (value === null || value === undefined ? '' : String(value).trim());
+  const signIns = request.rows.map((row, index) => ({
+    lineNumber: index + 1,
+    personId: text(row && row.personId),
+    name: text(row && row.name),
+    firstName: text(row && row.firstName),
+    lastName: text(row && row.lastName),
+    date: text(row && row.date),
+    event: text(row && row.event)
+  }));
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const plan = planAttendanceSignIns(communityId, signIns, request, timeZone);
+  const written = writeAttendanceImport(plan, timeZone, `Import Attendance (Web API: ${client.name})`);
+  return {
+    communityId: communityId,
+    batchId: written.batchId,
+    imported: written.imported,
+    rows: plan.rows
+  };
+}
+
+/**
+ * Menu item: makes an API key that acts for the current user and shows it once. Needs the
+ * "api" permission and the user's own email: a key never falls back to the effective user,
+ * who is the owner when the user's email is hidden from the script.
+ */
+function createWebApiKey() {
+  const ui = SpreadsheetApp.getUi();
+  const email = Session.getActiveUser().getEmail();
+  if (!email) {
+    ui.alert('Error', 'Your email address is not available to this script (e.g. for accounts outside the domain), ' +
+      'so a key cannot be made for you. Please ask a coordinator of the domain to make it.', ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    requireActionGrant(PERMISSION_ACTIONS.API, false, email);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+  const response = ui.prompt('Create Web API Key',
+    'Name of the tool that will use the key (e.g. "Check-in kiosk"):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const name = response.getResponseText().trim();
+  if (name === '') {
+    ui.alert('Error', 'Please enter a name for the key.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const key = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  const client = { name: name, email: email, createdAt: new Date().toISOString() };
+  PropertiesService.getScriptProperties().setProperty(getWebApiKeyProperty(key), JSON.stringify(client));
+  recordAuditEntries('Create Web API Key', '', [{ field: 'Web API key', before: '', after: name, details: `Acts for ${client.email}` }]);
+
+  const service = ScriptApp.getService();
+  const url = service && service.getUrl ? service.getUrl() : '';
+  ui.alert('Create Web API Key',
+    `API key for "${name}":\n\n${key}\n\nCopy it now; it is not shown again. It acts for ${client.email}, with that user's permissions.\n\n` +
+    (url ? `Web app URL: ${url}` : 'The script is not deployed as a web app yet (Deploy > New deployment > Web app).'),
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Menu item: lists the API keys and revokes the one the user picks. Users with the "api"
+ * permission see their own keys; with it for every community (*), they see everyone's.
+ */
+function revokeWebApiKey() {
+  const ui = SpreadsheetApp.getUi();
+  const email = Session.getActiveUser().getEmail();
+  if (!email) {
+    ui.alert('Error', 'Your email address is not available to this script (e.g. for accounts outside the domain), ' +
+      'so your keys cannot be told apart from the others. Please ask a coordinator of the domain to revoke the key.', ui.ButtonSet.OK);
+    return;
+  }
+  let isAdmin;
+  try {
+    requireActionGrant(PERMISSION_ACTIONS.API, false, email);
+    isAdmin = isActionAllowed(loadPermissionGrants(), email, PERMISSION_ACTIONS.API, PERMISSION_WILDCARD);
+  } catch (e) {
+    reportToolsError(ui, e);
+    return;
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const all = properties.getProperties();
+  const keys = Object.keys(all).filter(property => property.indexOf(WEB_API_KEY_PROPERTY_PREFIX) === 0)
+    .map(property => Object.assign({ property: property }, JSON.parse(all[property])))
+    .filter(key => isAdmin || String(key.email).trim().toLowerCase() === String(email).trim().toLowerCase())
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  if (keys.length === 0) {
+    ui.alert('Info', isAdmin ? 'There are no web API keys.' : 'You have no web API keys.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt('Revoke Web API Key',
+    keys.map((key, index) => `${index + 1}) ${key.name} - acts for ${key.email}, made ${String(key.createdAt).slice(0, 10)}`).join('\n') +
+    '\n\nEnter the number of the key to revoke:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const choiceText = response.getResponseText().trim();
+  const choice = parseInt(choiceText, 10);
+  if (!(choice >= 1 && choice <= keys.length)) {
+    ui.alert('Error', `"${choiceText}" is not one of the listed keys. Nothing was revoked.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const key = keys[choice - 1];
+  properties.deleteProperty(key.property);
+  recordAuditEntries('Revoke Web API Key', '', [{ field: 'Web API key', before: key.name, after: 'revoked', details: `Acted for ${key.email}` }]);
+  ui.alert('Revoke Web API Key', `The key "${key.name}" was revoked. Requests using it are now refused.`, ui.ButtonSet.OK);
+}
@@ -0,0 +1,27 @@
+// --- Shared Lock for the Community Sheet Writers ---
+
+// Every command that changes an 'Event Attendance' or 'Attendance Stats' tab runs its
+// writes under this lock: the menu items, the scheduled runs and the web API. It is the
+// script lock, the one lock that is the same for every user and that triggers and web app
+// requests can take too. A command takes it once, around reading what it will change and
+// writing it, so the row numbers it read cannot move before it writes.
+const WRITER_LOCK_TIMEOUT_SECONDS = 30;
+
+/**
+ * Runs a command's writes under the shared writer lock.
+ * @param {function(): *} write Reads what it changes and writes it; must not call withWriterLock itself.
+ * @return {*} What write returns.
+ * @throws {CommunityToolsError} If another command holds the lock for longer than WRITER_LOCK_TIMEOUT_SECONDS.
+ */
+function withWriterLock(write) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(WRITER_LOCK_TIMEOUT_SECONDS * 1000)) {
+    throw new CommunityToolsError(TOOLS_ERROR_CODES.BUSY,
+      'Another command is still changing the community sheets. Nothing was changed; please try again in a minute.');
+  }
+  try {
+    return write();
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject, toPlain } = require('./helpers/appsScript');
+
+// Noon UTC, so that the run date is the same day in the test machine's time zone.
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day, 12));
+// Dates read from the sheet are midnight in the script's time zone, as they are in Apps Script.
+const HOST_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// 'Event Attendance' rows, columns A:N.
+const eventRow = (personId, event, eventDate, batchId, updateTimestamp) =>
+  [personId, '', event, '', '', '', '', '', '', '', eventDate, '', batchId || '', updateTimestamp || ''];
+
+test('generateBaselineDates counts back from the run date and stops at the quarter start', () => {
+  const project = loadProject();
+  const generate = (count, day, strategy) => toPlain(project.context.generateBaselineDates(count, utcDate(2026, 10, day), 'UTC', strategy));
+
+  assert.deepStrictEqual(generate(3, 19, 'recent-days'), { dates: ['10/19/2026', '10/18/2026', '10/17/2026'], shortfall: 0, carriedOver: 0 });
+  assert.deepStrictEqual(generate(3, 2, 'recent-days'), { dates: ['10/2/2026', '10/1/2026'], shortfall: 1, carriedOver: 0 });
+  assert.deepStrictEqual(generate(3, 2, 'carry-over'), { dates: ['10/2/2026', '10/1/2026', '9/30/2026'], shortfall: 0, carriedOver: 1 });
+  assert.deepStrictEqual(generate(0, 19, 'recent-days'), { dates: [], shortfall: 0, carriedOver: 0 });
+});
+
+test('generateBaselineDates spreads the dates over the quarter so far', () => {
+  const project = loadProject();
+  const generate = count => toPlain(project.context.generateBaselineDates(count, utcDate(2026, 10, 10), 'UTC', 'spread-quarter'));
+
+  assert.deepStrictEqual(generate(2).dates, ['10/8/2026', '10/3/2026']);
+  const everyDay = generate(12);
+  assert.strictEqual(everyDay.dates.length, 10);
+  assert.strictEqual(everyDay.shortfall, 2);
+});
+
+test('generateBaselineDates uses each past calendar day of the quarter once', () => {
+  const project = loadProject();
+  const calendar = [utcDate(2026, 10, 5), utcDate(2026, 9, 28), utcDate(2026, 10, 12), utcDate(2026, 10, 12), utcDate(2026, 10, 25)];
+
+  const result = project.context.generateBaselineDates(3, utcDate(2026, 10, 19), 'UTC', 'event-calendar', calendar);
+
+  assert.deepStrictEqual(toPlain(result), { dates: ['10/12/2026', '10/5/2026'], shortfall: 1, carriedOver: 0 });
+});
+
+test('findQuarterBaselineRows finds the baseline rows dated or written this quarter, by Person ID', () => {
+  const project = loadProject();
+  const eventData = [
+    eventRow('Person ID', 'Event', 'Event Date', 'Batch ID', 'Update Timestamp'),
+    eventRow(101, 'BASELINE ADJUSTMENT 1', '10/3/2026', 'B1', '10/3/2026'),
+    eventRow(101, 'Sunday Service', '10/4/2026'),
+    eventRow(' 102 ', 'BASELINE ADJUSTMENT 1', '9/30/2026', 'B2', '10/1/2026'),
+    eventRow(102, 'BASELINE ADJUSTMENT 2', '6/30/2026', 'B0', '6/30/2026'),
+    eventRow('', 'BASELINE ADJUSTMENT 1', '10/3/2026'),
+    eventRow(101, 'BASELINE ADJUSTMENT 2', '2026-10-02')
+  ];
+
+  const rows = project.context.findQuarterBaselineRows(eventData, utcDate(2026, 10, 19), HOST_TIME_ZONE);
+
+  assert.deepStrictEqual(toPlain(rows), {
+    101: [{ rowNumber: 2, eventDate: '10/3/2026', batchId: 'B1' }, { rowNumber: 7, eventDate: '10/2/2026', batchId: '' }],
+    102: [{ rowNumber: 4, eventDate: '9/30/2026', batchId: 'B2' }]
+  });
+});
+
+function planEntries() {
+  return {
+    entries: [
+      { personId: 101, newK: 4, eventDates: ['10/19/2026', '10/18/2026', '10/17/2026', '10/16/2026'], shortfall: 0, carriedOver: 0 },
+      { personId: 102, newK: 2, eventDates: ['10/19/2026', '10/18/2026'], shortfall: 0, carriedOver: 0 },
+      { personId: 103, newK: 3, eventDates: ['10/2/2026', '10/1/2026', '9/30/2026'], shortfall: 0, carriedOver: 1 }
+    ]
+  };
+}
+const EXISTING = {
+  101: [{ rowNumber: 2, eventDate: '10/18/2026', batchId: 'B1' }, { rowNumber: 3, eventDate: '10/3/2026', batchId: 'B1' }],
+  103: [{ rowNumber: 4, eventDate: '10/2/2026', batchId: 'B1' }]
+};
+
+test('applyBaselinePolicy "skip" leaves alone the people who already have rows this quarter', () => {
+  const project = loadProject();
+  const planned = planEntries();
+
+  project.context.applyBaselinePolicy(planned, EXISTING, 'skip', utcDate(2026, 10, 19));
+
+  assert.deepStrictEqual(toPlain(planned.entries.map(entry => [entry.personId, entry.baselineAction])), [[102, 'new']]);
+  assert.deepStrictEqual(toPlain(planned.baselineSkipped.map(entry => [entry.personId, entry.baselineAction])), [[101, 'skip'], [103, 'skip']]);
+  assert.deepStrictEqual(toPlain(planned.baselineFailed), []);
+});
+
+test('applyBaselinePolicy "replace" keeps the planned dates and notes the rows to replace', () => {
+  const project = loadProject();
+  const planned = planEntries();
+
+  project.context.applyBaselinePolicy(planned, EXISTING, 'replace', utcDate(2026, 10, 19));
+
+  const [first, , third] = planned.entries;
+  assert.deepStrictEqual(toPlain(planned.entries.map(entry => entry.baselineAction)), ['replace', 'new', 'replace']);
+  assert.strictEqual(first.existingBaselineRows.length, 2);
+  assert.strictEqual(first.keptBaselineCount, 0);
+  assert.strictEqual(first.eventDates.length, 4);
+  assert.strictEqual(third.carriedOver, 1);
+});
+
+test('applyBaselinePolicy "top-up" logs only the missing events, on days not used yet', () => {
+  const project = loadProject();
+  const planned = planEntries();
+
+  project.context.applyBaselinePolicy(planned, EXISTING, 'top-up', utcDate(2026, 10, 19));
+
+  const [first, second, third] = planned.entries;
+  assert.deepStrictEqual([first.baselineAction, first.keptBaselineCount, first.shortfall], ['top-up', 2, 0]);
+  assert.deepStrictEqual(toPlain(first.eventDates), ['10/19/2026', '10/17/2026']);
+  assert.deepStrictEqual([second.baselineAction, second.keptBaselineCount, second.eventDates.length], ['new', 0, 2]);
+  assert.deepStrictEqual(toPlain(third.eventDates), ['10/1/2026', '9/30/2026']);
+  assert.deepStrictEqual([third.shortfall, third.carriedOver], [0, 1]);
+});
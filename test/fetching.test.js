@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject, toPlain } = require('./helpers/appsScript');
+
+test('parseFetchFilters reads each kind of filter and reports the ones it cannot', () => {
+  const project = loadProject();
+
+  const result = project.context.parseFetchFilters(' Team = Youth; score 3-; score -4 ;NoEvents;; score 5-2; bogus');
+
+  assert.deepStrictEqual(toPlain(result.filters), [
+    { type: 'directory-column', header: 'Team', value: 'Youth' },
+    { type: 'score-range', min: 3, max: null },
+    { type: 'score-range', min: null, max: 4 },
+    { type: 'no-events' }
+  ]);
+  assert.deepStrictEqual(toPlain(result.errors), [
+    '"score 5-2": the lowest score is greater than the highest',
+    '"bogus" is not "<Directory column>=<value>", "score <min>-<max>" or "no events"'
+  ]);
+  assert.deepStrictEqual(toPlain(project.context.parseFetchFilters('')), { filters: [], errors: [] });
+});
+
+// Tracker rows A:F, and fetched rows A:E as buildTrackerRowsFromSource makes them.
+const EXISTING = [
+  [101, 'John Smith', 'Smith', 'John', 'core', ''],
+  [201, 'Zoe Zed', 'Zed', 'Zoe', 'active', 'C02'],
+  [102, 'Jane Dow', 'Dow', 'Jane', '', 'C01'],
+  ['', '', '', '', '', ''],
+  ['', '', '', '', '', '']
+];
+const FETCHED = [
+  [101, 'John Smith', 'Smith', 'John', null],
+  [102, 'Jane Doe', 'Doe', 'Jane', null],
+  [201, 'Zoe Zedd', 'Zedd', 'Zoe', null],
+  [103, 'New One', 'One', 'New', null]
+];
+
+test('mergeTrackerRows "replace" puts the fetched people in place of the tracker rows', () => {
+  const project = loadProject();
+
+  const result = project.context.mergeTrackerRows(EXISTING, FETCHED, 'replace', 'C01');
+
+  assert.deepStrictEqual(toPlain(result.rows), FETCHED.map(row => row.concat('')));
+  assert.deepStrictEqual([result.added, result.refreshed], [4, 0]);
+});
+
+test('mergeTrackerRows "append" adds the people the community does not have yet, after the last used row', () => {
+  const project = loadProject();
+
+  const result = project.context.mergeTrackerRows(EXISTING, FETCHED, 'append', 'C01');
+
+  assert.deepStrictEqual(toPlain(result.rows), EXISTING.slice(0, 3).concat([
+    [201, 'Zoe Zedd', 'Zedd', 'Zoe', null, ''],
+    [103, 'New One', 'One', 'New', null, '']
+  ]));
+  assert.deepStrictEqual([result.added, result.refreshed], [2, 0]);
+});
+
+test('mergeTrackerRows "refresh" updates the names of the community\'s people and keeps everything else', () => {
+  const project = loadProject();
+
+  const result = project.context.mergeTrackerRows(EXISTING, FETCHED, 'refresh', 'C01');
+
+  assert.deepStrictEqual(toPlain(result.rows), [
+    [101, 'John Smith', 'Smith', 'John', 'core', ''],
+    [201, 'Zoe Zed', 'Zed', 'Zoe', 'active', 'C02'],
+    [102, 'Jane Doe', 'Doe', 'Jane', '', 'C01']
+  ]);
+  assert.deepStrictEqual([result.added, result.refreshed], [0, 1]);
+  assert.strictEqual(EXISTING[2][1], 'Jane Dow');
+});
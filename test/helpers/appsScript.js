@@ -0,0 +1,260 @@
+// In-memory stand-ins for the parts of SpreadsheetApp and Utilities the core functions use,
+// and a loader that runs every script of the project in one shared scope, as Apps Script does.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_DIR = path.join(__dirname, '..', '..');
+
+function describeRange(row, column, numRows, numColumns) {
+  return `${row},${column} ${numRows}x${numColumns}`;
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows || 1;
+    this.numColumns = numColumns || 1;
+  }
+
+  getValues() {
+    const values = [];
+    for (let i = 0; i < this.numRows; i++) {
+      const row = [];
+      for (let j = 0; j < this.numColumns; j++) row.push(this.sheet.getCell(this.row + i, this.column + j));
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.sheet.getCell(this.row, this.column);
+  }
+
+  // Cells holding a string that starts with "=" stand for formulas.
+  getFormulas() {
+    return this.getValues().map(row => row.map(value => (typeof value === 'string' && value.startsWith('=') ? value : '')));
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The data has ${values.length} rows but the range has ${this.numRows} rows and ${this.numColumns} columns.`);
+    }
+    this.sheet.writes.push(describeRange(this.row, this.column, this.numRows, this.numColumns));
+    values.forEach((row, i) => row.forEach((value, j) => this.sheet.setCell(this.row + i, this.column + j, value)));
+    return this;
+  }
+
+  setValue(value) {
+    return this.setValues(this.getValues().map(row => row.map(() => value)));
+  }
+}
+
+class FakeSheet {
+  /**
+   * @param {FakeSpreadsheet} parent The spreadsheet holding the tab.
+   * @param {string} name The tab name.
+   * @param {Array<Array<*>>} rows The cell values, row 1 first.
+   */
+  constructor(parent, name, rows) {
+    this.parent = parent;
+    this.name = name;
+    this.rows = (rows || []).map(row => row.slice());
+    // Each range written, as "row,column numRowsxnumColumns", so tests can check what was written over.
+    this.writes = [];
+  }
+
+  getCell(row, column) {
+    const value = (this.rows[row - 1] || [])[column - 1];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const cells = this.rows[row - 1];
+    while (cells.length < column) cells.push('');
+    cells[column - 1] = value === null ? '' : value;
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.parent; }
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+
+  getLastRow() {
+    for (let i = this.rows.length; i > 0; i--) {
+      if (this.rows[i - 1].some(value => value !== '' && value !== null && value !== undefined)) return i;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((last, row) => {
+      for (let j = row.length; j > last; j--) {
+        if (row[j - 1] !== '' && row[j - 1] !== null && row[j - 1] !== undefined) return j;
+      }
+      return last;
+    }, 0);
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this.rows.splice(rowPosition - 1, howMany);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+}
+
+class FakeSpreadsheet {
+  /**
+   * @param {string} url The URL the Settings tab refers to it by.
+   * @param {object} tabs Map of tab name -> cell values.
+   * @param {string=} timeZone The spreadsheet time zone.
+   */
+  constructor(url, tabs, timeZone) {
+    this.url = url;
+    this.timeZone = timeZone || 'UTC';
+    this.sheets = Object.keys(tabs || {}).map(name => new FakeSheet(this, name, tabs[name]));
+  }
+
+  getUrl() { return this.url; }
+  // The URL doubles as the file name.
+  getName() { return this.url; }
+  getSheets() { return this.sheets; }
+  getSheetByName(name) { return this.sheets.filter(sheet => sheet.getName() === name)[0] || null; }
+  getSpreadsheetTimeZone() { return this.timeZone; }
+}
+
+// The Script Properties, kept for the life of one loaded project.
+class FakeProperties {
+  constructor() {
+    this.values = {};
+  }
+
+  getProperty(key) { return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null; }
+  setProperty(key, value) { this.values[key] = String(value); return this; }
+  deleteProperty(key) { delete this.values[key]; return this; }
+  getProperties() { return Object.assign({}, this.values); }
+}
+
+/**
+ * Formats a date like Utilities.formatDate, for the patterns the project uses.
+ * @param {Date} date
+ * @param {string} timeZone An IANA time zone.
+ * @param {string} pattern e.g. "M/d/yyyy" or "yyyyMMdd-HHmmss".
+ * @return {string}
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  const pad = value => String(value).padStart(2, '0');
+  const tokens = {
+    yyyy: parts.year, MM: pad(parts.month), M: parts.month, dd: pad(parts.day), d: parts.day,
+    HH: pad(parts.hour), mm: pad(parts.minute), ss: pad(parts.second)
+  };
+  return pattern.replace(/'([^']*)'|yyyy|MM|M|dd|d|HH|mm|ss/g, (token, quoted) => (quoted !== undefined ? quoted : tokens[token]));
+}
+
+/**
+ * Splits CSV text like Utilities.parseCsv: quoted cells may hold the delimiter, and "" is a quote.
+ * @param {string} text The CSV.
+ * @param {string=} delimiter Defaults to a comma.
+ * @return {Array<Array<string>>} The rows.
+ */
+function parseCsv(text, delimiter) {
+  const separator = delimiter || ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      rows.push(row.concat(cell));
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) rows.push(row.concat(cell));
+  return rows;
+}
+
+/**
+ * Loads the project's scripts into a fresh scope with fake services.
+ * @param {object=} options { active: the FakeSpreadsheet the script is bound to,
+ *     others: FakeSpreadsheets opened by URL, email: the current user }
+ * @return {object} { context, run(code) } where run evaluates code in the project's scope,
+ *     so that its constants can be read too.
+ */
+function loadProject(options) {
+  const opts = options || {};
+  const active = opts.active || new FakeSpreadsheet('active', {});
+  const byUrl = {};
+  const scriptProperties = new FakeProperties();
+  (opts.others || []).forEach(spreadsheet => { byUrl[spreadsheet.getUrl()] = spreadsheet; });
+
+  const context = vm.createContext({
+    console: console,
+    // The host's Date, so that dates made by the tests pass the scripts' instanceof checks.
+    Date: Date,
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => active,
+      openByUrl: url => {
+        if (!byUrl[url]) throw new Error(`No spreadsheet at ${url}`);
+        return byUrl[url];
+      }
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties
+    },
+    Utilities: {
+      formatDate: formatDate,
+      parseCsv: parseCsv,
+      getUuid: () => require('crypto').randomUUID()
+    },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => opts.email || '' }),
+      getEffectiveUser: () => ({ getEmail: () => opts.email || '' })
+    }
+  });
+
+  fs.readdirSync(PROJECT_DIR).filter(file => file.endsWith('.js')).sort().forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(PROJECT_DIR, file), 'utf8'), context, { filename: file });
+  });
+  return { context: context, run: code => vm.runInContext(code, context) };
+}
+
+/**
+ * @param {*} value A result made in the project's scope.
+ * @return {*} The same data as plain objects of this scope, for assert.deepStrictEqual.
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { FakeSpreadsheet, FakeSheet, FakeRange, formatDate, loadProject, toPlain };
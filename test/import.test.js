@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject, toPlain } = require('./helpers/appsScript');
+
+// [year, month, day, hour] of a date in the test machine's time zone.
+const localParts = date => (date === null ? null : [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours()]);
+
+test('splitSignInName reads "First Last" and "Last, First"', () => {
+  const project = loadProject();
+  const split = text => toPlain(project.context.splitSignInName(text));
+
+  assert.deepStrictEqual(split('Smith, John'), { firstName: 'John', lastName: 'Smith' });
+  assert.deepStrictEqual(split('  Mary  Ann   Lee '), { firstName: 'Mary Ann', lastName: 'Lee' });
+  assert.deepStrictEqual(split('Cher'), { firstName: 'Cher', lastName: '' });
+  assert.deepStrictEqual(split(null), { firstName: '', lastName: '' });
+});
+
+test('parseImportDate reads date cells and the usual ways of writing a date, as midnight', () => {
+  const project = loadProject();
+  const parse = value => localParts(project.context.parseImportDate(value));
+
+  assert.deepStrictEqual(parse('2026-10-05'), [2026, 10, 5, 0]);
+  assert.deepStrictEqual(parse(' 10/5/2026 '), [2026, 10, 5, 0]);
+  assert.deepStrictEqual(parse('10/5/26'), [2026, 10, 5, 0]);
+  assert.deepStrictEqual(parse('October 5, 2026'), [2026, 10, 5, 0]);
+  assert.deepStrictEqual(parse(new Date(2026, 9, 5, 15, 30)), [2026, 10, 5, 0]);
+  assert.strictEqual(parse(''), null);
+  assert.strictEqual(parse(null), null);
+  assert.strictEqual(parse('not a date'), null);
+  assert.strictEqual(parse(new Date(NaN)), null);
+});
+
+test('parseAttendanceText reads a CSV by its headers', () => {
+  const project = loadProject();
+  const text = 'Person ID,Name,Date,Event\r\n101,John Smith,10/5/2026,Sunday\r\n\r\n,"Lee, Ann",2026-10-06,\r\n';
+
+  assert.deepStrictEqual(toPlain(project.context.parseAttendanceText(text)), [
+    { lineNumber: 2, personId: '101', name: 'John Smith', firstName: '', lastName: '', date: '10/5/2026', event: 'Sunday' },
+    { lineNumber: 4, personId: '', name: 'Lee, Ann', firstName: '', lastName: '', date: '2026-10-06', event: '' }
+  ]);
+});
+
+test('parseAttendanceText knows the other header names and tab-separated text', () => {
+  const project = loadProject();
+  const text = 'Surname\tGiven Name\tEvent Date\nSmith\tJohn\t10/5/2026';
+
+  assert.deepStrictEqual(toPlain(project.context.parseAttendanceText(text)), [
+    { lineNumber: 2, personId: '', name: '', firstName: 'John', lastName: 'Smith', date: '10/5/2026', event: '' }
+  ]);
+});
+
+test('parseAttendanceText reads a list without headers as name, date and event, split by tabs only', () => {
+  const project = loadProject();
+  const text = 'Smith, John\t10/5/2026\tSunday\nJane Doe\n';
+
+  assert.deepStrictEqual(toPlain(project.context.parseAttendanceText(text)), [
+    { lineNumber: 1, personId: '', name: 'Smith, John', firstName: '', lastName: '', date: '10/5/2026', event: 'Sunday' },
+    { lineNumber: 2, personId: '', name: 'Jane Doe', firstName: '', lastName: '', date: '', event: '' }
+  ]);
+  assert.deepStrictEqual(toPlain(project.context.parseAttendanceText('')), []);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeSpreadsheet, loadProject, toPlain } = require('./helpers/appsScript');
+
+const SETTINGS = [
+  ['', 'Community ID', 'Attendance Stats URL', 'Directory URL', 'Column Overrides'],
+  ['', 'C01', 'https://stats/c01', 'https://directory/c01', ''],
+  ['', 'C02', 'https://stats/c02', 'https://directory/c02', 'Directory.lastName=Surname'],
+  ['', 'C03', 'https://stats/c03', '', '']
+];
+const DIRECTORY = [
+  ['Person ID', 'Email', 'Last Name', 'First Name'],
+  [101, 'john@example.org', 'Smith', 'John'],
+  [102, 'jane@example.org', 'Doe', 'Jane'],
+  [103, 'j.smith@example.org', 'Smith', 'John'],
+  [104, 'william@example.org', 'García', 'William'],
+  [105, 'ann@example.org', 'Lee', 'Ann'],
+  ['', 'blank@example.org', 'Nobody', 'Blank']
+];
+
+function loadFixture() {
+  return loadProject({
+    active: new FakeSpreadsheet('https://tools', { 'Settings': SETTINGS }),
+    others: [
+      new FakeSpreadsheet('https://directory/c01', { 'Directory': DIRECTORY }),
+      new FakeSpreadsheet('https://directory/c02', { 'Directory': [['Person ID', 'Email', 'Given Name', 'Surname'], [201, '', 'Zoe', 'Zed']] })
+    ]
+  });
+}
+
+test('loadCommunityDirectory indexes the Directory rows that have a Person ID', () => {
+  const project = loadFixture();
+  const directory = project.context.loadCommunityDirectory('C01');
+
+  assert.deepStrictEqual(toPlain(directory.dirColumns), { personId: 1, lastName: 3, firstName: 4 });
+  assert.strictEqual(directory.directoryData.length, 7);
+  assert.deepStrictEqual(toPlain(directory.directoryIndex.map(entry => entry.personId)), [101, 102, 103, 104, 105]);
+  assert.strictEqual(directory.directoryIndex[3].normalizedLast, 'garcia');
+  assert.strictEqual(directory.directoryLookup.byPersonId.get('105').firstName, 'Ann');
+});
+
+test('loadCommunityDirectory finds moved columns by header and by override', () => {
+  const project = loadFixture();
+  const directory = project.context.loadCommunityDirectory('C02');
+
+  assert.deepStrictEqual(toPlain(directory.dirColumns), { personId: 1, lastName: 4, firstName: 3 });
+  assert.strictEqual(directory.directoryIndex[0].lastName, 'Zed');
+});
+
+test('loadCommunityDirectory throws typed errors for missing communities and URLs', () => {
+  const project = loadFixture();
+  const codes = project.run('TOOLS_ERROR_CODES');
+
+  assert.throws(() => project.context.loadCommunityDirectory(''), { name: 'CommunityToolsError', code: codes.MISSING_INPUT });
+  assert.throws(() => project.context.loadCommunityDirectory('C09'), { code: codes.MISSING_SETTING });
+  assert.throws(() => project.context.loadCommunityDirectory('C03'), { code: codes.MISSING_SETTING, message: /URL for 'Directory'/ });
+});
+
+test('loadCommunityDirectory reports a missing column with one detail per problem', () => {
+  const project = loadProject({
+    active: new FakeSpreadsheet('https://tools', { 'Settings': SETTINGS }),
+    others: [new FakeSpreadsheet('https://directory/c01', { 'Directory': [['Person ID', 'Email', 'Surname'], [101, '', 'Smith']] })]
+  });
+
+  assert.throws(() => project.context.loadCommunityDirectory('C01'), error => {
+    assert.strictEqual(error.code, project.run('TOOLS_ERROR_CODES.COLUMN_LAYOUT'));
+    assert.strictEqual(error.details.length, 1);
+    assert.match(error.details[0], /no "First Name" header/);
+    return true;
+  });
+});
+
+test('matchTrackerRow matches a unique name exactly', () => {
+  const project = loadFixture();
+  const match = project.context.matchTrackerRow('Jane', 'Doe', '', project.context.loadCommunityDirectory('C01'), {});
+
+  assert.strictEqual(match.status, 'matched');
+  assert.strictEqual(match.matchType, 'exact');
+  assert.strictEqual(match.entry.personId, 102);
+  assert.strictEqual(match.note, '');
+});
+
+test('matchTrackerRow matches accents and case as a normalized name and says so', () => {
+  const project = loadFixture();
+  const match = project.context.matchTrackerRow('william', 'GARCIA', '', project.context.loadCommunityDirectory('C01'), {});
+
+  assert.strictEqual(match.status, 'matched');
+  assert.strictEqual(match.matchType, 'normalized');
+  assert.strictEqual(match.entry.personId, 104);
+  assert.match(match.note, /by normalized name/);
+});
+
+test('matchTrackerRow matches aliases and swapped names', () => {
+  const project = loadFixture();
+  const directory = project.context.loadCommunityDirectory('C01');
+  const aliases = { bill: [0], william: [0] };
+
+  const alias = project.context.matchTrackerRow('Bill', 'García', '', directory, aliases);
+  assert.strictEqual(alias.matchType, 'alias');
+  assert.strictEqual(alias.entry.personId, 104);
+
+  const swapped = project.context.matchTrackerRow('Lee', 'Ann', '', directory, {});
+  assert.strictEqual(swapped.matchType, 'swapped');
+  assert.strictEqual(swapped.entry.personId, 105);
+});
+
+test('matchTrackerRow offers every entry sharing a name, and a picked Person ID settles it', () => {
+  const project = loadFixture();
+  const directory = project.context.loadCommunityDirectory('C01');
+
+  const ambiguous = project.context.matchTrackerRow('John', 'Smith', '', directory, {});
+  assert.strictEqual(ambiguous.status, 'ambiguous');
+  assert.strictEqual(ambiguous.entry, null);
+  assert.deepStrictEqual(toPlain(ambiguous.candidates.map(candidate => candidate.entry.personId)), [101, 103]);
+  assert.match(ambiguous.note, /matches more than one Directory entry/);
+
+  const picked = project.context.matchTrackerRow('John', 'Smith', ' 103 ', directory, {});
+  assert.strictEqual(picked.status, 'matched');
+  assert.strictEqual(picked.entry.personId, 103);
+});
+
+test('matchTrackerRow only suggests close misspellings', () => {
+  const project = loadFixture();
+  const directory = project.context.loadCommunityDirectory('C01');
+
+  const nearMiss = project.context.matchTrackerRow('Jnae', 'Doe', '', directory, {});
+  assert.strictEqual(nearMiss.status, 'near-miss');
+  assert.strictEqual(nearMiss.entry, null);
+  assert.strictEqual(nearMiss.candidates[0].entry.personId, 102);
+  assert.strictEqual(nearMiss.candidates[0].matchType, 'fuzzy');
+  assert.match(nearMiss.note, /Did you mean:\nJane Doe \(ID: 102, distance 2\)/);
+
+  const notFound = project.context.matchTrackerRow('Someone', 'Else', '', directory, {});
+  assert.strictEqual(notFound.status, 'not-found');
+  assert.deepStrictEqual(toPlain(notFound.candidates), []);
+  assert.strictEqual(notFound.note, '"Someone Else" was not found in the Directory.');
+});
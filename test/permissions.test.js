@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject } = require('./helpers/appsScript');
+
+const GRANTS = [
+  { email: 'coordinator@example.org', communityIds: ['C01', 'C02'], actions: ['update', 'import'] },
+  { email: 'importer@example.org', communityIds: ['*'], actions: ['import'] },
+  { email: 'admin@example.org', communityIds: ['*'], actions: ['*'] }
+];
+
+test('isActionAllowed lets everyone run everything without a permissions table', () => {
+  const project = loadProject();
+
+  assert.strictEqual(project.context.isActionAllowed(null, 'anyone@example.org', 'reset', 'C01'), true);
+});
+
+test('isActionAllowed needs a grant for both the action and the community', () => {
+  const project = loadProject();
+  const allowed = (email, action, communityId) => project.context.isActionAllowed(GRANTS, email, action, communityId);
+
+  assert.strictEqual(allowed(' Coordinator@Example.org ', 'update', ' C02 '), true);
+  assert.strictEqual(allowed('coordinator@example.org', 'update', 'C03'), false);
+  assert.strictEqual(allowed('coordinator@example.org', 'reset', 'C01'), false);
+  assert.strictEqual(allowed('importer@example.org', 'import', 'C09'), true);
+  assert.strictEqual(allowed('importer@example.org', 'update', 'C09'), false);
+  assert.strictEqual(allowed('admin@example.org', 'api', 'C07'), true);
+  assert.strictEqual(allowed('stranger@example.org', 'update', 'C01'), false);
+});
+
+test('isActionAllowed with no community asks whether the user may run the action anywhere', () => {
+  const project = loadProject();
+  const allowed = (email, action) => project.context.isActionAllowed(GRANTS, email, action, null);
+
+  assert.strictEqual(allowed('coordinator@example.org', 'import'), true);
+  assert.strictEqual(allowed('coordinator@example.org', 'schedule'), false);
+  assert.strictEqual(allowed('stranger@example.org', 'update'), false);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject, toPlain } = require('./helpers/appsScript');
+
+const STATS_COLUMNS = { personId: 1, firstName: 3, lastName: 4, quarterEvents: 5, activityScore: 12 };
+const statsRow = (personId, firstName, lastName, events, score) =>
+  [personId, `${firstName} ${lastName}`, firstName, lastName, events, '', '', '', '', '', '', score];
+const STATS = [
+  ['Person ID', 'Full Name', 'First Name', 'Last Name', 'Events This Quarter', '', '', '', '', '', '', 'Activity Score'],
+  statsRow(101, 'John', 'Smith', 2, 4),
+  statsRow(102, 'Jane', 'Doe', 0, 0),
+  statsRow(106, 'Dup', 'Person', 1, 1),
+  statsRow(106, 'Dup', 'Person', 1, 1)
+];
+// Tracker rows, columns A:F (Person ID, Full Name, Last Name, First Name, Activity Level, Community ID).
+const trackerRow = (personId, firstName, lastName, activityLevel, communityId) =>
+  [personId, firstName && lastName ? `${firstName} ${lastName}` : '', lastName, firstName, activityLevel, communityId || ''];
+
+// Noon UTC, so that the run date is the same day in the test machine's time zone.
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day, 12));
+
+test('planCommunityActivityLevels scores each row and dates its baseline events', () => {
+  const project = loadProject();
+  const rules = project.run('DEFAULT_SCORING_RULES');
+  const uatRows = [
+    trackerRow(101, 'John', 'Smith', 'active'),
+    trackerRow(102, 'Jane', 'Doe', ' Core '),
+    trackerRow(107, 'New', 'Person', 'inactive')
+  ];
+
+  const plan = project.context.planCommunityActivityLevels(uatRows, STATS, STATS_COLUMNS, rules, utcDate(2026, 10, 19), 'UTC');
+
+  assert.strictEqual(plan.recordsToProcessCount, 3);
+  assert.deepStrictEqual(toPlain(plan.rowStatuses), [null, null, null]);
+  const [john, jane, newcomer] = plan.entries;
+  // 'active' adds 3 to E + K = 6, within 3..11, so the new K is 9 - E.
+  assert.deepStrictEqual([john.rowIndex, john.currentE, john.currentK, john.newK, john.statsRowNumber], [0, 2, 4, 7, 2]);
+  assert.deepStrictEqual(toPlain(john.eventDates),
+    ['10/19/2026', '10/18/2026', '10/17/2026', '10/16/2026', '10/15/2026', '10/14/2026', '10/13/2026']);
+  assert.strictEqual(jane.activityLevel, 'Core');
+  assert.strictEqual(jane.newK, 12);
+  assert.strictEqual(jane.eventDates.length, 12);
+  assert.deepStrictEqual([newcomer.foundInStats, newcomer.statsRowNumber, newcomer.newK], [false, null, 1]);
+  assert.deepStrictEqual(toPlain(newcomer.eventDates), ['10/19/2026']);
+});
+
+test('planCommunityActivityLevels gives every row it cannot plan a status', () => {
+  const project = loadProject();
+  const uatRows = [
+    trackerRow(106, 'Dup', 'Person', 'core'),
+    trackerRow(105, 'Ann', 'Lee', 'Legend'),
+    trackerRow('', '', '', 'core'),
+    trackerRow('', '', '', '')
+  ];
+
+  const plan = project.context.planCommunityActivityLevels(uatRows, STATS, STATS_COLUMNS, project.run('DEFAULT_SCORING_RULES'),
+    utcDate(2026, 10, 19), 'UTC');
+
+  assert.strictEqual(plan.entries.length, 0);
+  assert.strictEqual(plan.recordsToProcessCount, 2);
+  assert.strictEqual(plan.recordsMissingDetailsUAT, 1);
+  assert.deepStrictEqual(toPlain(plan.recordsSkippedOrFailed), [
+    'Dup Person (ID: 106) - Ambiguous: 2 matching rows in Attendance Stats',
+    'Ann Lee (ID: 105) - Unknown Level'
+  ]);
+  assert.deepStrictEqual(toPlain(plan.rowStatuses), [
+    "Ambiguous: 2 matching rows in 'Attendance Stats'",
+    'Skipped: unknown activity level "Legend"',
+    'Skipped: missing Person ID, First Name or Last Name; run "Load Data"',
+    'Skipped: no activity level'
+  ]);
+});
+
+test('planCommunityActivityLevels keeps baseline dates in the quarter unless the strategy carries them over', () => {
+  const project = loadProject();
+  const rules = [{ level: 'three', formula: 'fixed', value: 3, minSum: null, maxSum: null }];
+  const uatRows = [trackerRow(102, 'Jane', 'Doe', 'three')];
+  const today = utcDate(2026, 10, 2);
+
+  const recent = project.context.planCommunityActivityLevels(uatRows, STATS, STATS_COLUMNS, rules, today, 'UTC').entries[0];
+  assert.deepStrictEqual(toPlain(recent.eventDates), ['10/2/2026', '10/1/2026']);
+  assert.strictEqual(recent.shortfall, 1);
+
+  const carried = project.context.planCommunityActivityLevels(uatRows, STATS, STATS_COLUMNS, rules, today, 'UTC',
+    { strategy: 'carry-over' }).entries[0];
+  assert.deepStrictEqual(toPlain(carried.eventDates), ['10/2/2026', '10/1/2026', '9/30/2026']);
+  assert.deepStrictEqual([carried.shortfall, carried.carriedOver], [0, 1]);
+});
+
+test('planActivityScoreReset resets the scores of the community rows found once in Attendance Stats', () => {
+  const project = loadProject();
+  const uatRows = [
+    trackerRow(101, 'John', 'Smith', 'core'),
+    trackerRow(102, 'Jane', 'Doe', 'core', 'C01'),
+    trackerRow(106, 'Dup', 'Person', ''),
+    trackerRow(105, 'Ann', 'Lee', 'active'),
+    trackerRow(201, 'Zoe', 'Zed', 'core', 'C02'),
+    trackerRow('', '', 'Lee', '', ''),
+    trackerRow('', '', '', '')
+  ];
+
+  const plan = project.context.planActivityScoreReset(uatRows, STATS, STATS_COLUMNS, 'C01');
+
+  assert.deepStrictEqual(toPlain(plan.resets), [{ statsRowNumber: 2, personId: 101, before: 4 }]);
+  assert.strictEqual(plan.alreadyZero, 1);
+  assert.strictEqual(plan.processed, 4);
+  assert.deepStrictEqual(toPlain(plan.ambiguous), ['Dup Person (ID: 106, 2 rows)']);
+  assert.deepStrictEqual(toPlain(plan.notFound), ['Ann Lee (ID: 105)']);
+  assert.deepStrictEqual(toPlain(plan.rowStatuses), [
+    'Score reset (was 4)',
+    'Unchanged (score already 0)',
+    "Ambiguous: score not reset; 2 matching rows in 'Attendance Stats'",
+    "Not found: no matching row in 'Attendance Stats'",
+    'Skipped: score not reset; the row belongs to community "C02"',
+    'Skipped: score not reset; missing Person ID, First Name or Last Name',
+    null
+  ]);
+});
+
+test('buildTrackerRowsFromSource turns complete source rows into tracker rows', () => {
+  const project = loadProject();
+  const source = [
+    ['Person ID', 'Email', 'Last Name', 'First Name'],
+    [101, 'john@example.org', 'Smith', ' John '],
+    ['', 'blank@example.org', 'Nobody', 'Blank'],
+    [102, 'jane@example.org', '', 'Jane'],
+    [103],
+    [104, 'william@example.org', 'García', 'William']
+  ];
+
+  const result = project.context.buildTrackerRowsFromSource(source, { personId: 1, lastName: 3, firstName: 4 });
+
+  assert.deepStrictEqual(toPlain(result.rows), [
+    [101, 'John Smith', 'Smith', ' John ', null],
+    [104, 'William García', 'García', 'William', null]
+  ]);
+  assert.deepStrictEqual(toPlain(result.skippedRowNumbers), [5]);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject, toPlain } = require('./helpers/appsScript');
+
+const DIR_COLUMNS = { personId: 1, lastName: 3, firstName: 4 };
+const STATS_COLUMNS = { personId: 1, firstName: 3, lastName: 4 };
+const DIRECTORY = [
+  ['Person ID', 'Email', 'Last Name', 'First Name'],
+  [101, '', 'Smith', 'John'],
+  [102, '', 'Doe', 'Jane'],
+  [103, '', 'Lee', 'Ann'],
+  [103, '', 'Lee', 'Anne'],
+  [105, '', 'Roe', 'Rick']
+];
+const STATS = [
+  ['Person ID', 'Full Name', 'First Name', 'Last Name'],
+  [101, '', 'John', 'Smith'],
+  [102, '', 'Jane', 'Dow'],
+  [103, '', 'Ann', 'Lee'],
+  [104, '', 'Max', 'Moe']
+];
+// 'Event Attendance' rows, columns A:C (Person ID, Full Name, Event).
+const EVENTS = [
+  ['Person ID', 'Full Name', 'Event'],
+  [105, '', 'BASELINE ADJUSTMENT 1'],
+  [107, '', 'Sunday Service'],
+  [107, '', 'BASELINE ADJUSTMENT 1'],
+  [108, '', 'Sunday Service'],
+  [101, '', 'BASELINE ADJUSTMENT 1']
+];
+
+test('findCommunityDiscrepancies reports each kind of discrepancy once, with a fix where one is safe', () => {
+  const project = loadProject();
+  const types = project.run('RECONCILE_TYPES');
+
+  const discrepancies = project.context.findCommunityDiscrepancies(DIRECTORY, DIR_COLUMNS, STATS, STATS_COLUMNS, EVENTS);
+
+  assert.deepStrictEqual(toPlain(discrepancies.map(d => [d.type, d.personId, d.source, d.rowNumbers])), [
+    [types.DUPLICATE_ID, '103', 'Directory', [4, 5]],
+    [types.NAME_MISMATCH, '102', 'Attendance Stats', [3]],
+    [types.MISSING_FROM_DIRECTORY, '104', 'Attendance Stats', [5]],
+    [types.BASELINE_WITHOUT_STATS, '105', 'Event Attendance', [2]],
+    [types.UNKNOWN_PERSON_EVENTS, '107', 'Event Attendance', [3, 4]],
+    [types.UNKNOWN_PERSON_EVENTS, '108', 'Event Attendance', [5]]
+  ]);
+  assert.deepStrictEqual(toPlain(discrepancies[1].fix), {
+    action: 'use-directory-name',
+    description: 'Rename to "Jane Doe" in \'Attendance Stats\'',
+    statsRowNumber: 3,
+    oldFirstName: 'Jane',
+    oldLastName: 'Dow',
+    firstName: 'Jane',
+    lastName: 'Doe'
+  });
+  assert.deepStrictEqual(toPlain(discrepancies[4].fix), {
+    action: 'delete-baseline-rows',
+    description: 'Delete the 1 "BASELINE ADJUSTMENT" row(s)',
+    rowNumbers: [4]
+  });
+  assert.deepStrictEqual([discrepancies[0].fix, discrepancies[2].fix, discrepancies[3].fix, discrepancies[5].fix], [null, null, null, null]);
+});
+
+test('findCommunityDiscrepancies finds nothing when the tabs agree, names compared as normalized', () => {
+  const project = loadProject();
+  const directory = [DIRECTORY[0], [101, '', 'García', 'José']];
+  const stats = [STATS[0], [101, '', 'jose', 'GARCIA']];
+
+  assert.deepStrictEqual(toPlain(project.context.findCommunityDiscrepancies(directory, DIR_COLUMNS, stats, STATS_COLUMNS, [])), []);
+});
+
+test('describeRowNumbers lists row numbers in order, runs as ranges', () => {
+  const project = loadProject();
+
+  assert.strictEqual(project.context.describeRowNumbers([12, 4, 8, 7, 9]), '4, 7-9, 12');
+  assert.strictEqual(project.context.describeRowNumbers([5]), '5');
+  assert.strictEqual(project.context.describeRowNumbers([]), '');
+});
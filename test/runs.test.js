@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeSpreadsheet, loadProject, toPlain } = require('./helpers/appsScript');
+
+const STATS_COLUMNS = { personId: 1, firstName: 3, lastName: 4, quarterEvents: 5, activityScore: 12 };
+const RULES = [{ level: 'three', formula: 'fixed', value: 3, minSum: null, maxSum: null }];
+
+// Noon UTC, so that the run date is the same day in the test machine's time zone.
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day, 12));
+
+/**
+ * @param {number} count The number of people, each with two baseline rows logged earlier this quarter.
+ * @return {object} { project, statsSpreadsheet, eventSheet, uatRows, statsData }
+ */
+function loadQuarterWithBaselines(count) {
+  const statsData = [['Person ID', 'Full Name', 'First Name', 'Last Name', 'Events This Quarter', '', '', '', '', '', '', 'Activity Score']];
+  const eventData = [['Person ID', 'Full Name', 'Event', '', 'First Name', 'Last Name', '', '', '', '', 'Event Date', '', 'Batch ID', 'Update Timestamp']];
+  const uatRows = [];
+  for (let i = 0; i < count; i++) {
+    const personId = 1000 + i;
+    statsData.push([personId, `P${i} Test`, `P${i}`, 'Test', 0, '', '', '', '', '', '', 2]);
+    [1, 2].forEach(n => eventData.push(
+      [personId, `P${i} Test`, `BASELINE ADJUSTMENT ${n}`, '', `P${i}`, 'Test', '', '', '', '', `10/${n}/2026`, '', 'OLD', '10/2/2026']));
+    uatRows.push([personId, `P${i} Test`, 'Test', `P${i}`, 'three', '']);
+  }
+  const statsSpreadsheet = new FakeSpreadsheet('https://stats/c01', { 'Attendance Stats': statsData, 'Event Attendance': eventData });
+  const project = loadProject({
+    active: new FakeSpreadsheet('https://tools', { 'Replaced Baseline Rows': [['Timestamp']], 'Update Results': [['Timestamp']], 'Audit Log': [['Timestamp']] }),
+    others: [statsSpreadsheet],
+    email: 'me@example.org'
+  });
+  return { project, statsSpreadsheet, eventSheet: statsSpreadsheet.getSheetByName('Event Attendance'), uatRows, statsData };
+}
+
+function planReplacingRun(fixture, today) {
+  const context = fixture.project.context;
+  const planned = context.planCommunityActivityLevels(fixture.uatRows, fixture.statsData, STATS_COLUMNS, RULES, today, 'UTC');
+  context.applyBaselinePolicy(planned, context.findQuarterBaselineRows(fixture.eventSheet.getDataRange().getValues(), today, 'UTC'),
+    'replace', today);
+  return Object.assign({
+    communityId: 'C01', statsSpreadsheet: fixture.statsSpreadsheet, statsSheet: fixture.statsSpreadsheet.getSheetByName('Attendance Stats'),
+    statsColumns: STATS_COLUMNS, batchId: 'NEW', runDate: today, timeZone: 'UTC', baselinePolicy: 'replace', writeBackScores: false
+  }, planned);
+}
+
+test('writeCommunityPlanInChunks replaces the baseline rows of every chunk, finding them again after earlier chunks', () => {
+  const fixture = loadQuarterWithBaselines(250);
+  const today = utcDate(2026, 10, 19);
+  const communityPlan = planReplacingRun(fixture, today);
+  // Someone removes the rows of a person in the last chunk while the run is planned.
+  fixture.eventSheet.rows = fixture.eventSheet.rows.filter(row => row[0] !== 1240);
+
+  const result = fixture.project.context.writeCommunityPlanInChunks(communityPlan, '10/19/2026', { communities: {} }, Date.now() + 60000);
+
+  assert.strictEqual(result.finished, true);
+  assert.strictEqual(result.logged, 249 * 3);
+  const rowsByPerson = {};
+  fixture.eventSheet.rows.slice(1).forEach(row => { (rowsByPerson[row[0]] = rowsByPerson[row[0]] || []).push(row[12]); });
+  for (let i = 0; i < 250; i++) {
+    assert.deepStrictEqual(rowsByPerson[1000 + i], i === 240 ? undefined : ['NEW', 'NEW', 'NEW'], `Person ${1000 + i}`);
+  }
+  const keptRows = fixture.project.context.SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Replaced Baseline Rows').rows.slice(1);
+  assert.strictEqual(keptRows.length, 249 * 2);
+  assert.ok(keptRows.every(row => row[4] === row[6] && row[18] === 'OLD'));
+  assert.deepStrictEqual(toPlain(communityPlan.baselineFailed.map(entry => entry.personId)), [1240]);
+  assert.match(fixture.project.context.describeTrackerEntryOutcome(communityPlan.baselineFailed[0]),
+    /^Failed: the 2 baseline rows to replace are no longer in 'Event Attendance'/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProject, toPlain } = require('./helpers/appsScript');
+
+test('buildUpdateTrackerStatuses gives every tracker row the outcome of its person or community', () => {
+  const project = loadProject();
+  const plan = {
+    trackerRowCount: 9,
+    trackerRowIndexes: { C01: [0, 1, 2], C02: [3, 4], C03: [5], C09: [6], C04: [8] },
+    trackerRowIndexesWithoutCommunity: [7],
+    failedCommunities: ['C09'],
+    resumedCommunities: [{ communityId: 'C03', batchId: 'B3' }],
+    stoppedCommunities: ['C02'],
+    partlyWrittenCommunities: [{ communityId: 'C04', batchId: 'B4' }],
+    communities: [
+      {
+        communityId: 'C01',
+        rowStatuses: [null, null, null],
+        entries: [{ rowIndex: 0, eventDates: ['10/19/2026', '10/18/2026', '10/17/2026'], currentK: 1, newK: 3, baselineAction: 'new', shortfall: 0 }],
+        baselineSkipped: [{ rowIndex: 2, baselineAction: 'skip', existingBaselineRows: [{}, {}] }],
+        baselineFailed: [{ rowIndex: 1, baselineAction: 'replace', baselineFailure: 'the rows are gone' }]
+      },
+      {
+        communityId: 'C02',
+        rowStatuses: [null, null],
+        entries: [
+          { rowIndex: 0, written: true, eventDates: ['10/19/2026'], currentK: 0, newK: 3, baselineAction: 'top-up', keptBaselineCount: 2, shortfall: 0 },
+          { rowIndex: 1, eventDates: ['10/19/2026'], currentK: 0, newK: 1, baselineAction: 'new', shortfall: 0 }
+        ]
+      },
+      { communityId: 'C04', rowStatuses: [null], entries: [] }
+    ]
+  };
+
+  assert.deepStrictEqual(toPlain(project.context.buildUpdateTrackerStatuses(plan)), [
+    'Logged: 3 events (score 1 -> 3)',
+    'Failed: the rows are gone',
+    'Skipped: 2 baseline rows already logged this quarter',
+    'Logged: 1 events (score 0 -> 3), 2 kept from earlier this quarter',
+    'Stopped: not written before the time limit; run "Update Activity Level" again',
+    'Unchanged (already written by an earlier run, batch B3)',
+    'Failed: community "C09" could not be processed; see the errors reported',
+    `Skipped: no Community ID (cell ${project.run('UAT_CELL_COMMUNITY_ID')} or the "Community ID" column)`,
+    'Failed: an earlier run stopped while writing batch B4; undo it and run again'
+  ]);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeSpreadsheet, loadProject, toPlain } = require('./helpers/appsScript');
+
+const STATS_COLUMNS = { personId: 1, activityScore: 2 };
+
+function loadStats(rows) {
+  const stats = new FakeSpreadsheet('https://stats/c01', { 'Attendance Stats': [['Person ID', 'Activity Score']].concat(rows) });
+  const project = loadProject({
+    // Only the first header of each tools tab; the writers append below whatever is there.
+    active: new FakeSpreadsheet('https://tools', { 'Score History': [['Timestamp']], 'Audit Log': [['Timestamp']] }),
+    others: [stats]
+  });
+  return { project: project, statsSheet: stats.getSheetByName('Attendance Stats') };
+}
+
+test('writeColumnCells writes each run of adjacent rows once and nothing in between', () => {
+  const { project, statsSheet } = loadStats([[101, 1], [102, 2], [103, '=B3+1'], [104, 4], [105, 5], [106, 6]]);
+
+  project.context.writeColumnCells(statsSheet, 2, [
+    { rowNumber: 7, value: 60 }, { rowNumber: 2, value: 10 }, { rowNumber: 3, value: 20 }, { rowNumber: 6, value: 50 }
+  ]);
+
+  assert.deepStrictEqual(statsSheet.writes, ['2,2 2x1', '6,2 2x1']);
+  assert.deepStrictEqual(statsSheet.rows.map(row => row[1]).slice(1), [10, 20, '=B3+1', 4, 50, 60]);
+});
+
+test('writeRowRuns writes several columns of the listed rows only', () => {
+  const { project, statsSheet } = loadStats([[101, 1], [102, 2], [103, 3]]);
+
+  project.context.writeRowRuns(statsSheet, 1, [{ rowNumber: 4, values: [203, 30] }, { rowNumber: 2, values: [201, 10] }]);
+
+  assert.deepStrictEqual(statsSheet.writes, ['2,1 1x2', '4,1 1x2']);
+  assert.deepStrictEqual(statsSheet.rows.slice(1), [[201, 10], [102, 2], [203, 30]]);
+});
+
+test('writeActivityScores writes only the changed scores and keeps their old values', () => {
+  const { project, statsSheet } = loadStats([[101, 1], [102, '=1+1'], [103, 3], [104, 4]]);
+
+  const changed = project.context.writeActivityScores(statsSheet, STATS_COLUMNS, [
+    { statsRowNumber: 2, personId: 101, after: 7 },
+    { statsRowNumber: 4, personId: 103, after: 3 },
+    { statsRowNumber: 5, personId: 104, after: 9 }
+  ], 'batch-1', 'C01', 'Update Activity Level');
+
+  assert.strictEqual(changed, 2);
+  assert.deepStrictEqual(statsSheet.writes, ['2,2 1x1', '5,2 1x1']);
+  assert.deepStrictEqual(statsSheet.rows.map(row => row[1]).slice(1), [7, '=1+1', 3, 9]);
+  const history = project.context.SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Score History').rows.slice(1);
+  assert.deepStrictEqual(toPlain(history.map(row => row.slice(1, 8))), [
+    ['batch-1', 'C01', 'https://stats/c01', 101, 2, 1, 7],
+    ['batch-1', 'C01', 'https://stats/c01', 104, 5, 4, 9]
+  ]);
+});